@@ -0,0 +1,454 @@
+// Reference sync server for Life Goes On
+// A small, dependency-free HTTP server the app can sync with instead of
+// Firebase (see src/serverProvider.js for the API). It stores what the
+// app sends as files on disk and never sees plaintext: records are
+// sealed and blobs are encrypted by the browser.
+//
+//   VAULT_TOKENS="alice:<long random token>" npm run server
+//
+// VAULT_TOKENS    comma-separated account:token pairs (required)
+// PORT            default 8787
+// DATA_DIR        default ./server-data, one folder per account
+// ALLOWED_ORIGIN  the app's origin for CORS, default *
+//
+// Run it behind HTTPS (a reverse proxy) anywhere but localhost: tokens
+// travel with every request.
+
+import { createServer } from 'node:http'
+import { mkdir, readFile, writeFile, rename, rm, readdir, stat } from 'node:fs/promises'
+import { createReadStream, createWriteStream } from 'node:fs'
+import { pipeline } from 'node:stream/promises'
+import { join, resolve } from 'node:path'
+import { timingSafeEqual, randomUUID } from 'node:crypto'
+
+const PORT = Number(process.env.PORT) || 8787
+const DATA_DIR = resolve(process.env.DATA_DIR || 'server-data')
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'
+const MAX_JSON_BYTES = 5 * 1024 * 1024 // 5MB
+const MAX_BLOB_BYTES = 64 * 1024 * 1024 // 64MB; the app uploads 4MB chunks
+const HEARTBEAT_INTERVAL = 25000
+const DEFAULT_PAGE_SIZE = 200
+const MAX_PAGE_SIZE = 1000
+
+// Names that are safe as a single path segment
+const SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,199}$/
+
+class HttpError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'HttpError'
+    this.code = code
+  }
+}
+
+const parseTokens = (value) => {
+  const accounts = new Map() // token -> account
+  for (const pair of (value || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const separator = pair.indexOf(':')
+    const account = pair.slice(0, separator)
+    const token = pair.slice(separator + 1)
+    if (separator < 1 || !SEGMENT.test(account) || token.length < 16) {
+      throw new Error(`Bad VAULT_TOKENS entry for "${account || pair}": use account:token with a token of 16+ characters`)
+    }
+    accounts.set(token, account)
+  }
+  return accounts
+}
+
+let tokens
+try {
+  tokens = parseTokens(process.env.VAULT_TOKENS)
+} catch (error) {
+  console.error(error.message)
+  process.exit(1)
+}
+if (tokens.size === 0) {
+  console.error('Set VAULT_TOKENS to one or more account:token pairs, e.g.')
+  console.error(`  VAULT_TOKENS="me:${randomUUID()}" npm run server`)
+  process.exit(1)
+}
+
+// Compare every token in constant time so timing doesn't leak a match
+const findAccount = (token) => {
+  if (!token) return null
+  const given = Buffer.from(token)
+  let found = null
+  for (const [candidate, account] of tokens) {
+    const expected = Buffer.from(candidate)
+    if (expected.length === given.length && timingSafeEqual(expected, given)) found = account
+  }
+  return found
+}
+
+const segment = (value) => {
+  let decoded
+  try {
+    decoded = decodeURIComponent(value)
+  } catch {
+    // A malformed escape such as %E0%A4%A
+    throw new HttpError(400, 'Invalid name')
+  }
+  if (!SEGMENT.test(decoded)) throw new HttpError(400, 'Invalid name')
+  return decoded
+}
+
+const accountDir = (account) => join(DATA_DIR, account)
+
+const readJson = async (path, fallback = null) => {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback
+    throw error
+  }
+}
+
+// Write to a temporary file first so a crash never leaves half a record
+const writeJson = async (path, value) => {
+  await mkdir(join(path, '..'), { recursive: true })
+  const temporary = `${path}.${randomUUID()}.tmp`
+  await writeFile(temporary, JSON.stringify(value))
+  await rename(temporary, path)
+}
+
+const listJson = async (dir) => {
+  let names
+  try {
+    names = await readdir(dir)
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+  return Promise.all(names.filter(name => name.endsWith('.json')).map(name => readJson(join(dir, name))))
+}
+
+// Conflict checks read, compare and write; one account's writes go one at a time
+const locks = new Map()
+const withLock = (account, task) => {
+  const run = (locks.get(account) || Promise.resolve()).then(task, task)
+  locks.set(account, run.catch(() => {}))
+  return run
+}
+
+// Live updates: account -> open event streams
+const streams = new Map()
+
+const notify = (account, change) => {
+  for (const response of streams.get(account) || []) {
+    response.write(`event: change\ndata: ${JSON.stringify(change)}\n\n`)
+  }
+}
+
+const openEvents = (request, response, account) => {
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  })
+  response.write(': connected\n\n')
+
+  if (!streams.has(account)) streams.set(account, new Set())
+  streams.get(account).add(response)
+  const heartbeat = setInterval(() => response.write(': ping\n\n'), HEARTBEAT_INTERVAL)
+
+  request.on('close', () => {
+    clearInterval(heartbeat)
+    streams.get(account).delete(response)
+  })
+}
+
+const readBody = async (request, limit) => {
+  const chunks = []
+  let size = 0
+  for await (const chunk of request) {
+    size += chunk.length
+    if (size > limit) throw new HttpError(413, 'Request too large')
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+const readJsonBody = async (request) => {
+  try {
+    return JSON.parse((await readBody(request, MAX_JSON_BYTES)).toString('utf8') || '{}')
+  } catch (error) {
+    if (error instanceof HttpError) throw error
+    throw new HttpError(400, 'Invalid JSON')
+  }
+}
+
+const sendJson = (response, code, value) => {
+  response.writeHead(code, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' })
+  response.end(JSON.stringify(value))
+}
+
+const isTombstone = (record) => record?.deleted === true
+
+// Stored items carry changedAt, a per-account stamp that grows with every
+// write, so clients can ask for what changed since they last synced
+const latestStamps = new Map()
+
+const getLatestStamp = async (account) => {
+  if (!latestStamps.has(account)) {
+    const stored = await listJson(join(accountDir(account), 'items'))
+    latestStamps.set(account, stored.reduce((latest, entry) => Math.max(latest, entry.changedAt || 0), 0))
+  }
+  return latestStamps.get(account)
+}
+
+// Called under the account's lock
+const nextStamp = async (account) => {
+  const stamp = Math.max(Date.now(), await getLatestStamp(account) + 1)
+  latestStamps.set(account, stamp)
+  return stamp
+}
+
+const toRecord = (stored) => {
+  const { changedAt: _changedAt, ...record } = stored
+  return record
+}
+
+// PUT and DELETE of an item: refuse if the stored copy is newer than the
+// version the client last saw, like the Firestore transaction does
+const writeItem = (account, id, { record, baseVersion }, { isDelete }) => withLock(account, async () => {
+  const path = join(accountDir(account), 'items', `${id}.json`)
+  const stored = await readJson(path)
+
+  if (isDelete && (!stored || isTombstone(stored))) return { code: 204 }
+  if (stored && (stored.updatedAt || 0) > (baseVersion ?? 0)) {
+    return { code: 409, body: { remote: toRecord(stored) } }
+  }
+
+  await writeJson(path, { ...record, changedAt: await nextStamp(account) })
+  notify(account, { kind: 'items' })
+  return { code: 204 }
+})
+
+// Without since: every item, newest created first, `after` is "createdAt|id"
+// of the last one sent. With since: items changed after that stamp by change,
+// `after` is the last stamp sent.
+const listItems = async (account, params) => {
+  const pageSize = Math.min(Number(params.get('limit')) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+  const since = params.has('since') ? Number(params.get('since')) : null
+  const after = params.get('after')
+  // Read before listing, so a write racing the listing is seen next time
+  const latest = await getLatestStamp(account)
+  const stored = await listJson(join(accountDir(account), 'items'))
+
+  let page
+  let nextAfter
+  if (since === null) {
+    const key = (entry) => `${entry.createdAt || ''}|${entry.id}`
+    const sorted = stored.sort((a, b) => key(a) > key(b) ? -1 : key(a) < key(b) ? 1 : 0)
+    page = (after ? sorted.filter(entry => key(entry) < after) : sorted).slice(0, pageSize)
+    nextAfter = page.length === pageSize ? key(page[page.length - 1]) : null
+  } else {
+    const from = Math.max(since, Number(after) || 0)
+    page = stored
+      .filter(entry => (entry.changedAt || 0) > from)
+      .sort((a, b) => a.changedAt - b.changedAt)
+      .slice(0, pageSize)
+    nextAfter = page.length === pageSize ? String(page[page.length - 1].changedAt) : null
+  }
+
+  const syncPoint = since === null && !after
+    ? latest
+    : page.reduce((newest, entry) => Math.max(newest, entry.changedAt || 0), since ?? 0)
+  return { records: page.map(toRecord), after: nextAfter, syncPoint }
+}
+
+const handleItems = async (request, response, account, parts, params) => {
+  // /items
+  if (parts.length === 0) {
+    if (request.method !== 'GET') throw new HttpError(405, 'Method not allowed')
+    return sendJson(response, 200, await listItems(account, params))
+  }
+
+  const id = segment(parts[0])
+
+  // /items/:id
+  if (parts.length === 1) {
+    if (request.method !== 'PUT' && request.method !== 'DELETE') throw new HttpError(405, 'Method not allowed')
+    const body = await readJsonBody(request)
+    const isDelete = request.method === 'DELETE'
+    const record = isDelete ? body.tombstone : body.record
+    if (!record || typeof record !== 'object' || String(record.id) !== id) {
+      throw new HttpError(400, 'Record does not match the item')
+    }
+    const result = await writeItem(account, id, { record, baseVersion: body.baseVersion }, { isDelete })
+    if (result.body) return sendJson(response, result.code, result.body)
+    response.writeHead(result.code)
+    return response.end()
+  }
+
+  // /items/:id/versions[/:versionId]
+  if (parts[1] !== 'versions' || parts.length > 3) throw new HttpError(404, 'Not found')
+  const versionsDir = join(accountDir(account), 'versions', id)
+
+  if (parts.length === 2) {
+    if (request.method !== 'GET') throw new HttpError(405, 'Method not allowed')
+    return sendJson(response, 200, { records: await listJson(versionsDir) })
+  }
+
+  const path = join(versionsDir, `${segment(parts[2])}.json`)
+  if (request.method === 'PUT') {
+    const { record } = await readJsonBody(request)
+    if (!record || typeof record !== 'object') throw new HttpError(400, 'Missing record')
+    await writeJson(path, record)
+  } else if (request.method === 'DELETE') {
+    await rm(path, { force: true })
+  } else {
+    throw new HttpError(405, 'Method not allowed')
+  }
+  response.writeHead(204)
+  response.end()
+}
+
+// Per-account values (keyring, library) with a revision for
+// optimistic concurrency
+const handleDocs = async (request, response, account, parts) => {
+  if (parts.length !== 1) throw new HttpError(404, 'Not found')
+  const name = segment(parts[0])
+  const path = join(accountDir(account), 'docs', `${name}.json`)
+
+  if (request.method === 'GET') {
+    const stored = await readJson(path, { value: null, revision: null })
+    return sendJson(response, 200, stored)
+  }
+  if (request.method !== 'PUT') throw new HttpError(405, 'Method not allowed')
+
+  const body = await readJsonBody(request)
+  const result = await withLock(account, async () => {
+    const stored = await readJson(path)
+    // No revision given: a plain overwrite
+    if (body.revision !== undefined && (stored?.revision ?? null) !== body.revision) {
+      return { code: 409 }
+    }
+    const revision = randomUUID()
+    await writeJson(path, { value: body.value ?? null, revision })
+    notify(account, { kind: 'doc', name })
+    return { code: 200, revision }
+  })
+
+  if (result.code === 409) throw new HttpError(409, 'Changed by another device')
+  sendJson(response, 200, { revision: result.revision })
+}
+
+const handleBlobs = async (request, response, account, parts) => {
+  if (parts.length === 0) throw new HttpError(404, 'Not found')
+  const path = join(accountDir(account), 'blobs', ...parts.map(segment))
+
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    let info
+    try {
+      info = await stat(path)
+    } catch {
+      throw new HttpError(404, 'Not found')
+    }
+    if (!info.isFile()) throw new HttpError(404, 'Not found')
+    response.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': info.size,
+      // Thumbnails and chunks can be rewritten under the same path, so
+      // a cached copy is checked with the server before every use
+      'Cache-Control': 'private, no-cache'
+    })
+    if (request.method === 'HEAD') return response.end()
+    return pipeline(createReadStream(path), response)
+  }
+
+  if (request.method === 'PUT') {
+    const length = Number(request.headers['content-length'])
+    if (length > MAX_BLOB_BYTES) throw new HttpError(413, 'Blob too large')
+    await mkdir(join(path, '..'), { recursive: true })
+    const temporary = `${path}.${randomUUID()}.tmp`
+    let size = 0
+    try {
+      await pipeline(
+        request,
+        async function* (source) {
+          for await (const chunk of source) {
+            size += chunk.length
+            if (size > MAX_BLOB_BYTES) throw new HttpError(413, 'Blob too large')
+            yield chunk
+          }
+        },
+        createWriteStream(temporary)
+      )
+      await rename(temporary, path)
+    } catch (error) {
+      await rm(temporary, { force: true })
+      throw error
+    }
+    response.writeHead(204)
+    return response.end()
+  }
+
+  if (request.method === 'DELETE') {
+    await rm(path, { force: true })
+    response.writeHead(204)
+    return response.end()
+  }
+
+  throw new HttpError(405, 'Method not allowed')
+}
+
+const route = async (request, response) => {
+  const url = new URL(request.url, 'http://localhost')
+  const [prefix, area, ...parts] = url.pathname.split('/').filter(Boolean)
+  if (prefix !== 'api') throw new HttpError(404, 'Not found')
+
+  // EventSource can't send headers, so the stream takes the token in the URL
+  const header = request.headers.authorization || ''
+  const token = area === 'events' ? url.searchParams.get('token') : header.replace(/^Bearer /, '')
+  const account = findAccount(token)
+  if (!account) throw new HttpError(401, 'Invalid access token')
+
+  switch (area) {
+    case 'ping':
+      return sendJson(response, 200, { ok: true, account })
+    case 'events':
+      return openEvents(request, response, account)
+    case 'items':
+      return handleItems(request, response, account, parts, url.searchParams)
+    case 'docs':
+      return handleDocs(request, response, account, parts)
+    case 'blobs':
+      return handleBlobs(request, response, account, parts)
+    default:
+      throw new HttpError(404, 'Not found')
+  }
+}
+
+const server = createServer(async (request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN)
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type')
+  response.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, PUT, DELETE, OPTIONS')
+  response.setHeader('Access-Control-Expose-Headers', 'Content-Length')
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204)
+    response.end()
+    return
+  }
+
+  try {
+    await route(request, response)
+  } catch (error) {
+    // The client went away mid-download
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return
+    const code = error instanceof HttpError ? error.code : 500
+    if (code === 500) console.error('Request failed:', request.method, request.url, error)
+    if (response.headersSent) {
+      response.destroy()
+    } else {
+      sendJson(response, code, { error: code === 500 ? 'Internal error' : error.message })
+    }
+  }
+})
+
+await mkdir(DATA_DIR, { recursive: true })
+server.listen(PORT, () => {
+  console.log(`=== Life Goes On sync server on http://localhost:${PORT} ===`)
+  console.log('Data:', DATA_DIR, '- accounts:', [...new Set(tokens.values())].join(', '))
+})
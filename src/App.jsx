@@ -1,121 +1,129 @@
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import './App.css'
 import {
-  saveItemToCloud,
-  loadItemsFromCloud,
-  deleteItemFromCloud,
+  loadItemPage,
+  loadChangesFromCloud,
   subscribeToItems,
-  checkFirebaseConfig
-} from './firebase'
+  migrateLegacyItems,
+  isCloudConfigured,
+  getCloudLabel,
+  getStoragePath,
+  loadSyncPoint,
+  saveSyncPoint,
+  saveLibraryToCloud,
+  subscribeToLibrary
+} from './cloud'
+import { onAuthChange, signOutUser } from './auth'
+import {
+  putItem,
+  saveItemsToDB,
+  deleteItemFromDB,
+  updateItemFields,
+  loadItemsFromDB,
+  putConflict,
+  loadConflicts,
+  deleteConflict,
+  putLibrary,
+  loadLibrary,
+  getReferencedContentIds
+} from './localRepository'
+import { storeFileContent, loadFileBlob, loadLocalFileBlob, loadThumbnailBlob, keepThumbnail, extractInlineData } from './fileStore'
+import { startOutbox, queueCloudWrite, getPendingItemIds, flushOutbox } from './outbox'
+import { startUploads, pauseUpload, resumeUpload, cancelUpload } from './uploads'
+import { recordVersion, loadHistory, applyVersion, pruneHistory } from './history'
+import {
+  loadSearchIndex,
+  clearSearchIndex,
+  syncSearchIndex,
+  getSearchRevision,
+  parseQuery,
+  searchItems,
+  getTextSnippet
+} from './searchIndex'
+import {
+  isTrashed,
+  isTrashExpired,
+  getPurgeTime,
+  moveToTrash,
+  restoreFromTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  TRASH_DAY_OPTIONS
+} from './trash'
+import { mergeItems, settleUnseenItems, applyItemChanges, fromCloud, isTombstone, getSyncBase } from './merge'
+import { exportVault, readVaultArchive, toImportedItem, ArchiveError } from './vaultArchive'
+import { ZipError } from './zip'
+import { verifyFiles, hasProblem } from './integrity'
+import { isFileDrag, getDroppedFiles, getInputFiles, getPastedContent } from './fileDrop'
+import { prepareImage, getImageOptions, saveImageOptions } from './imageProcessing'
+import { getCloudSettings, saveCloudSettings, sameCloud } from './cloudSettings'
+import { getDeploymentSetup } from './firebaseConfig'
+import { switchCloud, takeCarriedLibrary } from './cloudSwitch'
+import { handleServiceWorkerMessages, clearCachedDownloads, hasSharedContent, takeSharedContent } from './pwa'
+import {
+  createBackup,
+  isBackupDue,
+  getBackupSettings,
+  saveBackupSettings
+} from './backups'
+import {
+  readViewFromUrl,
+  writeViewToUrl,
+  matchesAdvancedFilters,
+  countAdvancedFilters,
+  compareItems,
+  SORT_FIELDS,
+  LAYOUTS,
+  DEFAULT_VIEW
+} from './viewState'
+import {
+  emptyLibrary,
+  mergeLibraries,
+  sameLibrary,
+  getFolderIds,
+  getItemTags,
+  addFolder,
+  addFolderPath,
+  renameFolder,
+  removeFolder,
+  addTag,
+  updateTag,
+  removeTag,
+  getTags,
+  TAG_COLORS,
+  ITEM_DRAG_TYPE
+} from './library'
+import { unlockVault, lockVault, rotateVaultPassphrase, getVaultErrorMessage } from './vault'
+import AuthScreen from './components/AuthScreen'
+import UnlockScreen from './components/UnlockScreen'
+import ChangePasswordDialog from './components/ChangePasswordDialog'
+import VirtualGrid from './components/VirtualGrid'
+import ItemList from './components/ItemList'
+import SyncSettings from './components/SyncSettings'
+import ItemImage from './components/ItemImage'
+import ConflictDialog from './components/ConflictDialog'
+import UploadProgress from './components/UploadProgress'
+import InlineEditor from './components/InlineEditor'
+import HistoryDialog from './components/HistoryDialog'
+import Highlight from './components/Highlight'
+import FolderSidebar from './components/FolderSidebar'
+import OrganizeDialog from './components/OrganizeDialog'
+import AdvancedFilters from './components/AdvancedFilters'
+import ImportReport from './components/ImportReport'
+import RestorePoints from './components/RestorePoints'
+import VerifyReport from './components/VerifyReport'
+import UploadOptions from './components/UploadOptions'
 
 // Security constants
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB limit
+const MAX_CLOUD_FILE_SIZE = 100 * 1024 * 1024 // 100MB, uploads are chunked and resumable
 const MAX_NOTE_LENGTH = 5000
-const MAX_ITEMS = 500 // Increased limit with IndexedDB
-
-// Secret password (hardcoded for reliability)
-const SECRET_PASSWORD = 'prospee123@'
-
-// IndexedDB configuration (for offline fallback)
-const DB_NAME = 'LifeGoesOnDB'
-const DB_VERSION = 1
-const STORE_NAME = 'items'
-
-// IndexedDB helper functions (kept for offline support)
-const openDatabase = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION)
-
-    request.onerror = () => reject(request.error)
-    request.onsuccess = () => resolve(request.result)
-
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: 'id' })
-      }
-    }
-  })
-}
-
-const saveItemsToDB = async (items, forceEmpty = false) => {
-  console.log('=== SAVING TO LOCAL DB ===', { itemCount: items.length, forceEmpty })
-
-  try {
-    const db = await openDatabase()
-
-    if (items.length === 0 && !forceEmpty) {
-      const existingCount = await new Promise((resolve) => {
-        const transaction = db.transaction([STORE_NAME], 'readonly')
-        const store = transaction.objectStore(STORE_NAME)
-        const countRequest = store.count()
-        countRequest.onsuccess = () => resolve(countRequest.result)
-        countRequest.onerror = () => resolve(0)
-      })
-
-      if (existingCount > 0) {
-        console.log('Prevented saving empty array over existing data')
-        db.close()
-        return
-      }
-    }
-
-    await new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite')
-      const store = transaction.objectStore(STORE_NAME)
-
-      const clearRequest = store.clear()
-
-      clearRequest.onsuccess = () => {
-        items.forEach(item => store.add(item))
-      }
-
-      transaction.oncomplete = () => {
-        console.log('=== LOCAL SAVE COMPLETE ===', { savedCount: items.length })
-        db.close()
-        resolve()
-      }
-      transaction.onerror = () => {
-        console.error('=== LOCAL SAVE ERROR ===', transaction.error)
-        db.close()
-        reject(transaction.error)
-      }
-    })
-  } catch (error) {
-    console.error('=== LOCAL SAVE FAILED ===', error)
-    throw error
-  }
-}
+const MAX_ITEMS = 5000 // the grid only renders what's on screen
+const CARD_ROW_HEIGHT = 320 // estimate for rows of cards not yet measured
 
-const loadItemsFromDB = async () => {
-  console.log('=== LOADING FROM LOCAL DB ===')
-  try {
-    const db = await openDatabase()
-    const items = await new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readonly')
-      const store = transaction.objectStore(STORE_NAME)
-      const request = store.getAll()
-
-      request.onsuccess = () => {
-        db.close()
-        const items = request.result.sort((a, b) =>
-          new Date(b.createdAt) - new Date(a.createdAt)
-        )
-        console.log('=== LOCAL LOAD COMPLETE ===', { loadedCount: items.length })
-        resolve(items)
-      }
-      request.onerror = () => {
-        console.error('=== LOCAL LOAD ERROR ===', request.error)
-        db.close()
-        reject(request.error)
-      }
-    })
-    return items
-  } catch (error) {
-    console.error('=== LOCAL LOAD FAILED ===', error)
-    throw error
-  }
-}
+// How often to check whether a scheduled backup is due
+const BACKUP_CHECK_DELAY = 60 * 1000 // first check, once the vault has loaded
+const BACKUP_CHECK_INTERVAL = 15 * 60 * 1000
 
 const getStorageEstimate = async () => {
   if (navigator.storage && navigator.storage.estimate) {
@@ -164,6 +172,21 @@ const sanitizeText = (text) => {
     .trim()
 }
 
+// Reverse sanitizeText, so an edit starts from the text the user typed
+// and saving it again doesn't escape it twice
+const unsanitizeText = (text) => {
+  if (typeof text !== 'string') return ''
+  return text
+    .replace(/&#x27;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&')
+}
+
+// Whether a file item's bytes can be reached locally or in the cloud
+const hasFileContent = (item) => !!(item.contentId || item.data)
+
 // Generate secure unique ID
 const generateId = () => {
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -189,21 +212,103 @@ const safeJSONParse = (data, fallback = []) => {
 }
 
 function App() {
-  const [isUnlocked, setIsUnlocked] = useState(false)
-  const [password, setPassword] = useState('')
-  const [authError, setAuthError] = useState('')
+  const [user, setUser] = useState(null)
+  const [authReady, setAuthReady] = useState(false)
+  const [vaultUnlocked, setVaultUnlocked] = useState(false)
+  const [showChangePassword, setShowChangePassword] = useState(false)
+  const [showSyncSettings, setShowSyncSettings] = useState(false)
 
   const initialLoadDone = useRef(false)
 
   const [items, setItems] = useState([])
+  const [itemsLoaded, setItemsLoaded] = useState(false)
+  const itemsRef = useRef(items)
+  const [conflicts, setConflicts] = useState([])
+  const conflictsRef = useRef(conflicts)
+  const [showConflicts, setShowConflicts] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [historyItem, setHistoryItem] = useState(null)
+  const [trashDays, setTrashDays] = useState(getTrashRetentionDays)
+  const [searchQuery, setSearchQuery] = useState('')
+  const [searchReady, setSearchReady] = useState(false)
+  const [searchRevision, setSearchRevision] = useState(getSearchRevision) // changes with the index
+  const [library, setLibrary] = useState(emptyLibrary) // tag and folder definitions
+  const libraryRef = useRef(library)
+  const [organizingItem, setOrganizingItem] = useState(null)
+  const replaceInputRef = useRef(null)
+  const replacingItemRef = useRef(null)
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false)
+  const dragDepthRef = useRef(0) // dragenter/dragleave fire for every element crossed
+  const pageHandlersRef = useRef(null)
+  const [imageOptions, setImageOptions] = useState(getImageOptions) // per device
+  const [showUploadOptions, setShowUploadOptions] = useState(false)
+  const [lastImageUpload, setLastImageUpload] = useState(null) // [{ name, before, after, changes }]
   const [noteText, setNoteText] = useState('')
-  const [filter, setFilter] = useState('all')
+  // Filter tab, sort, advanced filters, folder and tag; mirrored in the URL
+  const [view, setView] = useState(readViewFromUrl)
+  const [showAdvancedFilters, setShowAdvancedFilters] = useState(false)
+  const [archiveStatus, setArchiveStatus] = useState(null) // progress text while exporting, importing or verifying
+  const [importReport, setImportReport] = useState(null)
+  const [verifyReport, setVerifyReport] = useState(null)
+  const importInputRef = useRef(null)
+  const [backupSettings, setBackupSettings] = useState(getBackupSettings) // per device
+  const [showRestorePoints, setShowRestorePoints] = useState(false)
+  const backupRunningRef = useRef(false)
   const [notification, setNotification] = useState(null)
   const [storageInfo, setStorageInfo] = useState({ used: 0, quota: 0 })
   const [isSaving, setIsSaving] = useState(false)
   const [viewingItem, setViewingItem] = useState(null)
   const [cloudEnabled, setCloudEnabled] = useState(false)
+  const [liveSync, setLiveSync] = useState(false) // the first cloud load is done
+  const syncPointRef = useRef(null) // where the real-time listener picks up
+  const [cloudCursor, setCloudCursor] = useState(null) // next page of a first cloud load, null once all are in
+  const pagedLoadRef = useRef(null) // { seenIds, loading } while that load pages in
   const [syncStatus, setSyncStatus] = useState('checking') // checking, synced, syncing, offline
+  const [pendingCount, setPendingCount] = useState(0)
+  const [uploads, setUploads] = useState({}) // itemId -> upload job
+
+  const { filter, folder: folderFilter, tag: tagFilter } = view
+  const updateView = (changes) => setView(prevView => ({ ...prevView, ...changes }))
+  const setFilter = (filter) => updateView({ filter })
+  const setFolderFilter = (folder) => updateView({ folder })
+  const setTagFilter = (tag) => updateView({ tag })
+
+  useEffect(() => {
+    writeViewToUrl(view)
+  }, [view])
+
+  // Latest values for async callbacks (real-time merges)
+  useEffect(() => {
+    itemsRef.current = items
+    conflictsRef.current = conflicts
+  }, [items, conflicts])
+
+  // Load the search index once the vault can decrypt it
+  useEffect(() => {
+    if (!user || !vaultUnlocked) return
+    let cancelled = false
+
+    loadSearchIndex()
+      .catch(error => console.error('Error loading search index:', error))
+      .finally(() => {
+        if (!cancelled) setSearchReady(true)
+      })
+    return () => { cancelled = true }
+  }, [user, vaultUnlocked])
+
+  // Keep the index in step with every add, edit and delete, wherever it came from
+  useEffect(() => {
+    if (!searchReady) return
+    syncSearchIndex(items, loadLocalFileBlob)
+      .then(setSearchRevision)
+      .catch(error => console.error('Error updating search index:', error))
+  }, [items, searchReady])
+
+  const searchClauses = useMemo(() => parseQuery(searchQuery), [searchQuery])
+  const searchMatches = useMemo(
+    () => searchItems(searchClauses, searchRevision),
+    [searchClauses, searchRevision]
+  )
 
   // Show notification
   const showNotification = useCallback((message, type = 'info') => {
@@ -211,64 +316,299 @@ function App() {
     setTimeout(() => setNotification(null), 3000)
   }, [])
 
-  // Check if already unlocked this session
+  // Track the signed-in user
   useEffect(() => {
-    const unlocked = sessionStorage.getItem('lifeGoesOnUnlocked')
-    if (unlocked === 'true') {
-      setIsUnlocked(true)
-    }
+    // Drop the flag left behind by the old shared-password gate
+    sessionStorage.removeItem('lifeGoesOnUnlocked')
+
+    const unsubscribe = onAuthChange((currentUser) => {
+      setUser(currentUser)
+      setAuthReady(true)
+      if (!currentUser) {
+        // Clear everything belonging to the previous session
+        lockVault()
+        setVaultUnlocked(false)
+        initialLoadDone.current = false
+        setLiveSync(false)
+        syncPointRef.current = null
+        pagedLoadRef.current = null
+        setCloudCursor(null)
+        setItems([])
+        setItemsLoaded(false)
+        clearCachedDownloads().catch(error => console.error('Error clearing cached downloads:', error))
+        setHistoryItem(null)
+        setOrganizingItem(null)
+        setImportReport(null)
+        setVerifyReport(null)
+        setShowRestorePoints(false)
+        libraryRef.current = emptyLibrary()
+        setLibrary(libraryRef.current)
+        setView(prevView => ({ ...prevView, folder: null, tag: null }))
+        setSearchQuery('')
+        setSearchReady(false)
+        clearSearchIndex()
+        setConflicts([])
+        setShowConflicts(false)
+        setViewingItem(null)
+        setSyncStatus('checking')
+      }
+    })
+    return () => unsubscribe()
   }, [])
 
-  // Handle password submit
-  const handleUnlock = (e) => {
-    e.preventDefault()
-    setAuthError('')
-
-    if (password === SECRET_PASSWORD) {
-      sessionStorage.setItem('lifeGoesOnUnlocked', 'true')
-      setIsUnlocked(true)
-      setPassword('')
+  // The account password doubles as the vault passphrase
+  const handleAuthenticated = async (authenticatedUser, password) => {
+    try {
+      await unlockVault(authenticatedUser, password)
+      setVaultUnlocked(true)
       showNotification('Welcome back!', 'success')
-    } else {
-      setAuthError('Incorrect password')
+    } catch (error) {
+      console.error('Vault unlock error:', error)
+      showNotification(getVaultErrorMessage(error), 'error')
+    }
+  }
+
+  const handlePasswordChanged = async (currentPassword, newPassword) => {
+    try {
+      await rotateVaultPassphrase(user, newPassword)
+      showNotification('Password updated', 'success')
+    } catch (error) {
+      console.error('Vault key rotation error:', error)
+      showNotification('Password updated, but your vault still unlocks with the old password', 'error')
+    }
+  }
+
+  // Move this device's vault to another cloud; the new provider starts
+  // with the page
+  const handleSwitchCloud = async (settings, onProgress) => {
+    // Same cloud, e.g. a corrected config: nothing to move
+    if (sameCloud(settings, getCloudSettings())) {
+      saveCloudSettings(settings)
+      window.location.reload()
+      return
+    }
+    if (!window.confirm('Switch clouds? This device will sync with the new one after the app reloads.')) return
+    const run = (skipMissing) => switchCloud({ uid: user.uid, library: libraryRef.current, settings, onProgress, skipMissing })
+    try {
+      await run(false)
+    } catch (error) {
+      if (error.code !== 'cloud-switch/missing-content' ||
+        !window.confirm(`${error.message}. Switch anyway? Those files will have no content on this device.`)) {
+        throw error
+      }
+      await run(true)
+    }
+    window.location.reload()
+  }
+
+  const handleSignOut = async () => {
+    try {
+      await signOutUser()
+    } catch (error) {
+      console.error('Sign out error:', error)
+      showNotification('Error signing out', 'error')
     }
   }
 
-  // Load items from cloud and/or IndexedDB on mount
+  // A queued cloud write landed: keep the download URL etc. it produced
+  const handleCloudWriteSynced = useCallback((op, itemId, cloudFields) => {
+    if (op !== 'put') return
+    // An edit made after the write was queued keeps its newer updatedAt,
+    // so the item still counts as changed
+    const { updatedAt, ...syncedFields } = cloudFields
+    const applySynced = (item) => ({ ...syncedFields, updatedAt: Math.max(item.updatedAt || 0, updatedAt || 0) })
+    // Now in the cloud, so not gone from it when a first load settles
+    pagedLoadRef.current?.seenIds.add(itemId)
+    setItems(prevItems => prevItems.map(item =>
+      item.id === itemId ? { ...item, ...applySynced(item) } : item
+    ))
+    updateItemFields(itemId, applySynced).catch(error =>
+      console.error('Error updating local copy:', error)
+    )
+  }, [])
+
+  // Remember a sync conflict until the user resolves it
+  const recordConflict = useCallback(async (conflict) => {
+    const entry = { ...conflict, detectedAt: Date.now() }
+    setConflicts(prevConflicts => [
+      ...prevConflicts.filter(existing => existing.itemId !== entry.itemId),
+      entry
+    ])
+    try {
+      await putConflict(entry)
+    } catch (error) {
+      console.error('Error saving conflict:', error)
+    }
+  }, [])
+
+  const handleCloudConflict = useCallback((conflict) => {
+    recordConflict(conflict)
+    showNotification('An item was changed on another device. Please review the conflict.', 'info')
+  }, [recordConflict, showNotification])
+
+  // Merge cloud items into the local set and persist only what changed
+  // Queued writes and open conflicts are left alone until they settle
+  const getSkippedItemIds = useCallback(async () => {
+    const skipIds = await getPendingItemIds()
+    conflictsRef.current.forEach(conflict => skipIds.add(conflict.itemId))
+    return skipIds
+  }, [])
+
+  // Store what a merge decided and apply it to the item list. Resolves to
+  // the merged items (for the next page of a load) and what was queued.
+  const reconcileWithCloud = useCallback(async (localItems, remoteItems, { partial = false } = {}) => {
+    const { items: mergedItems, changed, removedIds, toUpload, conflicts: newConflicts } =
+      mergeItems(localItems, remoteItems, await getSkippedItemIds(), { partial })
+
+    setItems(prevItems => applyItemChanges(prevItems, changed, removedIds))
+    await saveItemsToDB(changed)
+    for (const id of removedIds) {
+      await deleteItemFromDB(id)
+    }
+    for (const item of toUpload) {
+      await queueCloudWrite('put', item)
+    }
+    for (const conflict of newConflicts) {
+      await recordConflict(conflict)
+    }
+
+    return { items: mergedItems, uploaded: toUpload.length, conflicts: newConflicts.length }
+  }, [recordConflict, getSkippedItemIds])
+
+  // After a load in pages: the local items the cloud sent nothing for
+  const settleUnseen = useCallback(async (localItems, seenIds, { complete }) => {
+    const { removedIds, toUpload } = settleUnseenItems(localItems, seenIds, await getSkippedItemIds(), { complete })
+    setItems(prevItems => applyItemChanges(prevItems, [], removedIds))
+    for (const id of removedIds) {
+      await deleteItemFromDB(id)
+    }
+    for (const item of toUpload) {
+      await queueCloudWrite('put', item)
+    }
+    return toUpload.length
+  }, [getSkippedItemIds])
+
+  // Replay queued cloud writes. Declared before the load effect so the
+  // outbox is running by the time loading looks at pending writes.
+  useEffect(() => {
+    if (!user || !vaultUnlocked || !isCloudConfigured()) return
+
+    const stopUploads = startUploads({
+      uid: user.uid,
+      onChange: (jobs) => setUploads(Object.fromEntries(jobs.map(job => [job.itemId, job]))),
+      // The item's metadata was waiting on its bytes
+      onComplete: () => flushOutbox()
+    })
+    const stopOutbox = startOutbox({
+      uid: user.uid,
+      onSynced: handleCloudWriteSynced,
+      onConflict: handleCloudConflict,
+      onPendingChange: setPendingCount
+    })
+    // Background sync (service worker) asks this tab to send what's queued
+    const stopMessages = handleServiceWorkerMessages({
+      onFlushOutbox: async () => {
+        await flushOutbox()
+        return (await getPendingItemIds()).size === 0
+      }
+    })
+    return () => {
+      stopMessages()
+      stopOutbox()
+      stopUploads()
+      setPendingCount(0)
+      setUploads({})
+    }
+  }, [user, vaultUnlocked, handleCloudWriteSynced, handleCloudConflict])
+
+  // Load items from cloud and/or IndexedDB on sign-in
   useEffect(() => {
-    if (!isUnlocked) return
+    if (!user || !vaultUnlocked) return
 
     const loadItems = async () => {
       try {
         await requestPersistentStorage()
 
-        // Check if Firebase is configured
-        const firebaseConfigured = checkFirebaseConfig()
-        setCloudEnabled(firebaseConfigured)
+        // Check if this device syncs with a cloud
+        const cloudConfigured = isCloudConfigured()
+        setCloudEnabled(cloudConfigured)
 
-        if (firebaseConfigured) {
+        if (cloudConfigured) {
           setSyncStatus('syncing')
-          // Try to load from cloud first
-          const cloudItems = await loadItemsFromCloud()
 
-          if (cloudItems.length > 0) {
-            setItems(cloudItems)
-            // Also save to local for offline access
-            await saveItemsToDB(cloudItems)
-            setSyncStatus('synced')
-            showNotification('Synced from cloud!', 'success')
-          } else {
-            // No cloud data, try local
-            const dbItems = await loadItemsFromDB()
-            if (dbItems.length > 0) {
-              setItems(dbItems)
-              // Upload local data to cloud
-              for (const item of dbItems) {
-                await saveItemToCloud(item)
+          // Move items from the old shared collection if this user owns them
+          const migratedCount = await migrateLegacyItems()
+          if (migratedCount > 0) {
+            showNotification(`Moved ${migratedCount} item(s) into your account`, 'success')
+          }
+
+          const savedConflicts = await loadConflicts()
+          conflictsRef.current = savedConflicts
+          setConflicts(savedConflicts)
+          const localItems = await loadItemsFromDB()
+          // This device's copy shows while the cloud loads
+          setItems(localItems)
+
+          // Only what changed since the last sync. The first time, just the
+          // newest page: later ones load as the grid nears its end (see
+          // loadNextPage), and the sync point is kept once all are in.
+          const since = await loadSyncPoint(user.uid)
+          let syncPoint = null
+          let merged = localItems
+          let conflictCount = 0
+          let uploaded = 0
+          const mergePage = async (cloudItems) => {
+            const result = await reconcileWithCloud(merged, cloudItems, { partial: true })
+            merged = result.items
+            conflictCount += result.conflicts
+            uploaded += result.uploaded
+          }
+          try {
+            if (since === null) {
+              const page = await loadItemPage()
+              const seenIds = new Set(page.items.map(item => item.id))
+              await mergePage(page.items)
+              syncPoint = page.syncPoint
+              if (page.after) {
+                pagedLoadRef.current = { seenIds, loading: false }
+                setCloudCursor(page.after)
+              } else {
+                uploaded += await settleUnseen(merged, seenIds, { complete: true })
+                await saveSyncPoint(user.uid, syncPoint)
               }
-              setSyncStatus('synced')
-              showNotification('Local data uploaded to cloud!', 'success')
+            } else {
+              const seenIds = new Set()
+              syncPoint = await loadChangesFromCloud({
+                since,
+                onPage: async (cloudItems) => {
+                  cloudItems.forEach(item => seenIds.add(item.id))
+                  await mergePage(cloudItems)
+                }
+              })
+              uploaded += await settleUnseen(merged, seenIds, { complete: false })
+              await saveSyncPoint(user.uid, syncPoint)
+            }
+          } catch {
+            // Offline: show what we have; the outbox and the real-time
+            // listener catch up once the connection is back
+            syncPoint = null
+          }
+
+          // Live changes pick up from where loading stopped
+          syncPointRef.current = syncPoint ?? since
+          setLiveSync(true)
+
+          if (syncPoint !== null) {
+            setSyncStatus('synced')
+            if (conflictCount > 0) {
+              showNotification(`${conflictCount} item(s) changed on two devices. Please review.`, 'info')
+            } else if (uploaded > 0) {
+              showNotification('Uploading local data to cloud...', 'success')
+            } else {
+              showNotification('Synced from cloud!', 'success')
             }
+          } else {
+            setSyncStatus('offline')
           }
         } else {
           setSyncStatus('offline')
@@ -280,7 +620,10 @@ function App() {
             // Migrate from localStorage if exists
             const savedItems = localStorage.getItem('myImportantItems')
             if (savedItems) {
-              const parsed = safeJSONParse(savedItems, [])
+              const parsed = []
+              for (const item of safeJSONParse(savedItems, [])) {
+                parsed.push(await extractInlineData(item))
+              }
               setItems(parsed)
               if (parsed.length > 0) {
                 await saveItemsToDB(parsed)
@@ -291,6 +634,11 @@ function App() {
           }
         }
 
+        // Expire old versions now and then, not only when new ones are made
+        pruneHistory({ cloud: cloudConfigured }).catch(error =>
+          console.error('Error pruning history:', error)
+        )
+
         const info = await getStorageEstimate()
         setStorageInfo(info)
       } catch (error) {
@@ -298,34 +646,117 @@ function App() {
         setSyncStatus('offline')
         showNotification('Error loading items', 'error')
       } finally {
+        setItemsLoaded(true)
         setTimeout(() => {
           initialLoadDone.current = true
         }, 100)
       }
     }
     loadItems()
-  }, [isUnlocked, showNotification])
+  }, [user, vaultUnlocked, showNotification, reconcileWithCloud, settleUnseen])
 
-  // Subscribe to real-time updates from cloud
+  // Subscribe to real-time updates from cloud once loading is done:
+  // only changes arrive, and they're merged into the list as they come
   useEffect(() => {
-    if (!isUnlocked || !cloudEnabled) return
-
-    const unsubscribe = subscribeToItems((cloudItems) => {
-      if (initialLoadDone.current) {
-        setItems(cloudItems)
-        setSyncStatus('synced')
-      }
+    if (!user || !vaultUnlocked || !cloudEnabled || !liveSync) return
+    const uid = user.uid
+
+    const unsubscribe = subscribeToItems(syncPointRef.current, async (cloudItems, syncPoint) => {
+      cloudItems.forEach(item => pagedLoadRef.current?.seenIds.add(item.id))
+      await reconcileWithCloud(itemsRef.current, cloudItems, { partial: true })
+      syncPointRef.current = syncPoint
+      // Mid first load the older pages aren't in yet, so the next start
+      // has to load everything again
+      if (!pagedLoadRef.current) await saveSyncPoint(uid, syncPoint)
+      setSyncStatus('synced')
     })
 
     return () => unsubscribe()
-  }, [isUnlocked, cloudEnabled])
+  }, [user, vaultUnlocked, cloudEnabled, liveSync, reconcileWithCloud])
+
+  // The next page of a first cloud load, asked for as the grid nears its
+  // end. After the last, the items the cloud never sent are settled and
+  // the sync point is kept. Offline, it's tried again next time.
+  const loadNextPage = useCallback(async () => {
+    const paged = pagedLoadRef.current
+    if (!user || !cloudCursor || !paged || paged.loading) return
+    paged.loading = true
+    try {
+      const page = await loadItemPage(cloudCursor)
+      // Signed out meanwhile
+      if (pagedLoadRef.current !== paged) return
+      page.items.forEach(item => paged.seenIds.add(item.id))
+      await reconcileWithCloud(itemsRef.current, page.items, { partial: true })
+      if (!page.after) {
+        await settleUnseen(itemsRef.current, paged.seenIds, { complete: true })
+        pagedLoadRef.current = null
+        await saveSyncPoint(user.uid, syncPointRef.current)
+      }
+      setCloudCursor(page.after)
+    } catch {
+      setSyncStatus('offline')
+    } finally {
+      paged.loading = false
+    }
+  }, [user, cloudCursor, reconcileWithCloud, settleUnseen])
+
+  // Load this user's tags and folders, then keep them in step with the cloud
+  useEffect(() => {
+    if (!user || !vaultUnlocked) return
+    const uid = user.uid
+    let cancelled = false
+    let unsubscribe = () => {}
+
+    const applyLibrary = async (next) => {
+      libraryRef.current = next
+      setLibrary(next)
+      await putLibrary(uid, next)
+    }
+
+    loadLibrary(uid)
+      .then(async saved => {
+        if (cancelled) return
+        // Tags and folders this device brought along from another cloud
+        const carried = await takeCarriedLibrary().catch(error => {
+          console.error('Error reading carried folders and tags:', error)
+          return null
+        })
+        const loaded = saved ? mergeLibraries(saved, carried) : carried || emptyLibrary()
+        // Taking the carried library cleared it, so it's stored either way
+        if (carried) await putLibrary(uid, loaded)
+        // Signed out or rerun meanwhile: the cleanup has already run
+        if (cancelled) return
+        libraryRef.current = loaded
+        setLibrary(loaded)
+        if (!isCloudConfigured()) return
+
+        unsubscribe = subscribeToLibrary(async (remote, fromServer) => {
+          try {
+            const merged = mergeLibraries(libraryRef.current, remote)
+            if (!sameLibrary(merged, libraryRef.current)) await applyLibrary(merged)
+            // Changes made here while offline still have to go up
+            if (fromServer && !sameLibrary(merged, remote || emptyLibrary())) {
+              await applyLibrary(await saveLibraryToCloud(merged))
+            }
+          } catch (error) {
+            console.error('Error syncing folders and tags:', error)
+          }
+        })
+      })
+      .catch(error => console.error('Error loading folders and tags:', error))
+
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [user, vaultUnlocked])
 
-  // Helper function to save items - saves to both local and cloud
-  const saveItems = useCallback(async (newItems) => {
+  // Run a local write, keeping the saving indicator and storage estimate current
+  const persistLocally = useCallback(async (operation) => {
     setIsSaving(true)
     setSyncStatus('syncing')
     try {
-      await saveItemsToDB(newItems)
+      await operation()
       const info = await getStorageEstimate()
       setStorageInfo(info)
       setSyncStatus(cloudEnabled ? 'synced' : 'offline')
@@ -338,45 +769,114 @@ function App() {
     }
   }, [showNotification, cloudEnabled])
 
-  // Validate file before upload
-  const validateFile = (file) => {
-    if (file.size > MAX_FILE_SIZE) {
-      showNotification(`File "${file.name}" is too large. Max size is 10MB.`, 'error')
-      return false
+  // Why a file can't be added, or null if it can. isNew: it becomes a new
+  // item rather than replacing an item's content.
+  const getFileProblem = (file, { isNew = true, itemCount = items.length } = {}) => {
+    const maxSize = cloudEnabled ? MAX_CLOUD_FILE_SIZE : MAX_FILE_SIZE
+    if (file.size > maxSize) {
+      return `File "${file.name}" is too large. Max size is ${formatFileSize(maxSize)}.`
     }
 
     if (file.type && !ALLOWED_FILE_TYPES.includes(file.type)) {
-      showNotification(`File type "${file.type}" is not allowed.`, 'error')
-      return false
+      return `File type "${file.type}" is not allowed.`
     }
 
-    if (items.length >= MAX_ITEMS) {
-      showNotification(`Maximum ${MAX_ITEMS} items allowed. Please delete some items.`, 'error')
-      return false
+    if (isNew && itemCount >= MAX_ITEMS) {
+      return `Maximum ${MAX_ITEMS} items allowed. Please delete some items.`
     }
 
-    return true
+    return null
   }
 
-  const handleFileUpload = async (e) => {
-    const files = Array.from(e.target.files)
-    if (files.length === 0) return
+  const validateFile = (file, options) => {
+    const problem = getFileProblem(file, options)
+    if (problem) showNotification(problem, 'error')
+    return !problem
+  }
+
+  // New items land in the folder and tag being viewed, so they don't vanish from view
+  const getNewItemPlacement = () => ({
+    folderId: folderFilter,
+    tags: tagFilter ? [tagFilter] : []
+  })
+
+  const changeImageOptions = (changes) => {
+    const next = { ...imageOptions, ...changes }
+    saveImageOptions(next)
+    setImageOptions(next)
+  }
+
+  // Apply the image options to files about to be stored. Resolves to the
+  // entries with their prepared files, and records the images' before and
+  // after sizes for the options panel.
+  const prepareFiles = async (entries) => {
+    const prepared = []
+    const report = []
+    for (const entry of entries) {
+      const { file, changes } = await prepareImage(entry.file, imageOptions)
+      if (entry.file.type.startsWith('image/')) {
+        report.push({ name: entry.file.name, before: entry.file.size, after: file.size, changes })
+      }
+      prepared.push({ ...entry, file })
+    }
+    if (report.length > 0) setLastImageUpload(report)
+    return { entries: prepared, report }
+  }
+
+  // " Images: 12 MB -> 3 MB" when preparing images made them smaller
+  const describeImageSavings = (report) => {
+    const before = report.reduce((total, entry) => total + entry.before, 0)
+    const after = report.reduce((total, entry) => total + entry.after, 0)
+    return after < before ? ` Images: ${formatFileSize(before)} -> ${formatFileSize(after)}` : ''
+  }
+
+  // Add files from the picker, a drop or a paste: [{ file, folders }],
+  // where folders (from a dropped or picked folder) become nested folders
+  // under the current one
+  const addFiles = async (picked) => {
+    if (picked.length === 0) return
+
+    // Images are prepared first so a downscaled photo can fit the size limit
+    const { entries, report } = await prepareFiles(picked)
+
+    // Check everything first so rejected files don't leave empty folders
+    const accepted = []
+    for (const entry of entries) {
+      if (validateFile(entry.file, { itemCount: items.length + accepted.length })) accepted.push(entry)
+    }
+    if (accepted.length === 0) return
 
     setIsSaving(true)
     setSyncStatus('syncing')
 
-    let currentItems = [...items]
+    const placement = getNewItemPlacement()
+    const folderIds = new Map() // folder path -> folder ID
+    const paths = accepted.filter(entry => entry.folders.length > 0)
+    if (paths.length > 0) {
+      await changeLibrary(current => {
+        let next = current
+        paths.forEach(({ folders }) => {
+          const added = addFolderPath(next, folders, placement.folderId, generateId)
+          next = added.library
+          folderIds.set(folders.join('/'), added.folderId)
+        })
+        return next
+      })
+    }
 
-    for (const file of files) {
-      if (!validateFile(file)) continue
+    let addedCount = 0
+    const known = [...items]
+    const duplicates = [] // [newName, existingName]
 
+    // Each file shows up (and starts uploading) as soon as it is stored
+    // locally instead of waiting for the whole batch
+    for (const { file, folders } of accepted) {
       try {
-        const data = await new Promise((resolve, reject) => {
-          const reader = new FileReader()
-          reader.onload = (event) => resolve(event.target.result)
-          reader.onerror = () => reject(new Error('Failed to read file'))
-          reader.readAsDataURL(file)
-        })
+        // Bytes go to the blob store; the item only references them.
+        // Identical content is stored (and uploaded) only once.
+        const { contentId, contentHash } = await storeFileContent(file)
+        const duplicate = known.find(other => other.type === 'file' && other.contentHash === contentHash)
+        if (duplicate) duplicates.push([file.name, unsanitizeText(duplicate.name)])
 
         const newItem = {
           id: generateId(),
@@ -384,55 +884,65 @@ function App() {
           name: sanitizeText(file.name),
           size: file.size,
           fileType: file.type || 'application/octet-stream',
-          data: data,
+          contentId,
+          contentHash,
           important: false,
-          createdAt: new Date().toISOString()
+          ...placement,
+          folderId: folders.length > 0 ? folderIds.get(folders.join('/')) : placement.folderId,
+          createdAt: new Date().toISOString(),
+          updatedAt: Date.now()
         }
 
-        // Save to cloud if enabled
+        known.push(newItem)
+        setItems(prevItems => [newItem, ...prevItems])
+        await persistLocally(() => putItem(newItem))
+
+        // Queue the cloud upload; it runs in the background and survives going offline
         if (cloudEnabled) {
-          try {
-            const cloudItem = await saveItemToCloud(newItem)
-            // Use cloud item (has download URL instead of base64 for files)
-            currentItems = [cloudItem || newItem, ...currentItems]
-          } catch (cloudError) {
-            console.error('Cloud save failed, using local:', cloudError)
-            currentItems = [newItem, ...currentItems]
-          }
-        } else {
-          currentItems = [newItem, ...currentItems]
+          await queueCloudWrite('put', newItem)
         }
+        addedCount++
       } catch (error) {
         console.error('Upload error:', error)
         showNotification(`Error uploading "${file.name}"`, 'error')
       }
     }
 
-    setItems(currentItems)
-    await saveItems(currentItems)
-    showNotification(`${files.length} file(s) uploaded!`, 'success')
+    if (duplicates.length === 1) {
+      const [name, existingName] = duplicates[0]
+      showNotification(`"${name}" is the same file as "${existingName}"; they share one stored copy`, 'info')
+    } else if (duplicates.length > 1) {
+      showNotification(`${duplicates.length} files were already in your vault; copies share their stored content`, 'info')
+    } else if (addedCount > 0) {
+      showNotification(`${addedCount} file(s) added!${describeImageSavings(report)}`, 'success')
+    }
     setIsSaving(false)
     setSyncStatus(cloudEnabled ? 'synced' : 'offline')
+  }
 
+  const handleFileUpload = async (e) => {
+    const entries = getInputFiles(e.target.files)
     e.target.value = ''
+    await addFiles(entries)
   }
 
-  const handleAddNote = async () => {
-    const trimmedNote = noteText.trim()
+  // Add a note; returns false if it was rejected
+  const addNote = async (text) => {
+    const trimmedNote = text.trim()
 
     if (!trimmedNote) {
       showNotification('Please enter a note', 'error')
-      return
+      return false
     }
 
     if (trimmedNote.length > MAX_NOTE_LENGTH) {
       showNotification(`Note is too long. Max ${MAX_NOTE_LENGTH} characters.`, 'error')
-      return
+      return false
     }
 
     if (items.length >= MAX_ITEMS) {
       showNotification(`Maximum ${MAX_ITEMS} items allowed. Please delete some items.`, 'error')
-      return
+      return false
     }
 
     const newItem = {
@@ -440,159 +950,803 @@ function App() {
       type: 'note',
       content: trimmedNote,
       important: false,
-      createdAt: new Date().toISOString()
+      ...getNewItemPlacement(),
+      createdAt: new Date().toISOString(),
+      updatedAt: Date.now()
     }
 
+    setItems(prevItems => [newItem, ...prevItems])
+    await persistLocally(() => putItem(newItem))
+
     // Save to cloud if enabled
     if (cloudEnabled) {
-      try {
-        await saveItemToCloud(newItem)
-      } catch (cloudError) {
-        console.error('Cloud save failed:', cloudError)
-      }
+      await queueCloudWrite('put', newItem)
     }
-
-    const newItems = [newItem, ...items]
-    setItems(newItems)
-    await saveItems(newItems)
-    setNoteText('')
     showNotification('Note added successfully!', 'success')
+    return true
   }
 
-  const toggleImportant = async (id) => {
-    const newItems = items.map(item =>
-      item.id === id ? { ...item, important: !item.important } : item
-    )
+  const handleAddNote = async () => {
+    if (await addNote(noteText)) setNoteText('')
+  }
 
-    // Update in cloud if enabled
-    if (cloudEnabled) {
-      const updatedItem = newItems.find(item => item.id === id)
-      if (updatedItem) {
-        try {
-          await saveItemToCloud(updatedItem)
-        } catch (cloudError) {
-          console.error('Cloud update failed:', cloudError)
-        }
-      }
-    }
+  // Dropped files and folders; the overlay shows while files are over the page
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    dragDepthRef.current++
+    setIsDraggingFiles(true)
+  }
 
-    setItems(newItems)
-    await saveItems(newItems)
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
   }
 
-  const deleteItem = async (id) => {
-    if (window.confirm('Are you sure you want to delete this item?')) {
-      const itemToDelete = items.find(item => item.id === id)
-
-      // Delete from cloud if enabled
-      if (cloudEnabled && itemToDelete) {
-        try {
-          await deleteItemFromCloud(itemToDelete)
-        } catch (cloudError) {
-          console.error('Cloud delete failed:', cloudError)
-        }
-      }
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1)
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false)
+  }
 
-      const newItems = items.filter(item => item.id !== id)
-      setItems(newItems)
-      await saveItemsToDB(newItems, true)
-      showNotification('Item deleted', 'success')
+  const handleDrop = async (e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    dragDepthRef.current = 0
+    setIsDraggingFiles(false)
+    try {
+      await addFiles(await getDroppedFiles(e.dataTransfer))
+    } catch (error) {
+      console.error('Drop error:', error)
+      showNotification('Error reading the dropped files', 'error')
     }
   }
 
-  const downloadFile = (item) => {
-    try {
-      if (!item.data) {
-        showNotification('File data not available. File may be corrupted.', 'error')
-        return
-      }
+  // Pasting outside a text field adds the clipboard's files, or its text as a note
+  const handlePaste = async (e) => {
+    const target = e.target
+    if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+
+    const { files, text } = getPastedContent(e.clipboardData)
+    if (files.length > 0) {
+      e.preventDefault()
+      await addFiles(files)
+    } else if (text.trim()) {
+      e.preventDefault()
+      await addNote(text)
+    }
+  }
 
-      // Check if it's a cloud URL or base64
-      if (item.isCloudStored && item.data.startsWith('http')) {
-        // For cloud files, open in new tab or trigger download
-        window.open(item.data, '_blank')
-        showNotification('Opening file...', 'success')
-        return
-      }
+  // Drops and pastes count anywhere on the page, so they are window
+  // listeners; they call the handlers of the latest render
+  useEffect(() => {
+    pageHandlersRef.current = { handleDragEnter, handleDragOver, handleDragLeave, handleDrop, handlePaste, addFiles, addNote }
+  })
 
-      // Convert base64 to blob for reliable download
-      const parts = item.data.split(',')
-      const byteString = atob(parts[1])
-      const mimeType = parts[0].match(/:(.*?);/)?.[1] || item.fileType
+  // Files and text shared from another app (see pwa.js) are added once the
+  // vault is open and its items are loaded
+  useEffect(() => {
+    if (!itemsLoaded || !hasSharedContent()) return
+    takeSharedContent()
+      .then(async ({ files, text }) => {
+        if (files.length > 0) await pageHandlersRef.current.addFiles(files)
+        if (text.trim()) await pageHandlersRef.current.addNote(text)
+      })
+      .catch(error => {
+        console.error('Error adding shared content:', error)
+        showNotification('Error adding what was shared', 'error')
+      })
+  }, [itemsLoaded, showNotification])
 
-      const ab = new ArrayBuffer(byteString.length)
-      const ia = new Uint8Array(ab)
-      for (let i = 0; i < byteString.length; i++) {
-        ia[i] = byteString.charCodeAt(i)
-      }
+  useEffect(() => {
+    if (!user || !vaultUnlocked) return
+
+    const listeners = {
+      dragenter: (e) => pageHandlersRef.current.handleDragEnter(e),
+      dragover: (e) => pageHandlersRef.current.handleDragOver(e),
+      dragleave: (e) => pageHandlersRef.current.handleDragLeave(e),
+      drop: (e) => pageHandlersRef.current.handleDrop(e),
+      paste: (e) => pageHandlersRef.current.handlePaste(e)
+    }
+    Object.entries(listeners).forEach(([type, listener]) => window.addEventListener(type, listener))
+    return () => {
+      Object.entries(listeners).forEach(([type, listener]) => window.removeEventListener(type, listener))
+      dragDepthRef.current = 0
+      setIsDraggingFiles(false)
+    }
+  }, [user, vaultUnlocked])
 
-      const blob = new Blob([ab], { type: mimeType })
-      const url = URL.createObjectURL(blob)
+  const toggleImportant = async (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+    const updatedItem = { ...item, important: !item.important, updatedAt: Date.now() }
 
-      const link = document.createElement('a')
-      link.href = url
-      link.download = item.name
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
+    setItems(prevItems => prevItems.map(item => item.id === id ? updatedItem : item))
+    await persistLocally(() => putItem(updatedItem))
 
-      setTimeout(() => URL.revokeObjectURL(url), 100)
-      showNotification('Download started!', 'success')
-    } catch (error) {
-      console.error('Download error:', error)
-      showNotification('Error downloading file.', 'error')
+    // Update in cloud if enabled
+    if (cloudEnabled) {
+      await queueCloudWrite('put', updatedItem)
     }
   }
 
-  const viewFile = (item) => {
-    if (!item.data) {
-      showNotification('File data not available', 'error')
-      return
+  // Keep the current state in the item's history before changing it
+  const keepVersion = async (item) => {
+    try {
+      await recordVersion(item, { cloud: cloudEnabled })
+    } catch (error) {
+      console.error('Error saving version:', error)
     }
-    setViewingItem(item)
   }
 
-  const closeViewer = () => {
-    setViewingItem(null)
-  }
+  const historyLoader = useCallback(
+    (itemId) => loadHistory(itemId, { cloud: cloudEnabled }),
+    [cloudEnabled]
+  )
 
-  const shareFile = async (item) => {
-    try {
-      if (!item.data) {
-        showNotification('File data not available', 'error')
-        return
-      }
+  // Save an edited note text or file name; returns false if it was rejected
+  const saveEdit = async (item, value) => {
+    const trimmed = value.trim()
+    const isNote = item.type === 'note'
 
-      // For cloud stored files, share the URL
-      if (item.isCloudStored && item.data.startsWith('http')) {
-        if (navigator.share) {
-          await navigator.share({
-            title: item.name,
-            text: `Sharing: ${item.name}`,
-            url: item.data
-          })
-          showNotification('Shared successfully!', 'success')
-        } else {
-          // Copy URL to clipboard
-          await navigator.clipboard.writeText(item.data)
-          showNotification('Link copied to clipboard!', 'success')
+    if (!trimmed) {
+      showNotification(isNote ? 'Please enter a note' : 'Please enter a file name', 'error')
+      return false
+    }
+
+    if (isNote && trimmed.length > MAX_NOTE_LENGTH) {
+      showNotification(`Note is too long. Max ${MAX_NOTE_LENGTH} characters.`, 'error')
+      return false
+    }
+
+    const field = isNote ? 'content' : 'name'
+    const newValue = isNote ? trimmed : sanitizeText(trimmed)
+    if (newValue === item[field]) {
+      setEditingId(null)
+      return true
+    }
+
+    await keepVersion(item)
+    const now = Date.now()
+    const updatedItem = { ...item, [field]: newValue, updatedAt: now, editedAt: now }
+
+    // Legacy uploads are found in Storage by file name; pin the path before it changes
+    if (!isNote && item.isCloudStored && !item.storagePath) {
+      updatedItem.storagePath = getStoragePath(item)
+    }
+
+    setItems(prevItems => prevItems.map(existing => existing.id === item.id ? updatedItem : existing))
+    setEditingId(null)
+    await persistLocally(() => putItem(updatedItem))
+
+    if (cloudEnabled) {
+      await queueCloudWrite('put', updatedItem)
+    }
+    showNotification(isNote ? 'Note updated' : 'File renamed', 'success')
+    return true
+  }
+
+  const restoreVersion = async (item, version) => {
+    // The current state stays restorable too
+    await keepVersion(item)
+    const restoredItem = applyVersion(item, version)
+
+    setItems(prevItems => prevItems.map(existing => existing.id === item.id ? restoredItem : existing))
+    await persistLocally(() => putItem(restoredItem))
+
+    if (cloudEnabled) {
+      await queueCloudWrite('put', restoredItem)
+    }
+    showNotification('Version restored', 'success')
+  }
+
+  const chooseReplacementFile = (item) => {
+    replacingItemRef.current = item
+    replaceInputRef.current?.click()
+  }
+
+  // Upload a new version of a file; the old one stays in its history
+  const handleReplaceFile = async (e) => {
+    const picked = e.target.files[0]
+    const item = replacingItemRef.current
+    replacingItemRef.current = null
+    e.target.value = ''
+    if (!picked || !item) return
+
+    const { entries: [{ file }], report } = await prepareFiles([{ file: picked, folders: [] }])
+    if (!validateFile(file, { isNew: false })) return
+
+    try {
+      await keepVersion(item)
+      const { contentId, contentHash } = await storeFileContent(file)
+      const now = Date.now()
+      const updatedItem = {
+        ...item,
+        name: sanitizeText(file.name),
+        size: file.size,
+        fileType: file.type || 'application/octet-stream',
+        contentId,
+        contentHash,
+        isCloudStored: false,
+        updatedAt: now,
+        editedAt: now
+      }
+      // The new content has no cloud copy yet
+      delete updatedItem.data
+      delete updatedItem.storagePath
+      delete updatedItem.thumbnailPath
+      delete updatedItem.chunkCount
+      delete updatedItem.blobEncrypted
+
+      setItems(prevItems => prevItems.map(existing => existing.id === item.id ? updatedItem : existing))
+      await persistLocally(() => putItem(updatedItem))
+
+      if (cloudEnabled) {
+        await queueCloudWrite('put', updatedItem)
+      }
+      showNotification(`"${updatedItem.name}" replaced${describeImageSavings(report)}`, 'success')
+    } catch (error) {
+      console.error('Replace error:', error)
+      showNotification(`Error replacing "${item.name}"`, 'error')
+    }
+  }
+
+  // Delete for good, locally and (as a tombstone) in the cloud
+  const deleteItemsForever = useCallback(async (itemsToDelete) => {
+    const ids = new Set(itemsToDelete.map(item => item.id))
+
+    setItems(prevItems => prevItems.filter(item => !ids.has(item.id)))
+    await persistLocally(async () => {
+      for (const item of itemsToDelete) {
+        await deleteItemFromDB(item.id)
+      }
+    })
+
+    // Delete from cloud if enabled
+    if (cloudEnabled) {
+      // An upload still needed by an item with the same content keeps going
+      const stillUsed = await getReferencedContentIds()
+      for (const item of itemsToDelete) {
+        if (item.contentId && !stillUsed.has(item.contentId)) await cancelUpload(item.contentId)
+        await queueCloudWrite('delete', item)
+      }
+    }
+  }, [persistLocally, cloudEnabled])
+
+  // Items past the trash retention period go for good
+  useEffect(() => {
+    const expired = items.filter(item => isTrashExpired(item, trashDays))
+    if (expired.length > 0) {
+      console.log('Purging expired trash:', expired.length)
+      deleteItemsForever(expired)
+    }
+  }, [items, trashDays, deleteItemsForever])
+
+  const updateItem = async (updatedItem) => {
+    setItems(prevItems => prevItems.map(item => item.id === updatedItem.id ? updatedItem : item))
+    await persistLocally(() => putItem(updatedItem))
+
+    if (cloudEnabled) {
+      await queueCloudWrite('put', updatedItem)
+    }
+  }
+
+  // Deleting only moves the item to the trash
+  const deleteItem = async (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+    if (editingId === id) setEditingId(null)
+    if (viewingItem?.id === id) closeViewer()
+
+    await updateItem(moveToTrash(item))
+    showNotification('Moved to trash', 'success')
+  }
+
+  const restoreItem = async (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+
+    await updateItem(restoreFromTrash(item))
+    showNotification('Item restored', 'success')
+  }
+
+  const deleteForever = async (item) => {
+    if (window.confirm('Delete this item for good? This cannot be undone.')) {
+      await deleteItemsForever([item])
+      showNotification('Item deleted', 'success')
+    }
+  }
+
+  const emptyTrash = async () => {
+    const trashed = items.filter(isTrashed)
+    if (trashed.length === 0) return
+    if (window.confirm(`Delete ${trashed.length} item(s) in the trash for good? This cannot be undone.`)) {
+      await deleteItemsForever(trashed)
+      showNotification('Trash emptied', 'success')
+    }
+  }
+
+  // Save a library change locally and (best effort) to the cloud; an
+  // edit that doesn't reach the cloud now goes up on the next snapshot
+  const changeLibrary = async (change) => {
+    const next = change(libraryRef.current)
+    libraryRef.current = next
+    setLibrary(next)
+    try {
+      await putLibrary(user.uid, next)
+    } catch (error) {
+      console.error('Error saving folders and tags:', error)
+      showNotification('Error saving folders and tags', 'error')
+    }
+
+    if (cloudEnabled) {
+      saveLibraryToCloud(next)
+        .then(merged => {
+          if (sameLibrary(merged, libraryRef.current)) return
+          libraryRef.current = mergeLibraries(libraryRef.current, merged)
+          setLibrary(libraryRef.current)
+          return putLibrary(user.uid, libraryRef.current)
+        })
+        .catch(error => console.error('Error saving folders and tags to cloud:', error))
+    }
+  }
+
+  // Change an item's folder and tags
+  const organizeItem = async (item, { folderId = item.folderId, tags = item.tags } = {}) => {
+    await updateItem({ ...item, folderId: folderId || null, tags: tags || [], updatedAt: Date.now() })
+  }
+
+  const moveItemToFolder = async (itemId, folderId) => {
+    const item = items.find(item => item.id === itemId)
+    if (!item || (item.folderId || null) === folderId) return
+    await organizeItem(item, { folderId })
+  }
+
+  const addTagToItem = async (itemId, tagId) => {
+    const item = items.find(item => item.id === itemId)
+    if (!item || item.tags?.includes(tagId)) return
+    await organizeItem(item, { tags: [...(item.tags || []), tagId] })
+  }
+
+  const removeTagFromItem = async (item, tagId) => {
+    await organizeItem(item, { tags: (item.tags || []).filter(id => id !== tagId) })
+  }
+
+  const handleAddFolder = (name, parentId) => {
+    return changeLibrary(current => addFolder(current, generateId(), name, parentId))
+  }
+
+  const handleRenameFolder = (id, name) => {
+    return changeLibrary(current => renameFolder(current, id, name))
+  }
+
+  // Deleting a folder keeps its items: they move up to the parent folder
+  const handleRemoveFolder = async (id) => {
+    const folder = library.folders[id]
+    if (!folder || !window.confirm(`Delete the folder "${folder.name}" and its subfolders? Items in them are kept.`)) return
+
+    const removedIds = getFolderIds(library, id)
+    const parent = library.folders[folder.parentId]
+    const parentId = parent && !parent.deleted ? folder.parentId : null
+    await changeLibrary(current => removeFolder(current, id))
+    if (removedIds.has(folderFilter)) setFolderFilter(null)
+
+    for (const item of items.filter(item => removedIds.has(item.folderId))) {
+      await organizeItem(item, { folderId: parentId })
+    }
+  }
+
+  const handleAddTag = (name) => {
+    const color = TAG_COLORS[getTags(library).length % TAG_COLORS.length]
+    return changeLibrary(current => addTag(current, generateId(), name, color))
+  }
+
+  const handleRenameTag = (id, name) => {
+    return changeLibrary(current => updateTag(current, id, { name }))
+  }
+
+  const cycleTagColor = (id) => {
+    const index = TAG_COLORS.indexOf(library.tags[id]?.color)
+    return changeLibrary(current => updateTag(current, id, { color: TAG_COLORS[(index + 1) % TAG_COLORS.length] }))
+  }
+
+  const handleRemoveTag = async (id) => {
+    const tag = library.tags[id]
+    if (!tag || !window.confirm(`Delete the tag "${tag.name}"? It is removed from every item.`)) return
+
+    await changeLibrary(current => removeTag(current, id))
+    if (tagFilter === id) setTagFilter(null)
+
+    for (const item of items.filter(item => item.tags?.includes(id))) {
+      await removeTagFromItem(item, id)
+    }
+  }
+
+  const changeTrashDays = (days) => {
+    setTrashRetentionDays(days)
+    setTrashDays(days)
+  }
+
+  // Cancelling an upload discards the file for good
+  const cancelFileUpload = async (item) => {
+    if (window.confirm(`Cancel uploading "${item.name}" and remove it?`)) {
+      await deleteItemsForever([item])
+      showNotification('Upload cancelled', 'success')
+    }
+  }
+
+  // Settle a sync conflict: 'mine' overwrites the cloud, 'theirs' takes the
+  // cloud version, 'both' takes theirs and keeps mine as a separate copy
+  const resolveConflict = async (conflict, choice) => {
+    const { itemId, op, local, remote } = conflict
+    const remoteDeleted = isTombstone(remote)
+
+    const removeLocally = async () => {
+      setItems(prevItems => prevItems.filter(item => item.id !== itemId))
+      await persistLocally(() => deleteItemFromDB(itemId))
+    }
+
+    const putLocally = async (item) => {
+      setItems(prevItems => {
+        const others = prevItems.filter(existing => existing.id !== item.id)
+        return [...others, item].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      })
+      await persistLocally(() => putItem(item))
+    }
+
+    try {
+      if (choice === 'mine') {
+        // Based on the cloud version we just saw, so the write goes through
+        const mine = { ...local, syncedAt: remote.updatedAt }
+        if (op === 'delete') {
+          await removeLocally()
+          await queueCloudWrite('delete', mine)
+        } else {
+          mine.updatedAt = Date.now()
+          // A remote delete took the cloud copy of the bytes with it
+          if (remoteDeleted) mine.isCloudStored = false
+          await putLocally(mine)
+          await queueCloudWrite('put', mine)
+        }
+      } else {
+        if (remoteDeleted) {
+          await removeLocally()
+        } else {
+          // Taking theirs over a local edit keeps the edit in history
+          if (choice === 'theirs' && op === 'put') await keepVersion(local)
+          await putLocally(fromCloud(remote))
+        }
+
+        if (choice === 'both' && op === 'put') {
+          const copy = {
+            ...local,
+            id: generateId(),
+            createdAt: new Date().toISOString(),
+            updatedAt: Date.now(),
+            isCloudStored: false
+          }
+          // The copy is new to the cloud; it gets its own upload
+          delete copy.syncedAt
+          delete copy.data
+          delete copy.storagePath
+          delete copy.thumbnailPath
+          if (local.type === 'file') {
+            copy.name = `${local.name} (conflicted copy)`
+            if (hasFileContent(local)) {
+              Object.assign(copy, await storeFileContent(await loadFileBlob(local)))
+            }
+          }
+          await putLocally(copy)
+          await queueCloudWrite('put', copy)
         }
+      }
+
+      await deleteConflict(itemId)
+      setConflicts(prevConflicts => prevConflicts.filter(existing => existing.itemId !== itemId))
+      if (conflicts.length <= 1) setShowConflicts(false)
+      showNotification('Conflict resolved', 'success')
+    } catch (error) {
+      console.error('Error resolving conflict:', error)
+      showNotification('Could not resolve conflict. Please try again.', 'error')
+    }
+  }
+
+  const downloadFile = async (item) => {
+    try {
+      if (!hasFileContent(item)) {
+        showNotification('File data not available. File may be corrupted.', 'error')
         return
       }
 
-      // Convert base64 to blob
-      const parts = item.data.split(',')
-      const byteString = atob(parts[1])
-      const mimeType = parts[0].match(/:(.*?);/)?.[1] || item.fileType
+      const blob = await loadFileBlob(item)
+      const url = URL.createObjectURL(blob)
+
+      const link = document.createElement('a')
+      link.href = url
+      link.download = item.name
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+
+      setTimeout(() => URL.revokeObjectURL(url), 100)
+      showNotification('Download started!', 'success')
+    } catch (error) {
+      console.error('Download error:', error)
+      showNotification('Error downloading file.', 'error')
+    }
+  }
+
+  // Download everything (trash included) as one ZIP; see vaultArchive.js
+  const handleExportVault = async () => {
+    setArchiveStatus('Preparing export...')
+    try {
+      const { blob, missing } = await exportVault(items, library, {
+        loadBlob: loadFileBlob,
+        fileName: (item) => unsanitizeText(item.name),
+        onProgress: (done, total) => setArchiveStatus(`Exporting ${done + 1} of ${total}...`)
+      })
+
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `life-goes-on-${new Date().toISOString().slice(0, 10)}.zip`
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      setTimeout(() => URL.revokeObjectURL(url), 100)
+
+      if (missing.length > 0) {
+        showNotification(`Export ready, but ${missing.length} file(s) could not be loaded and were left out`, 'error')
+      } else {
+        showNotification('Export ready. It is not encrypted, so keep it somewhere safe.', 'success')
+      }
+    } catch (error) {
+      console.error('Export error:', error)
+      showNotification(error instanceof ZipError ? error.message : 'Error exporting vault', 'error')
+    } finally {
+      setArchiveStatus(null)
+    }
+  }
+
+  // Turn an archive entry (export or backup) into a new item with its
+  // content stored locally. Resolves to { item } or { problem }.
+  const buildItemFromArchive = async (archive, entry, { isNew, itemCount }) => {
+    if (isNew && itemCount >= MAX_ITEMS) return { problem: `Maximum ${MAX_ITEMS} items reached` }
+
+    const item = { ...toImportedItem(entry), updatedAt: Date.now() }
+    if (item.type === 'note') {
+      if (!item.content.trim() || item.content.length > MAX_NOTE_LENGTH) {
+        return { problem: `Note is empty or longer than ${MAX_NOTE_LENGTH} characters` }
+      }
+      return { item }
+    }
+
+    let blob
+    try {
+      blob = await archive.readFile(entry.file)
+    } catch (error) {
+      return { problem: error instanceof ZipError ? error.message : 'File content could not be read' }
+    }
+
+    // Names were stored escaped; normalize so crafted ones get escaped too
+    item.name = sanitizeText(unsanitizeText(item.name))
+    const fileType = typeof entry.fileType === 'string' ? entry.fileType : ''
+    const file = new File([blob], unsanitizeText(item.name), { type: fileType })
+    const problem = getFileProblem(file, { isNew, itemCount })
+    if (problem) return { problem }
+
+    item.size = blob.size
+    item.fileType = fileType || 'application/octet-stream'
+    Object.assign(item, await storeFileContent(file))
+    return { item }
+  }
+
+  // Write restored or imported items locally in one batch and queue them for the cloud
+  const saveArchiveItems = async (archiveItems) => {
+    if (archiveItems.length === 0) return
+    const ids = new Set(archiveItems.map(item => item.id))
+    setItems(prevItems => [...archiveItems, ...prevItems.filter(item => !ids.has(item.id))])
+    await persistLocally(() => saveItemsToDB(archiveItems))
+    if (cloudEnabled) {
+      for (const item of archiveItems) {
+        await queueCloudWrite('put', item)
+      }
+    }
+  }
+
+  // Add the items of an export that aren't here yet and list the rest
+  const handleImportVault = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setArchiveStatus('Reading archive...')
+    try {
+      const archive = await readVaultArchive(file)
+      const skipped = [...archive.skipped]
+      const existingIds = new Set(items.map(item => String(item.id)))
+      const imported = []
+
+      for (const [index, entry] of archive.items.entries()) {
+        setArchiveStatus(`Importing ${index + 1} of ${archive.items.length}...`)
+        const label = entry.type === 'file' ? entry.name : entry.content.slice(0, 60)
+
+        if (existingIds.has(String(entry.id))) {
+          skipped.push({ id: entry.id, label, reason: 'Already in your vault' })
+          continue
+        }
+        const { item, problem } = await buildItemFromArchive(archive, entry, {
+          isNew: true,
+          itemCount: items.length + imported.length
+        })
+        if (problem) {
+          skipped.push({ id: entry.id, label, reason: problem })
+          continue
+        }
+        imported.push(item)
+      }
+
+      await saveArchiveItems(imported)
+      await changeLibrary(current => mergeLibraries(current, archive.library))
+
+      setImportReport({ importedCount: imported.length, skipped })
+    } catch (error) {
+      console.error('Import error:', error)
+      showNotification(error instanceof ArchiveError ? error.message : 'Error importing vault', 'error')
+    } finally {
+      setArchiveStatus(null)
+    }
+  }
+
+  // Re-hash every file's local and cloud copy and report what doesn't match.
+  // Files from before checksums existed get the hash their copies agree on.
+  const handleVerifyVault = async () => {
+    setArchiveStatus('Verifying files...')
+    try {
+      const cloudChecked = cloudEnabled && navigator.onLine
+      const results = await verifyFiles(items, {
+        cloud: cloudChecked,
+        onProgress: (index, total) => setArchiveStatus(`Verifying ${index + 1} of ${total}...`)
+      })
+
+      // Only items whose content didn't change while we were reading it
+      const latest = new Map(itemsRef.current.map(item => [item.id, item]))
+      const recorded = results
+        .filter(result => result.hash && !hasProblem(result))
+        .filter(({ item }) => latest.get(item.id)?.contentId === item.contentId)
+        .map(({ item, hash }) => ({ ...latest.get(item.id), contentHash: hash, updatedAt: Date.now() }))
+      if (recorded.length > 0) {
+        const byId = new Map(recorded.map(item => [item.id, item]))
+        setItems(prevItems => prevItems.map(item => byId.get(item.id) || item))
+        await persistLocally(() => saveItemsToDB(recorded))
+        if (cloudEnabled) {
+          for (const item of recorded) {
+            await queueCloudWrite('put', item)
+          }
+        }
+      }
+
+      console.log('=== VAULT VERIFIED ===', { files: results.length, problems: results.filter(hasProblem).length })
+      setVerifyReport({ results, cloudChecked, recordedCount: recorded.length })
+    } catch (error) {
+      console.error('Verify error:', error)
+      showNotification('Error verifying vault', 'error')
+    } finally {
+      setArchiveStatus(null)
+    }
+  }
+
+  // Take a backup now with this device's settings (see backups.js)
+  const runBackup = useCallback(async () => {
+    if (backupRunningRef.current) return
+    backupRunningRef.current = true
+    const settings = getBackupSettings()
+    try {
+      const { missing } = await createBackup(user.uid, itemsRef.current, libraryRef.current, settings, {
+        loadBlob: loadFileBlob,
+        fileName: (item) => unsanitizeText(item.name)
+      })
+      const updatedSettings = { ...getBackupSettings(), lastBackupAt: Date.now() }
+      saveBackupSettings(updatedSettings)
+      setBackupSettings(updatedSettings)
+      if (missing.length > 0) {
+        console.log('Backup left out files it could not load:', missing.length)
+      }
+    } finally {
+      backupRunningRef.current = false
+    }
+  }, [user])
+
+  // Scheduled backups, checked now and then while the vault is open
+  useEffect(() => {
+    if (!user || !vaultUnlocked) return
+
+    const checkBackup = () => {
+      if (!initialLoadDone.current || !isBackupDue(getBackupSettings())) return
+      runBackup().catch(error => console.error('Scheduled backup failed:', error))
+    }
+    const startTimer = setTimeout(checkBackup, BACKUP_CHECK_DELAY)
+    const interval = setInterval(checkBackup, BACKUP_CHECK_INTERVAL)
+    return () => {
+      clearTimeout(startTimer)
+      clearInterval(interval)
+    }
+  }, [user, vaultUnlocked, runBackup])
+
+  const changeBackupSettings = (settings) => {
+    saveBackupSettings(settings)
+    setBackupSettings(settings)
+  }
+
+  // Bring back items from a backup: missing ones are re-added, existing
+  // ones replaced after their current state is kept as a version
+  const restoreFromBackup = async (archive, entries) => {
+    const restored = []
+    const skipped = []
+    let itemCount = items.length
+
+    for (const entry of entries) {
+      const existing = items.find(item => String(item.id) === String(entry.id))
+      const { item, problem } = await buildItemFromArchive(archive, entry, { isNew: !existing, itemCount })
+      if (problem) {
+        skipped.push({ id: entry.id, label: entry.type === 'file' ? entry.name : entry.content.slice(0, 60), reason: problem })
+        continue
+      }
+
+      if (existing) {
+        await keepVersion(existing)
+        // Keep the sync base so the cloud sees an edit, not a new item;
+        // a restored file's bytes have no cloud copy yet
+        const restoredItem = { ...item, editedAt: Date.now() }
+        const syncBase = getSyncBase(existing)
+        if (syncBase !== undefined) restoredItem.syncedAt = syncBase
+        restoredItem.isCloudStored = item.type === 'note' && !!existing.isCloudStored
+        restored.push(restoredItem)
+      } else {
+        itemCount++
+        restored.push(item)
+      }
+    }
+
+    await saveArchiveItems(restored)
+    await changeLibrary(current => mergeLibraries(current, archive.library))
+    setImportReport({ importedCount: restored.length, skipped })
+  }
+
+  const viewFile = async (item) => {
+    if (!hasFileContent(item)) {
+      showNotification('File data not available', 'error')
+      return
+    }
+
+    try {
+      const blob = await loadFileBlob(item)
+      setViewingItem({ ...item, viewUrl: URL.createObjectURL(blob) })
+      keepThumbnail(item, blob).catch(error => console.error('Thumbnail error:', error))
+    } catch (error) {
+      console.error('View error:', error)
+      showNotification('Error opening file', 'error')
+    }
+  }
+
+  const closeViewer = () => {
+    if (viewingItem?.viewUrl) {
+      URL.revokeObjectURL(viewingItem.viewUrl)
+    }
+    setViewingItem(null)
+  }
 
-      const ab = new ArrayBuffer(byteString.length)
-      const ia = new Uint8Array(ab)
-      for (let i = 0; i < byteString.length; i++) {
-        ia[i] = byteString.charCodeAt(i)
+  const shareFile = async (item) => {
+    try {
+      if (!hasFileContent(item)) {
+        showNotification('File data not available', 'error')
+        return
       }
 
-      const blob = new Blob([ab], { type: mimeType })
-      const file = new File([blob], item.name, { type: mimeType })
+      // Cloud copies are encrypted, so always share the decrypted bytes
+      const blob = await loadFileBlob(item)
+      const file = new File([blob], item.name, { type: blob.type || item.fileType })
 
       if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
         await navigator.share({
@@ -623,6 +1777,13 @@ function App() {
     return fileType?.startsWith('image/') || fileType === 'application/pdf'
   }
 
+  // Cards open images and videos from their preview, and PDFs and images
+  // from View; anything else can only be downloaded
+  const openFile = (item) => {
+    const hasPreview = item.fileType?.startsWith('video/') && hasFileContent(item)
+    return isViewable(item.fileType) || hasPreview ? viewFile(item) : downloadFile(item)
+  }
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes'
     const k = 1024
@@ -631,12 +1792,255 @@ function App() {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i]
   }
 
+  const liveItems = items.filter(item => !isTrashed(item))
+  const trashedCount = items.length - liveItems.length
+
+  const folderIds = folderFilter ? getFolderIds(library, folderFilter) : null
+
   const filteredItems = items.filter(item => {
+    if (searchMatches && !searchMatches.has(item.id)) return false
+    if (folderIds && !folderIds.has(item.folderId)) return false
+    if (tagFilter && !item.tags?.includes(tagFilter)) return false
+    if (!matchesAdvancedFilters(item, view)) return false
+    if (filter === 'trash') return isTrashed(item)
+    if (isTrashed(item)) return false
     if (filter === 'important') return item.important
     if (filter === 'files') return item.type === 'file'
     if (filter === 'notes') return item.type === 'note'
     return true
-  })
+  }).sort(compareItems(view.sort, view.direction))
+
+  // Nothing matches yet, so there's no grid to scroll: keep loading
+  const nothingShown = filteredItems.length === 0
+  useEffect(() => {
+    if (nothingShown) loadNextPage()
+  }, [nothingShown, loadNextPage])
+
+  const advancedFilterCount = countAdvancedFilters(view)
+
+  // List headers: the same column again flips the direction
+  const sortByColumn = (field) => {
+    if (view.sort === field) {
+      updateView({ direction: view.direction === 'asc' ? 'desc' : 'asc' })
+    } else {
+      updateView({ sort: field, direction: field === 'date' || field === 'size' ? 'desc' : 'asc' })
+    }
+  }
+
+  // One card in the grid; index is its place in filteredItems
+  const renderItemCard = (item, index) => (
+    <article
+      className={`item-card ${item.important ? 'important' : ''}`}
+      aria-label={item.type === 'file' ? `File: ${item.name}` : 'Note'}
+      aria-posinset={index + 1}
+      aria-setsize={filteredItems.length}
+      draggable={!isTrashed(item) && editingId !== item.id}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id)
+        e.dataTransfer.effectAllowed = 'move'
+      }}
+    >
+      <div className="item-header">
+        <div className="item-type-badge" aria-hidden="true">
+          {item.type === 'file' ? 'F' : 'N'}
+        </div>
+        {isTrashed(item) ? (
+          <div className="item-actions">
+            <button
+              onClick={() => restoreItem(item.id)}
+              className="action-btn"
+              title="Restore"
+              aria-label="Restore item"
+            >
+              R
+            </button>
+            <button
+              onClick={() => deleteForever(item)}
+              className="action-btn delete"
+              title="Delete forever"
+              aria-label="Delete item forever"
+            >
+              X
+            </button>
+          </div>
+        ) : (
+          <div className="item-actions">
+            {item.isCloudStored && (
+              <span className="cloud-badge" title="Stored in cloud">C</span>
+            )}
+            <button
+              onClick={() => toggleImportant(item.id)}
+              className="action-btn"
+              title={item.important ? 'Remove from important' : 'Mark as important'}
+              aria-label={item.important ? 'Remove from important' : 'Mark as important'}
+            >
+              {item.important ? 'S' : 's'}
+            </button>
+            <button
+              onClick={() => setEditingId(item.id)}
+              className="action-btn"
+              title={item.type === 'file' ? 'Rename' : 'Edit'}
+              aria-label={item.type === 'file' ? 'Rename file' : 'Edit note'}
+              disabled={editingId === item.id}
+            >
+              E
+            </button>
+            <button
+              onClick={() => setOrganizingItem(item)}
+              className="action-btn"
+              title="Folder and tags"
+              aria-label="Choose folder and tags"
+            >
+              O
+            </button>
+            <button
+              onClick={() => setHistoryItem(item)}
+              className="action-btn"
+              title="History"
+              aria-label="Show history"
+            >
+              H
+            </button>
+            <button
+              onClick={() => deleteItem(item.id)}
+              className="action-btn delete"
+              title="Move to trash"
+              aria-label="Move item to trash"
+            >
+              X
+            </button>
+          </div>
+        )}
+      </div>
+
+      {item.type === 'file' ? (
+        <div className="file-content">
+          {(item.fileType?.startsWith('image/') || item.fileType?.startsWith('video/')) && hasFileContent(item) && (
+            <div
+              className={`image-preview${item.fileType.startsWith('video/') ? ' video-preview' : ''}`}
+              onClick={() => viewFile(item)}
+            >
+              <ItemImage item={item} loadThumbnail={loadThumbnailBlob} />
+            </div>
+          )}
+          {editingId === item.id ? (
+            <InlineEditor
+              initialValue={unsanitizeText(item.name)}
+              label="File name"
+              onSave={(value) => saveEdit(item, value)}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <h3 className="item-title">
+              <Highlight text={item.name} clauses={searchClauses} />
+            </h3>
+          )}
+          <p className="file-info">
+            {formatFileSize(item.size)} - {item.fileType || 'Unknown type'}
+          </p>
+          {searchMatches && getTextSnippet(item.id, searchClauses) && (
+            <p className="search-snippet">
+              <Highlight text={getTextSnippet(item.id, searchClauses)} clauses={searchClauses} />
+            </p>
+          )}
+          {uploads[item.id] && (
+            <UploadProgress
+              upload={uploads[item.id]}
+              onPause={() => pauseUpload(item.contentId)}
+              onResume={() => resumeUpload(item.contentId)}
+              onCancel={() => cancelFileUpload(item)}
+            />
+          )}
+          <div className="file-actions">
+            {isViewable(item.fileType) && (
+              <button
+                onClick={() => viewFile(item)}
+                className="view-btn"
+                aria-label={`View ${item.name}`}
+              >
+                View
+              </button>
+            )}
+            <button
+              onClick={() => shareFile(item)}
+              className="share-btn"
+              aria-label={`Share ${item.name}`}
+            >
+              Share
+            </button>
+            <button
+              onClick={() => downloadFile(item)}
+              className="download-btn"
+              aria-label={`Download ${item.name}`}
+            >
+              Download
+            </button>
+            {!isTrashed(item) && (
+              <button
+                onClick={() => chooseReplacementFile(item)}
+                className="share-btn"
+                aria-label={`Replace ${item.name} with a new version`}
+              >
+                Replace
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="note-content">
+          {editingId === item.id ? (
+            <InlineEditor
+              initialValue={item.content}
+              multiline
+              maxLength={MAX_NOTE_LENGTH}
+              label="Note"
+              onSave={(value) => saveEdit(item, value)}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <p className="note-text">
+              <Highlight text={item.content} clauses={searchClauses} />
+            </p>
+          )}
+        </div>
+      )}
+
+      {getItemTags(item, library).length > 0 && (
+        <div className="item-tags">
+          {getItemTags(item, library).map(tag => (
+            <span key={tag.id} className="tag-chip" style={{ borderColor: tag.color, color: tag.color }}>
+              {tag.name}
+              {!isTrashed(item) && (
+                <button
+                  onClick={() => removeTagFromItem(item, tag.id)}
+                  aria-label={`Remove tag ${tag.name}`}
+                >
+                  x
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="item-footer">
+        <time className="timestamp" dateTime={item.createdAt}>
+          {new Date(item.createdAt).toLocaleDateString()} at {new Date(item.createdAt).toLocaleTimeString()}
+        </time>
+        {item.editedAt && (
+          <div className="edited-label">
+            Edited {new Date(item.editedAt).toLocaleString()}
+          </div>
+        )}
+        {isTrashed(item) && (
+          <div className="edited-label">
+            Deleted {new Date(item.deletedAt).toLocaleString()} - removed for good on{' '}
+            {new Date(getPurgeTime(item, trashDays)).toLocaleDateString()}
+          </div>
+        )}
+      </div>
+    </article>
+  )
 
   const getSyncStatusText = () => {
     switch (syncStatus) {
@@ -658,41 +2062,35 @@ function App() {
     }
   }
 
-  // Password screen
-  if (!isUnlocked) {
+  // Waiting for the auth backend to report the current session
+  if (!authReady) {
     return (
       <div className="app">
         <div className="auth-container">
           <div className="auth-card">
-            <h1 className="auth-title">Life Goes On</h1>
-            <p className="auth-subtitle">Enter your secret password</p>
-
-            <form onSubmit={handleUnlock} className="auth-form">
-              <div className="input-group">
-                <label htmlFor="password">Password</label>
-                <input
-                  id="password"
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Enter password"
-                  autoComplete="current-password"
-                  autoFocus
-                />
-              </div>
-
-              {authError && <p className="auth-error">{authError}</p>}
-
-              <button type="submit" className="auth-button">
-                Unlock
-              </button>
-            </form>
+            <div className="loading-spinner" aria-label="Loading"></div>
           </div>
         </div>
       </div>
     )
   }
 
+  // Sign-in screen
+  if (!user) {
+    return <AuthScreen onAuthenticated={handleAuthenticated} />
+  }
+
+  // Signed in, but the vault key isn't in memory (e.g. after a reload)
+  if (!vaultUnlocked) {
+    return (
+      <UnlockScreen
+        user={user}
+        onUnlocked={() => setVaultUnlocked(true)}
+        onSignOut={handleSignOut}
+      />
+    )
+  }
+
   // Main app
   return (
     <div className="app">
@@ -702,14 +2100,62 @@ function App() {
         </div>
       )}
 
+      {isDraggingFiles && (
+        <div className="drop-overlay" aria-hidden="true">
+          <div className="drop-overlay-message">
+            Drop files or folders to add them
+            {folderFilter && library.folders[folderFilter] && ` to "${library.folders[folderFilter].name}"`}
+          </div>
+        </div>
+      )}
+
       <header className="header">
+        <div className="account-menu">
+          <span className="account-email" title={user.email}>{user.email}</span>
+          <button className="account-btn" onClick={handleExportVault} disabled={archiveStatus !== null}>
+            Export vault
+          </button>
+          <button className="account-btn" onClick={() => importInputRef.current?.click()} disabled={archiveStatus !== null}>
+            Import
+          </button>
+          <button className="account-btn" onClick={() => setShowRestorePoints(true)}>
+            Backups
+          </button>
+          <button className="account-btn" onClick={handleVerifyVault} disabled={archiveStatus !== null}>
+            Verify vault
+          </button>
+          <button className="account-btn" onClick={() => setShowSyncSettings(true)}>
+            Sync settings
+          </button>
+          <button className="account-btn" onClick={() => setShowChangePassword(true)}>
+            Change password
+          </button>
+          <button className="account-btn" onClick={handleSignOut}>
+            Sign out
+          </button>
+        </div>
         <h1>Life Goes On</h1>
         <p>Store and organize everything important to you</p>
-        <div className="sync-status" style={{ color: getSyncStatusColor() }}>
+        <div className="sync-status" style={{ color: getSyncStatusColor() }} title={getCloudLabel() || undefined}>
           <span className="sync-dot" style={{ backgroundColor: getSyncStatusColor() }}></span>
           {getSyncStatusText()}
+          {pendingCount > 0 && (
+            <span className="pending-count" title="Changes waiting to reach the cloud">
+              {' '}- {pendingCount} pending
+            </span>
+          )}
+          {archiveStatus && (
+            <span className="pending-count"> - {archiveStatus}</span>
+          )}
+          {conflicts.length > 0 && (
+            <button className="conflict-count" onClick={() => setShowConflicts(true)}>
+              {conflicts.length} conflict{conflicts.length === 1 ? '' : 's'}
+            </button>
+          )}
           {!cloudEnabled && (
-            <span className="setup-hint"> - Setup Firebase for cloud sync</span>
+            <button className="setup-hint" onClick={() => setShowSyncSettings(true)}>
+              - Set up cloud sync
+            </button>
           )}
         </div>
         {storageInfo.quota > 0 && (
@@ -741,6 +2187,24 @@ function App() {
               style={{ display: 'none' }}
             />
           </label>
+          <label htmlFor="folder-upload" className="upload-button">
+            Upload Folder
+            <input
+              id="folder-upload"
+              type="file"
+              webkitdirectory=""
+              onChange={handleFileUpload}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <button
+            className={showUploadOptions ? 'account-btn active' : 'account-btn'}
+            onClick={() => setShowUploadOptions(show => !show)}
+            aria-expanded={showUploadOptions}
+            aria-controls="upload-options"
+          >
+            Image options
+          </button>
         </div>
 
         <div className="note-section">
@@ -762,119 +2226,298 @@ function App() {
             Add Note
           </button>
         </div>
+
+        {showUploadOptions && (
+          <UploadOptions
+            options={imageOptions}
+            onChange={changeImageOptions}
+            lastUpload={lastImageUpload}
+            formatSize={formatFileSize}
+          />
+        )}
       </div>
 
-      <div className="filters" role="tablist" aria-label="Filter items">
-        <button
-          className={filter === 'all' ? 'filter-btn active' : 'filter-btn'}
-          onClick={() => setFilter('all')}
-          role="tab"
-          aria-selected={filter === 'all'}
-        >
-          All ({items.length})
-        </button>
-        <button
-          className={filter === 'files' ? 'filter-btn active' : 'filter-btn'}
-          onClick={() => setFilter('files')}
-          role="tab"
-          aria-selected={filter === 'files'}
-        >
-          Files ({items.filter(i => i.type === 'file').length})
-        </button>
+      <div className="search-bar" role="search">
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder='Search notes, file names and file contents ("quotes" for phrases)'
+          className="search-input"
+          aria-label="Search items"
+        />
+        {searchMatches && (
+          <span className="search-count">
+            {filteredItems.length} result{filteredItems.length === 1 ? '' : 's'}
+          </span>
+        )}
       </div>
 
-      <div className="items-container" role="main">
-        {filteredItems.length === 0 ? (
-          <div className="empty-state">
-            <p>No items yet. Upload files or add notes to get started!</p>
+      <div className="workspace">
+        <FolderSidebar
+          library={library}
+          items={liveItems}
+          folderFilter={folderFilter}
+          tagFilter={tagFilter}
+          onSelectFolder={setFolderFilter}
+          onSelectTag={setTagFilter}
+          onAddFolder={handleAddFolder}
+          onRenameFolder={handleRenameFolder}
+          onRemoveFolder={handleRemoveFolder}
+          onAddTag={handleAddTag}
+          onRenameTag={handleRenameTag}
+          onCycleTagColor={cycleTagColor}
+          onRemoveTag={handleRemoveTag}
+          onMoveItem={moveItemToFolder}
+          onTagItem={addTagToItem}
+        />
+        <div className="workspace-main">
+          <div className="filters" role="tablist" aria-label="Filter items">
+            <button
+              className={filter === 'all' ? 'filter-btn active' : 'filter-btn'}
+              onClick={() => setFilter('all')}
+              role="tab"
+              aria-selected={filter === 'all'}
+            >
+              All ({liveItems.length})
+            </button>
+            <button
+              className={filter === 'important' ? 'filter-btn active' : 'filter-btn'}
+              onClick={() => setFilter('important')}
+              role="tab"
+              aria-selected={filter === 'important'}
+            >
+              Important ({liveItems.filter(i => i.important).length})
+            </button>
+            <button
+              className={filter === 'files' ? 'filter-btn active' : 'filter-btn'}
+              onClick={() => setFilter('files')}
+              role="tab"
+              aria-selected={filter === 'files'}
+            >
+              Files ({liveItems.filter(i => i.type === 'file').length})
+            </button>
+            <button
+              className={filter === 'notes' ? 'filter-btn active' : 'filter-btn'}
+              onClick={() => setFilter('notes')}
+              role="tab"
+              aria-selected={filter === 'notes'}
+            >
+              Notes ({liveItems.filter(i => i.type === 'note').length})
+            </button>
+            <button
+              className={filter === 'trash' ? 'filter-btn active' : 'filter-btn'}
+              onClick={() => setFilter('trash')}
+              role="tab"
+              aria-selected={filter === 'trash'}
+            >
+              Trash ({trashedCount})
+            </button>
           </div>
-        ) : (
-          filteredItems.map(item => (
-            <article
-              key={item.id}
-              className={`item-card ${item.important ? 'important' : ''}`}
-              aria-label={item.type === 'file' ? `File: ${item.name}` : 'Note'}
+
+          <div className="view-bar">
+            <label htmlFor="sort-field">
+              Sort by{' '}
+              <select
+                id="sort-field"
+                value={view.sort}
+                onChange={(e) => updateView({ sort: e.target.value })}
+              >
+                {SORT_FIELDS.map(field => (
+                  <option key={field.value} value={field.value}>{field.label}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              className="account-btn"
+              onClick={() => updateView({ direction: view.direction === 'asc' ? 'desc' : 'asc' })}
+              aria-label={view.direction === 'asc' ? 'Ascending, switch to descending' : 'Descending, switch to ascending'}
             >
-              <div className="item-header">
-                <div className="item-type-badge" aria-hidden="true">
-                  {item.type === 'file' ? 'F' : 'N'}
-                </div>
-                <div className="item-actions">
-                  {item.isCloudStored && (
-                    <span className="cloud-badge" title="Stored in cloud">C</span>
-                  )}
-                  <button
-                    onClick={() => toggleImportant(item.id)}
-                    className="action-btn"
-                    title={item.important ? 'Remove from important' : 'Mark as important'}
-                    aria-label={item.important ? 'Remove from important' : 'Mark as important'}
-                  >
-                    {item.important ? 'S' : 's'}
-                  </button>
-                  <button
-                    onClick={() => deleteItem(item.id)}
-                    className="action-btn delete"
-                    title="Delete"
-                    aria-label="Delete item"
-                  >
-                    X
-                  </button>
-                </div>
-              </div>
+              {view.direction === 'asc' ? 'Ascending' : 'Descending'}
+            </button>
+            <button
+              className={showAdvancedFilters ? 'account-btn active' : 'account-btn'}
+              onClick={() => setShowAdvancedFilters(show => !show)}
+              aria-expanded={showAdvancedFilters}
+              aria-controls="advanced-filters"
+            >
+              Filters{advancedFilterCount > 0 && ` (${advancedFilterCount})`}
+            </button>
+            <label htmlFor="view-layout">
+              Show as{' '}
+              <select
+                id="view-layout"
+                value={view.layout}
+                onChange={(e) => updateView({ layout: e.target.value })}
+              >
+                {LAYOUTS.map(layout => (
+                  <option key={layout.value} value={layout.value}>{layout.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
 
-              {item.type === 'file' ? (
-                <div className="file-content">
-                  {item.fileType?.startsWith('image/') && item.data && (
-                    <div className="image-preview" onClick={() => viewFile(item)}>
-                      <img src={item.data} alt={item.name} />
-                    </div>
-                  )}
-                  <h3 className="item-title">{item.name}</h3>
-                  <p className="file-info">
-                    {formatFileSize(item.size)} - {item.fileType || 'Unknown type'}
-                  </p>
-                  <div className="file-actions">
-                    {isViewable(item.fileType) && (
-                      <button
-                        onClick={() => viewFile(item)}
-                        className="view-btn"
-                        aria-label={`View ${item.name}`}
-                      >
-                        View
-                      </button>
-                    )}
-                    <button
-                      onClick={() => shareFile(item)}
-                      className="share-btn"
-                      aria-label={`Share ${item.name}`}
-                    >
-                      Share
-                    </button>
-                    <button
-                      onClick={() => downloadFile(item)}
-                      className="download-btn"
-                      aria-label={`Download ${item.name}`}
-                    >
-                      Download
-                    </button>
-                  </div>
-                </div>
-              ) : (
-                <div className="note-content">
-                  <p className="note-text">{item.content}</p>
-                </div>
-              )}
+          {showAdvancedFilters && (
+            <AdvancedFilters
+              view={view}
+              onChange={updateView}
+              onClear={() => updateView({
+                from: DEFAULT_VIEW.from,
+                to: DEFAULT_VIEW.to,
+                family: DEFAULT_VIEW.family,
+                minSize: DEFAULT_VIEW.minSize,
+                maxSize: DEFAULT_VIEW.maxSize,
+                storage: DEFAULT_VIEW.storage
+              })}
+            />
+          )}
+
+          {filter === 'trash' && (
+            <div className="trash-bar">
+              <label htmlFor="trash-days">
+                Delete items in the trash after{' '}
+                <select
+                  id="trash-days"
+                  value={trashDays}
+                  onChange={(e) => changeTrashDays(Number(e.target.value))}
+                >
+                  {TRASH_DAY_OPTIONS.map(days => (
+                    <option key={days} value={days}>{days} days</option>
+                  ))}
+                </select>
+              </label>
+              <button className="account-btn" onClick={emptyTrash} disabled={trashedCount === 0}>
+                Empty trash
+              </button>
+            </div>
+          )}
 
-              <div className="item-footer">
-                <time className="timestamp" dateTime={item.createdAt}>
-                  {new Date(item.createdAt).toLocaleDateString()} at {new Date(item.createdAt).toLocaleTimeString()}
-                </time>
+          <div className="items-container" role="main">
+            {filteredItems.length === 0 ? (
+              <div className="empty-state">
+                <p>No items yet. Upload files or add notes to get started!</p>
               </div>
-            </article>
-          ))
-        )}
+            ) : (
+              view.layout === 'list' ? (
+                <ItemList
+                  items={filteredItems}
+                  sort={view.sort}
+                  direction={view.direction}
+                  onSort={sortByColumn}
+                  onOpen={openFile}
+                  onRestore={(item) => restoreItem(item.id)}
+                  onDeleteForever={deleteForever}
+                  onEndReached={loadNextPage}
+                  formatSize={formatFileSize}
+                  searchClauses={searchClauses}
+                />
+              ) : (
+                <VirtualGrid
+                  role="feed"
+                  aria-label="Items"
+                  className="item-grid"
+                  items={filteredItems}
+                  getKey={item => item.id}
+                  renderItem={renderItemCard}
+                  estimateRowHeight={CARD_ROW_HEIGHT}
+                  onEndReached={loadNextPage}
+                />
+              )
+            )}
+          </div>
+        </div>
       </div>
 
+      <input
+        ref={importInputRef}
+        type="file"
+        onChange={handleImportVault}
+        accept=".zip,application/zip"
+        style={{ display: 'none' }}
+        aria-hidden="true"
+      />
+
+      {showRestorePoints && (
+        <RestorePoints
+          uid={user.uid}
+          settings={backupSettings}
+          onChangeSettings={changeBackupSettings}
+          onBackupNow={runBackup}
+          onRestore={restoreFromBackup}
+          formatFileSize={formatFileSize}
+          onClose={() => setShowRestorePoints(false)}
+        />
+      )}
+
+      {verifyReport && (
+        <VerifyReport
+          results={verifyReport.results}
+          cloudChecked={verifyReport.cloudChecked}
+          recordedCount={verifyReport.recordedCount}
+          onClose={() => setVerifyReport(null)}
+        />
+      )}
+
+      {importReport && (
+        <ImportReport
+          importedCount={importReport.importedCount}
+          skipped={importReport.skipped}
+          onClose={() => setImportReport(null)}
+        />
+      )}
+
+      {organizingItem && (
+        <OrganizeDialog
+          item={items.find(item => item.id === organizingItem.id) || organizingItem}
+          library={library}
+          onSave={organizeItem}
+          onClose={() => setOrganizingItem(null)}
+        />
+      )}
+
+      {showSyncSettings && (
+        <SyncSettings
+          settings={getCloudSettings()}
+          deploymentProject={getDeploymentSetup()?.config.projectId || null}
+          onSwitch={handleSwitchCloud}
+          onClose={() => setShowSyncSettings(false)}
+        />
+      )}
+
+      {showChangePassword && (
+        <ChangePasswordDialog
+          onClose={() => setShowChangePassword(false)}
+          onChanged={handlePasswordChanged}
+        />
+      )}
+
+      <input
+        ref={replaceInputRef}
+        type="file"
+        onChange={handleReplaceFile}
+        accept={ALLOWED_FILE_TYPES.join(',')}
+        style={{ display: 'none' }}
+        aria-hidden="true"
+      />
+
+      {historyItem && (
+        <HistoryDialog
+          item={items.find(item => item.id === historyItem.id) || historyItem}
+          loadHistory={historyLoader}
+          onRestore={restoreVersion}
+          onClose={() => setHistoryItem(null)}
+          formatFileSize={formatFileSize}
+        />
+      )}
+
+      {showConflicts && conflicts.length > 0 && (
+        <ConflictDialog
+          conflicts={conflicts}
+          onResolve={resolveConflict}
+          onClose={() => setShowConflicts(false)}
+        />
+      )}
+
       {/* File Viewer Modal */}
       {viewingItem && (
         <div className="viewer-overlay" onClick={closeViewer}>
@@ -885,9 +2528,11 @@ function App() {
             </div>
             <div className="viewer-content">
               {viewingItem.fileType?.startsWith('image/') ? (
-                <img src={viewingItem.data} alt={viewingItem.name} />
+                <img src={viewingItem.viewUrl} alt={viewingItem.name} />
+              ) : viewingItem.fileType?.startsWith('video/') ? (
+                <video src={viewingItem.viewUrl} controls autoPlay />
               ) : viewingItem.fileType === 'application/pdf' ? (
-                <iframe src={viewingItem.data} title={viewingItem.name} />
+                <iframe src={viewingItem.viewUrl} title={viewingItem.name} />
               ) : (
                 <p>Preview not available for this file type</p>
               )}
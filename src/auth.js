@@ -0,0 +1,239 @@
+// Authentication for Life Goes On
+// Uses Firebase Auth (email/password) when Firebase is configured,
+// otherwise falls back to local-only accounts stored on this device
+
+import {
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  signOut,
+  onAuthStateChanged,
+  updatePassword,
+  reauthenticateWithCredential,
+  EmailAuthProvider
+} from 'firebase/auth'
+import { auth } from './firebase'
+import { bytesToBase64, base64ToBytes } from './crypto'
+
+export const MIN_PASSWORD_LENGTH = 8
+
+// Local accounts: { [email]: { uid, email, salt, hash, iterations, createdAt } }
+const LOCAL_ACCOUNTS_KEY = 'lifeGoesOnAccounts'
+const PBKDF2_ITERATIONS = 310000
+const SALT_BYTES = 16
+const HASH_BITS = 256
+
+// The local session lives in memory only. Persisting a "signed in" flag
+// would let anyone with devtools skip the password check on reload.
+let localUser = null
+const localListeners = new Set()
+
+const notifyLocalListeners = () => {
+  localListeners.forEach(listener => listener(localUser))
+}
+
+// Derive a password hash with PBKDF2-SHA256
+const derivePasswordHash = async (password, salt, iterations) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    HASH_BITS
+  )
+  return new Uint8Array(bits)
+}
+
+// Compare without short-circuiting so timing doesn't leak the match length
+const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i]
+  }
+  return diff === 0
+}
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase()
+
+const loadLocalAccounts = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(LOCAL_ACCOUNTS_KEY) || '{}')
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+const saveLocalAccounts = (accounts) => {
+  localStorage.setItem(LOCAL_ACCOUNTS_KEY, JSON.stringify(accounts))
+}
+
+const createPasswordRecord = async (password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const hash = await derivePasswordHash(password, salt, PBKDF2_ITERATIONS)
+  return {
+    salt: bytesToBase64(salt),
+    hash: bytesToBase64(hash),
+    iterations: PBKDF2_ITERATIONS
+  }
+}
+
+const verifyPasswordRecord = async (account, password) => {
+  const hash = await derivePasswordHash(
+    password,
+    base64ToBytes(account.salt),
+    account.iterations
+  )
+  return constantTimeEqual(hash, base64ToBytes(account.hash))
+}
+
+const toUser = (uid, email, mode) => ({ uid, email, mode })
+
+// Error raised for invalid input or credentials; `code` mirrors Firebase's
+export class AuthError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'AuthError'
+    this.code = code
+  }
+}
+
+const validateCredentials = (email, password) => {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) {
+    throw new AuthError('auth/invalid-email', 'Please enter a valid email address')
+  }
+  validatePassword(password)
+}
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(
+      'auth/weak-password',
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    )
+  }
+}
+
+// Which backend handles accounts: 'firebase' or 'local'
+export const getAuthMode = () => (auth ? 'firebase' : 'local')
+
+export const signUp = async (email, password) => {
+  validateCredentials(email, password)
+
+  if (auth) {
+    const credential = await createUserWithEmailAndPassword(auth, normalizeEmail(email), password)
+    return toUser(credential.user.uid, credential.user.email, 'firebase')
+  }
+
+  const accounts = loadLocalAccounts()
+  const key = normalizeEmail(email)
+  if (accounts[key]) {
+    throw new AuthError('auth/email-already-in-use', 'An account with this email already exists')
+  }
+
+  const account = {
+    uid: crypto.randomUUID(),
+    email: key,
+    ...(await createPasswordRecord(password)),
+    createdAt: new Date().toISOString()
+  }
+  saveLocalAccounts({ ...accounts, [key]: account })
+
+  localUser = toUser(account.uid, account.email, 'local')
+  notifyLocalListeners()
+  return localUser
+}
+
+export const signIn = async (email, password) => {
+  if (auth) {
+    const credential = await signInWithEmailAndPassword(auth, normalizeEmail(email), password)
+    return toUser(credential.user.uid, credential.user.email, 'firebase')
+  }
+
+  const account = loadLocalAccounts()[normalizeEmail(email)]
+  if (!account || !(await verifyPasswordRecord(account, password))) {
+    throw new AuthError('auth/invalid-credential', 'Incorrect email or password')
+  }
+
+  localUser = toUser(account.uid, account.email, 'local')
+  notifyLocalListeners()
+  return localUser
+}
+
+export const signOutUser = async () => {
+  if (auth) {
+    await signOut(auth)
+    return
+  }
+  localUser = null
+  notifyLocalListeners()
+}
+
+// Requires the current password so a borrowed, unlocked session can't take over the account
+export const changePassword = async (currentPassword, newPassword) => {
+  validatePassword(newPassword)
+
+  if (auth) {
+    const user = auth.currentUser
+    if (!user) throw new AuthError('auth/no-current-user', 'You are not signed in')
+    const credential = EmailAuthProvider.credential(user.email, currentPassword)
+    try {
+      await reauthenticateWithCredential(user, credential)
+    } catch (error) {
+      if (error.code === 'auth/invalid-credential' || error.code === 'auth/wrong-password') {
+        throw new AuthError('auth/current-password-mismatch', 'Current password is incorrect')
+      }
+      throw error
+    }
+    await updatePassword(user, newPassword)
+    return
+  }
+
+  if (!localUser) throw new AuthError('auth/no-current-user', 'You are not signed in')
+  const accounts = loadLocalAccounts()
+  const account = accounts[localUser.email]
+  if (!account || !(await verifyPasswordRecord(account, currentPassword))) {
+    throw new AuthError('auth/current-password-mismatch', 'Current password is incorrect')
+  }
+
+  saveLocalAccounts({
+    ...accounts,
+    [localUser.email]: { ...account, ...(await createPasswordRecord(newPassword)) }
+  })
+}
+
+// Subscribe to sign-in state changes; returns an unsubscribe function
+export const onAuthChange = (callback) => {
+  if (auth) {
+    return onAuthStateChanged(auth, (firebaseUser) => {
+      callback(firebaseUser ? toUser(firebaseUser.uid, firebaseUser.email, 'firebase') : null)
+    })
+  }
+
+  localListeners.add(callback)
+  callback(localUser)
+  return () => localListeners.delete(callback)
+}
+
+// Map Firebase and local error codes to messages suitable for the UI
+export const getAuthErrorMessage = (error) => {
+  switch (error?.code) {
+    case 'auth/invalid-email': return 'Please enter a valid email address'
+    case 'auth/weak-password': return error.message || `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    case 'auth/email-already-in-use': return 'An account with this email already exists'
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found': return 'Incorrect email or password'
+    case 'auth/current-password-mismatch': return 'Current password is incorrect'
+    case 'auth/too-many-requests': return 'Too many attempts. Please wait and try again.'
+    case 'auth/network-request-failed': return 'Network error. Check your connection.'
+    case 'auth/requires-recent-login': return 'Please sign in again before changing your password'
+    case 'auth/no-current-user': return 'You are not signed in'
+    default: return 'Something went wrong. Please try again.'
+  }
+}
@@ -0,0 +1,259 @@
+// Automatic backups for Life Goes On
+// A backup is a snapshot of the whole vault in the export format
+// (vaultArchive.js), wrapped in a small ZIP of its own:
+//   backup.json       { format, version, createdAt, itemCount, encrypted, keyring }
+//   vault.zip         the export, or vault.zip.enc when encrypted with the vault key
+// Encrypted backups carry the keyring (the vault key wrapped with the
+// unlock passphrase), so the passphrase alone opens them even after this
+// browser's storage is gone. Backups are kept in IndexedDB or in a folder
+// the user picks (File System Access API), taken on a schedule, and only
+// the newest few are kept. Settings are per device.
+
+import { createZip, readZip, ZipError } from './zip'
+import { exportVault, readVaultArchive, ArchiveError } from './vaultArchive'
+import { encryptBlob, decryptBlob, loadLocalKeyring, unlockKeyring } from './crypto'
+import { putBackup, getBackups, deleteBackupRecord, putSetting, getSetting } from './localRepository'
+
+const BACKUP_FORMAT = 'life-goes-on-backup'
+const BACKUP_VERSION = 1
+const BACKUP_INFO_PATH = 'backup.json'
+const SETTINGS_KEY = 'lifeGoesOnBackupSettings'
+const FILE_PREFIX = 'life-goes-on-backup-'
+
+export const BACKUP_INTERVAL_OPTIONS = [
+  { hours: 6, label: 'Every 6 hours' },
+  { hours: 24, label: 'Daily' },
+  { hours: 168, label: 'Weekly' }
+]
+export const BACKUP_KEEP_OPTIONS = [3, 7, 14, 30]
+
+export const DEFAULT_BACKUP_SETTINGS = {
+  enabled: false,
+  intervalHours: 24,
+  keep: 7,
+  target: 'browser', // 'browser' (IndexedDB) or 'directory'
+  encrypt: true,
+  lastBackupAt: null
+}
+
+export class BackupError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'BackupError'
+    this.code = code
+  }
+}
+
+export const getBackupSettings = () => {
+  try {
+    return { ...DEFAULT_BACKUP_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) }
+  } catch {
+    return { ...DEFAULT_BACKUP_SETTINGS }
+  }
+}
+
+export const saveBackupSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+}
+
+export const isBackupDue = (settings, now = Date.now()) => {
+  return settings.enabled && (!settings.lastBackupAt || now - settings.lastBackupAt >= settings.intervalHours * 60 * 60 * 1000)
+}
+
+export const canBackUpToDirectory = () => typeof window.showDirectoryPicker === 'function'
+
+const directoryKey = (uid) => `backupDirectory:${uid}`
+
+// Ask the user for a backup folder and remember it. Must run from a click.
+export const chooseBackupDirectory = async (uid) => {
+  const handle = await window.showDirectoryPicker({ id: 'life-goes-on-backups', mode: 'readwrite' })
+  await putSetting(directoryKey(uid), handle)
+  return handle
+}
+
+// The remembered backup folder, or null. Permission has to be asked
+// again after a reload, and only from a click (request: true).
+export const getBackupDirectory = async (uid, { request = false } = {}) => {
+  const handle = await getSetting(directoryKey(uid))
+  if (!handle) return null
+
+  const options = { mode: 'readwrite' }
+  if (await handle.queryPermission(options) === 'granted') return handle
+  if (request && await handle.requestPermission(options) === 'granted') return handle
+  return null
+}
+
+// Folder name for display, without asking for permission
+export const getBackupDirectoryName = async (uid) => {
+  const handle = await getSetting(directoryKey(uid))
+  return handle?.name || null
+}
+
+const toFileName = (createdAt) => {
+  return `${FILE_PREFIX}${new Date(createdAt).toISOString().replace(/[:.]/g, '-')}.zip`
+}
+
+// Snapshot the vault and store it. exportOptions go to exportVault.
+// Resolves to { backup, missing } where missing lists files left out.
+export const createBackup = async (uid, items, library, settings, exportOptions) => {
+  const createdAt = Date.now()
+  const { blob: vaultZip, missing } = await exportVault(items, library, exportOptions)
+
+  const info = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt,
+    itemCount: items.length,
+    encrypted: settings.encrypt
+  }
+  let vaultEntry
+  if (settings.encrypt) {
+    info.keyring = loadLocalKeyring(uid)
+    vaultEntry = { path: 'vault.zip.enc', data: await encryptBlob(vaultZip), modifiedAt: createdAt }
+  } else {
+    vaultEntry = { path: 'vault.zip', data: vaultZip, modifiedAt: createdAt }
+  }
+  const blob = await createZip([{ path: BACKUP_INFO_PATH, data: JSON.stringify(info) }, vaultEntry])
+
+  const backup = {
+    backupId: crypto.randomUUID(),
+    uid,
+    source: settings.target,
+    createdAt,
+    size: blob.size,
+    itemCount: items.length,
+    encrypted: settings.encrypt
+  }
+
+  if (settings.target === 'directory') {
+    const directory = await getBackupDirectory(uid)
+    if (!directory) throw new BackupError('backup/no-directory', 'Choose the backup folder again to allow writing to it')
+    const fileHandle = await directory.getFileHandle(toFileName(createdAt), { create: true })
+    const writable = await fileHandle.createWritable()
+    await writable.write(blob)
+    await writable.close()
+    backup.fileName = fileHandle.name
+  } else {
+    await putBackup({ ...backup, blob })
+  }
+
+  console.log('=== BACKUP CREATED ===', { target: settings.target, size: blob.size, itemCount: items.length })
+  await pruneBackups(uid, settings)
+  return { backup, missing }
+}
+
+// backup.json of a backup file, or null if it isn't one
+const readBackupInfo = async (blob) => {
+  try {
+    const zip = await readZip(blob)
+    const info = JSON.parse(await (await zip.read(BACKUP_INFO_PATH)).text())
+    return info?.format === BACKUP_FORMAT ? info : null
+  } catch {
+    return null
+  }
+}
+
+const listDirectoryBackups = async (uid) => {
+  const directory = await getBackupDirectory(uid)
+  if (!directory) return []
+
+  const backups = []
+  for await (const [name, handle] of directory.entries()) {
+    if (handle.kind !== 'file' || !name.startsWith(FILE_PREFIX) || !name.endsWith('.zip')) continue
+    const file = await handle.getFile()
+    const info = await readBackupInfo(file)
+    if (!info) continue
+    backups.push({
+      backupId: `directory:${name}`,
+      uid,
+      source: 'directory',
+      fileName: name,
+      createdAt: info.createdAt,
+      size: file.size,
+      itemCount: info.itemCount,
+      encrypted: info.encrypted
+    })
+  }
+  return backups
+}
+
+// Every backup this device can reach (browser store and, if permitted,
+// the backup folder), newest first. Entries carry no file bytes.
+export const listBackups = async (uid) => {
+  const stored = (await getBackups(uid)).map(record => {
+    const { blob: _blob, ...backup } = record
+    return { ...backup, source: 'browser' }
+  })
+  let inDirectory = []
+  try {
+    inDirectory = await listDirectoryBackups(uid)
+  } catch (error) {
+    console.error('Error listing backup folder:', error)
+  }
+  return [...stored, ...inDirectory].sort((a, b) => b.createdAt - a.createdAt)
+}
+
+const loadBackupBlob = async (uid, backup) => {
+  if (backup.source === 'directory') {
+    const directory = await getBackupDirectory(uid, { request: true })
+    if (!directory) throw new BackupError('backup/no-directory', 'No permission to read the backup folder')
+    return (await directory.getFileHandle(backup.fileName)).getFile()
+  }
+  const record = (await getBackups(uid)).find(stored => stored.backupId === backup.backupId)
+  if (!record) throw new BackupError('backup/missing', 'This backup no longer exists')
+  return record.blob
+}
+
+// Open a backup for preview and restore; resolves like readVaultArchive.
+// An encrypted backup made with another vault key (another account, or
+// before the key changed) needs the passphrase it was made with:
+// without one this throws BackupError('backup/passphrase-needed').
+export const openBackup = async (uid, backup, { passphrase = null } = {}) => {
+  try {
+    const zip = await readZip(await loadBackupBlob(uid, backup))
+    const info = JSON.parse(await (await zip.read(BACKUP_INFO_PATH)).text())
+    if (info?.format !== BACKUP_FORMAT || info.version > BACKUP_VERSION) {
+      throw new BackupError('backup/unsupported', 'This backup was made by a newer version of the app')
+    }
+
+    if (!info.encrypted) return readVaultArchive(await zip.read('vault.zip'))
+
+    const sealed = await zip.read('vault.zip.enc')
+    const key = passphrase ? await unlockKeyring(info.keyring, passphrase) : null
+    try {
+      return await readVaultArchive(await decryptBlob(sealed, 'application/zip', key))
+    } catch (error) {
+      if (error.code === 'vault/decrypt-failed' && !passphrase) {
+        throw new BackupError('backup/passphrase-needed', 'Enter the password this backup was made with')
+      }
+      throw error
+    }
+  } catch (error) {
+    if (error instanceof ZipError || error instanceof SyntaxError) {
+      throw new ArchiveError('This backup is damaged')
+    }
+    throw error
+  }
+}
+
+export const deleteBackup = async (uid, backup) => {
+  if (backup.source === 'directory') {
+    const directory = await getBackupDirectory(uid, { request: true })
+    if (!directory) throw new BackupError('backup/no-directory', 'No permission to change the backup folder')
+    await directory.removeEntry(backup.fileName)
+  } else {
+    await deleteBackupRecord(backup.backupId)
+  }
+}
+
+// Keep only the newest `settings.keep` backups in the current target
+const pruneBackups = async (uid, settings) => {
+  const backups = (await listBackups(uid)).filter(backup => backup.source === settings.target)
+  for (const backup of backups.slice(settings.keep)) {
+    try {
+      await deleteBackup(uid, backup)
+    } catch (error) {
+      console.error('Error removing old backup:', backup.backupId, error)
+    }
+  }
+}
@@ -0,0 +1,507 @@
+// Cloud sync for Life Goes On
+// The vault syncs with one cloud provider at a time, picked in sync
+// settings (cloudSettings.js): Firebase (firebase.js) or a self-hosted
+// server (serverProvider.js, reference server in server/). This module
+// holds everything that doesn't depend on the provider: sealing and
+// opening records, file content layout, history cleanup. Providers only
+// store sealed records and encrypted blobs, and implement:
+//
+//   isReady()                            configured and signed in
+//   save(id, record, baseVersion)        store an item record unless the cloud's copy
+//                                        is newer than baseVersion (SyncConflictError)
+//   loadPage({ since, after, limit })    { records, after, syncPoint }: item records,
+//                                        tombstones included, oldest created first; with
+//                                        since (a syncPoint) only those changed after it,
+//                                        in order of change. `after` continues with the
+//                                        next page and is null on the last. syncPoint:
+//                                        load `since` it later to get every change not in
+//                                        this load (on a full load's first page, the
+//                                        newest change when it started)
+//   delete(id, tombstone, baseVersion)   replace a record with its tombstone, checked
+//                                        like save; nothing if it's missing or deleted
+//   subscribe(since, onChanges)          onChanges(records, syncPoint) with the records
+//                                        changed after since, as they change
+//   watchConnection(callback)            callback(connected) when that changes
+//   saveVersion(itemId, versionId, record), loadVersions(itemId),
+//   deleteVersion(itemId, versionId)     an item's earlier states
+//   loadDoc(name), saveDoc(name, value)  per-user values ('keyring', 'library')
+//   updateDoc(name, update)              store await update(current) without losing
+//                                        a concurrent write; resolves to the new value
+//   subscribeToDoc(name, callback)       callback(value, fromServer) on changes
+//   contentPath(contentId), thumbnailPath(contentId)
+//   uploadBlob(path, blob, { onProgress, signal })
+//   getBlob(path), getBlobSize(path)     (size is null when missing)
+//   getBlobUrl(path)                     a URL that needs no credentials, or null
+//   deleteBlob(path)
+//   legacyPath(item), migrateLegacyItems()   optional
+//
+// Subscriptions return an unsubscribe function.
+
+import { sealItem, openItems, encryptBlob, encryptText, decryptText } from './crypto'
+import { getSyncBase, isTombstone, SyncConflictError } from './merge'
+import { mergeLibraries } from './library'
+import { getCloudSettings } from './cloudSettings'
+import { firebaseProvider, checkFirebaseConfig } from './firebase'
+import { createServerProvider } from './serverProvider'
+import { getSetting, putSetting } from './localRepository'
+
+export { SyncConflictError }
+
+const CLOUD_PAGE_SIZE = 200
+const SYNC_POINT_KEY = 'cloudSyncPoint'
+
+// The provider for the given settings, or null when it can't run
+// (Firebase without a configuration, a server without an address)
+export const createProvider = (settings) => {
+  if (settings.provider === 'firebase') return checkFirebaseConfig() ? firebaseProvider : null
+  if (settings.provider === 'server' && settings.serverUrl && settings.serverToken) {
+    return createServerProvider(settings)
+  }
+  return null
+}
+
+// Settings apply on page load, like Firebase's own initialization
+let provider
+const getProvider = () => {
+  if (provider === undefined) provider = createProvider(getCloudSettings())
+  return provider
+}
+
+const getReadyProvider = () => {
+  const active = getProvider()
+  return active?.isReady() ? active : null
+}
+
+const requireProvider = () => {
+  const active = getReadyProvider()
+  if (!active) throw new Error('Cloud is not available')
+  return active
+}
+
+// Whether this device syncs with a cloud at all
+export const isCloudConfigured = () => !!getProvider()
+
+export const getCloudLabel = () => getProvider()?.label || null
+
+// Items uploaded before storagePath was recorded used the provider's legacy path
+export const getStoragePath = (item) => item.storagePath || getProvider()?.legacyPath?.(item) || null
+
+// Where a content ID's bytes go for the signed-in user. Chunked uploads
+// put chunk n at `${path}/${n}` (see uploads.js).
+export const getContentStoragePath = (contentId) => getReadyProvider()?.contentPath(contentId) ?? null
+
+// Upload one blob; onProgress(bytesSent) as it goes, and aborting signal
+// cancels it
+export const uploadCloudBlob = (path, blob, options) => requireProvider().uploadBlob(path, blob, options)
+
+// Whether every chunk under path is in the cloud with the expected size.
+// Content is addressed by its hash, so another item's upload of the same
+// file already put the very same bytes there.
+export const hasCloudChunks = async (path, chunkSizes) => {
+  const active = getReadyProvider()
+  if (!active) return false
+  try {
+    const sizes = await Promise.all(chunkSizes.map((_, index) => active.getBlobSize(`${path}/${index}`)))
+    return sizes.every((size, index) => size === chunkSizes[index])
+  } catch {
+    return false
+  }
+}
+
+// Upload a content's encrypted thumbnail; resolves to its storage path
+export const uploadThumbnail = async (contentId, encryptedBlob) => {
+  const active = requireProvider()
+  const path = active.thumbnailPath(contentId)
+  await active.uploadBlob(path, encryptedBlob)
+  return path
+}
+
+// A thumbnail's bytes (still encrypted)
+export const downloadThumbnail = (path) => requireProvider().getBlob(path)
+
+// A single stored object's bytes (still encrypted if they were uploaded so)
+export const downloadCloudBlob = (path) => requireProvider().getBlob(path)
+
+// Download a chunked file's bytes (still encrypted) and join them
+export const downloadFileChunks = async (item) => {
+  const active = requireProvider()
+  const chunks = []
+  for (let index = 0; index < item.chunkCount; index++) {
+    chunks.push(await active.getBlob(`${item.storagePath}/${index}`))
+  }
+  return new Blob(chunks, { type: 'application/octet-stream' })
+}
+
+// Remove a file's bytes from the cloud: every chunk of a chunked upload,
+// or the single object older uploads used, and its thumbnail. Missing
+// objects are fine.
+export const deleteCloudContent = async (item) => {
+  const active = getReadyProvider()
+  if (!active) return
+  const paths = item.chunkCount
+    ? Array.from({ length: item.chunkCount }, (_, index) => `${item.storagePath}/${index}`)
+    : [getStoragePath(item)].filter(Boolean)
+  if (item.thumbnailPath) paths.push(item.thumbnailPath)
+
+  await Promise.all(paths.map(path =>
+    active.deleteBlob(path).catch(storageError =>
+      console.log('Storage delete skipped:', path, storageError.message)
+    )
+  ))
+}
+
+// A full load pages through the items by createdAt, and a record
+// without one would be left out (Firestore also rejects undefined)
+const getCreatedAt = (item, now = Date.now()) => item.createdAt ?? new Date(now).toISOString()
+
+// syncedAt is bookkeeping for this device and never goes to the cloud
+const toCloudItem = (item) => {
+  const { syncedAt: _syncedAt, ...cloudItem } = item
+  return { ...cloudItem, createdAt: getCreatedAt(item) }
+}
+
+// Save an item (metadata only, file bytes are stored as blobs).
+// For a file whose content changed, pass either `chunkCount` once
+// uploads.js has sent its chunks, or the plaintext `blob` to upload it
+// here as a single object. Note content, file names and file bytes are
+// encrypted before upload;
+// the returned item is the plaintext version for local state, with
+// syncedAt set to the new cloud version.
+// Throws SyncConflictError if another device changed the item meanwhile.
+export const saveItemToCloud = async (item, { blob = null, chunkCount = null } = {}) => {
+  const active = getReadyProvider()
+  if (!active) {
+    console.log('Cloud not configured or not signed in, skipping cloud save')
+    return null
+  }
+
+  try {
+    const baseVersion = getSyncBase(item)
+
+    // If it's a file, upload its bytes first
+    if (item.type === 'file' && (blob || chunkCount)) {
+      const storagePath = active.contentPath(item.contentId || item.id)
+      let content
+
+      if (chunkCount) {
+        // Already uploaded; chunks have no single download URL
+        content = { data: null, chunkCount }
+      } else {
+        await active.uploadBlob(storagePath, await encryptBlob(blob))
+        content = { data: await active.getBlobUrl(storagePath), chunkCount: null }
+      }
+
+      // Save metadata with the content's location instead of the bytes
+      const itemData = {
+        ...toCloudItem(item),
+        ...content,
+        storagePath,
+        isCloudStored: true,
+        blobEncrypted: true,
+        updatedAt: Date.now()
+      }
+
+      await active.save(item.id, await sealItem(itemData), baseVersion)
+
+      // The previous upload stays: it belongs to the item's history
+      // now, and history.js deletes it when that version is pruned
+      return { ...itemData, syncedAt: itemData.updatedAt }
+    } else {
+      // For notes (and files already uploaded), save metadata only
+      const itemData = {
+        ...toCloudItem(item),
+        updatedAt: Date.now()
+      }
+      await active.save(item.id, await sealItem(itemData), baseVersion)
+      return { ...itemData, syncedAt: itemData.updatedAt }
+    }
+  } catch (error) {
+    if (!(error instanceof SyncConflictError)) {
+      console.error('Error saving to cloud:', error)
+    }
+    throw error
+  }
+}
+
+// Re-save items written before client-side encryption existed so their
+// content, names and file bytes stop sitting in the cloud as plaintext
+const encryptLegacyCloudItems = async (active, records, items) => {
+  const legacyIds = new Set(
+    records
+      .filter(record => !record.encrypted && !isTombstone(record))
+      .map(record => record.id)
+  )
+  if (legacyIds.size === 0) return
+
+  console.log('Encrypting legacy cloud items:', legacyIds.size)
+  for (const item of items) {
+    if (!legacyIds.has(item.id)) continue
+
+    try {
+      if (item.type === 'file' && item.isCloudStored) {
+        const legacyPath = getStoragePath(item)
+        const saved = await saveItemToCloud(item, { blob: await active.getBlob(legacyPath) })
+        if (legacyPath !== saved.storagePath) {
+          await active.deleteBlob(legacyPath)
+        }
+        Object.assign(item, saved)
+      } else {
+        Object.assign(item, await saveItemToCloud(item))
+      }
+    } catch (error) {
+      console.error('Error encrypting legacy item:', item.id, error)
+    }
+  }
+}
+
+// Load one page of every item in the cloud, tombstones included, newest
+// created first. `after` is the cursor from the previous page (null for
+// the first), and is passed back as null on the last page. Only the first
+// page has a syncPoint, to continue from once all pages are in (see
+// subscribeToItems). Throws if the cloud can't be reached, so callers can
+// tell "no items" from "offline" and don't mistake the latter for remote
+// deletes.
+export const loadItemPage = async (after = null) => {
+  const active = getReadyProvider()
+  if (!active) {
+    console.log('Cloud not configured or not signed in, nothing to load')
+    return { items: [], after: null, syncPoint: null }
+  }
+
+  try {
+    const page = await active.loadPage({ after, limit: CLOUD_PAGE_SIZE })
+    const items = await openItems(page.records)
+    await encryptLegacyCloudItems(active, page.records, items)
+    console.log('Loaded from cloud:', items.length, 'items')
+    return { items, after: page.after, syncPoint: after ? null : page.syncPoint }
+  } catch (error) {
+    console.error('Error loading from cloud:', error)
+    throw error
+  }
+}
+
+// Load the items changed in the cloud after `since` (a syncPoint from an
+// earlier load), tombstones included. All pages are fetched, as there are
+// few; onPage(items) is awaited for each. Resolves to the syncPoint to
+// continue from, never earlier than one already reached: an empty last
+// page reports `since` back. Throws like loadItemPage.
+export const loadChangesFromCloud = async ({ since, onPage }) => {
+  const active = getReadyProvider()
+  if (!active) {
+    console.log('Cloud not configured or not signed in, nothing to load')
+    return since
+  }
+
+  try {
+    let after = null
+    let syncPoint = since
+    let count = 0
+    do {
+      const page = await active.loadPage({ since, after, limit: CLOUD_PAGE_SIZE })
+      const items = await openItems(page.records)
+      await encryptLegacyCloudItems(active, page.records, items)
+      await onPage(items)
+
+      syncPoint = Math.max(syncPoint, page.syncPoint ?? since)
+      after = page.after
+      count += items.length
+    } while (after)
+
+    console.log('Changes from cloud:', count, 'items')
+    return syncPoint
+  } catch (error) {
+    console.error('Error loading from cloud:', error)
+    throw error
+  }
+}
+
+const deleteAllVersionsFromCloud = async (active, itemId, keepContentIds) => {
+  try {
+    for (const version of await active.loadVersions(itemId)) {
+      if (version.type === 'file' && version.isCloudStored && version.storagePath && !keepContentIds.has(version.contentId)) {
+        await deleteCloudContent(version)
+      }
+      await active.deleteVersion(itemId, version.versionId)
+    }
+  } catch (error) {
+    console.log('Version cleanup skipped:', error.message)
+  }
+}
+
+// Delete an item's bytes and replace its record with a tombstone, so
+// other devices learn about the delete instead of re-uploading their
+// copy. Throws SyncConflictError if another device edited the item since
+// this one last synced it. File content whose content ID is in
+// keepContentIds is still used by other items and stays.
+export const deleteItemFromCloud = async (item, { keepContentIds = new Set() } = {}) => {
+  const active = getReadyProvider()
+  if (!active) {
+    console.log('Cloud not configured or not signed in, skipping cloud delete')
+    return
+  }
+
+  try {
+    const now = Date.now()
+    const tombstone = { id: item.id, deleted: true, createdAt: getCreatedAt(item, now), deletedAt: now, updatedAt: now }
+    await active.delete(item.id, tombstone, getSyncBase(item))
+
+    // If it's a file stored in the cloud, delete its bytes too
+    if (item.type === 'file' && item.isCloudStored && !keepContentIds.has(item.contentId)) {
+      await deleteCloudContent(item)
+    }
+    await deleteAllVersionsFromCloud(active, item.id, keepContentIds)
+
+    console.log('Deleted from cloud:', item.id)
+  } catch (error) {
+    if (!(error instanceof SyncConflictError)) {
+      console.error('Error deleting from cloud:', error)
+    }
+    throw error
+  }
+}
+
+// Save one of an item's earlier states (sealed like the item itself)
+export const saveVersionToCloud = async (version) => {
+  const active = getReadyProvider()
+  if (!active) return
+  await active.saveVersion(version.itemId, version.versionId, await sealItem(version))
+}
+
+// An item's versions from every device, newest first
+export const loadVersionsFromCloud = async (itemId) => {
+  const active = getReadyProvider()
+  if (!active) return []
+
+  const versions = await openItems(await active.loadVersions(itemId))
+  return versions.sort((a, b) => b.savedAt - a.savedAt)
+}
+
+// Remove a version, and its file bytes unless keepContent (the item or
+// another version still points at them). Only content with a recorded
+// storagePath is removed; legacy paths depend on the encrypted name.
+export const deleteVersionFromCloud = async (version, { keepContent = false } = {}) => {
+  const active = getReadyProvider()
+  if (!active) return
+
+  await active.deleteVersion(version.itemId, version.versionId)
+  if (!keepContent && version.type === 'file' && version.isCloudStored && version.storagePath) {
+    await deleteCloudContent(version)
+  }
+}
+
+// Where this device's copy of the user's items caught up with the cloud,
+// or null before the first complete load. Items aren't kept per user, so
+// another user signing in starts over.
+export const loadSyncPoint = async (uid) => {
+  const saved = await getSetting(SYNC_POINT_KEY)
+  return saved?.uid === uid ? saved.syncPoint : null
+}
+
+export const saveSyncPoint = (uid, syncPoint) => putSetting(SYNC_POINT_KEY, { uid, syncPoint })
+
+// The next load reads every item again
+export const clearSyncPoint = () => putSetting(SYNC_POINT_KEY, null)
+
+// Listen for items changed after `since` (a syncPoint);
+// callback(items, syncPoint) with each batch, in order
+export const subscribeToItems = (since, callback) => {
+  const active = getReadyProvider()
+  if (!active) {
+    console.log('Cloud not configured or not signed in, no real-time sync')
+    return () => {}
+  }
+
+  try {
+    // Decryption is async; keep batches in the order they came
+    let delivered = Promise.resolve()
+    let stopped = false
+
+    const unsubscribe = active.subscribe(since ?? 0, (records, syncPoint) => {
+      const opening = openItems(records)
+      delivered = delivered.then(async () => {
+        const items = await opening
+        if (stopped) return
+        console.log('Real-time update:', items.length, 'items')
+        await callback(items, syncPoint)
+      }).catch(error => console.error('Real-time sync error:', error))
+    })
+    return () => {
+      stopped = true
+      unsubscribe()
+    }
+  } catch (error) {
+    console.error('Error setting up real-time sync:', error)
+    return () => {}
+  }
+}
+
+// Calls back with true on (re)connect and false when the cloud can't be reached
+export const watchCloudConnection = (callback) => {
+  const active = getReadyProvider()
+  if (!active) return () => {}
+  try {
+    return active.watchConnection(callback)
+  } catch (error) {
+    console.error('Error watching cloud connection:', error)
+    return () => {}
+  }
+}
+
+// The user's encryption keyring (master key wrapped with their passphrase)
+// lives in the cloud so every device can unlock the same vault.
+// Returns null if none exists yet; throws if the cloud can't be reached.
+export const loadKeyringFromCloud = async () => {
+  const active = getReadyProvider()
+  if (!active) return null
+  return active.loadDoc('keyring')
+}
+
+export const saveKeyringToCloud = async (keyring) => {
+  const active = getReadyProvider()
+  if (!active) return
+  await active.saveDoc('keyring', keyring)
+}
+
+// Tag and folder definitions (see library.js), encrypted. Saving merges
+// with the cloud copy so edits made on two devices at once both survive.
+// Resolves to the merged library.
+export const saveLibraryToCloud = async (library) => {
+  const active = getReadyProvider()
+  if (!active) return library
+
+  let merged = library
+  await active.updateDoc('library', async (encrypted) => {
+    merged = encrypted
+      ? mergeLibraries(library, JSON.parse(await decryptText(encrypted)))
+      : library
+    return encryptText(JSON.stringify(merged))
+  })
+  return merged
+}
+
+// Calls back with (cloud library or null, whether the server sent it) on
+// every change, and again on reconnect so offline edits can be pushed
+export const subscribeToLibrary = (callback) => {
+  const active = getReadyProvider()
+  if (!active) return () => {}
+
+  try {
+    return active.subscribeToDoc('library', async (encrypted, fromServer) => {
+      try {
+        callback(encrypted ? JSON.parse(await decryptText(encrypted)) : null, fromServer)
+      } catch (error) {
+        console.error('Error reading cloud library:', error)
+      }
+    })
+  } catch (error) {
+    console.error('Error setting up library sync:', error)
+    return () => {}
+  }
+}
+
+// Moves data left by older deployments, where the provider has any.
+// Returns the number of items moved.
+export const migrateLegacyItems = async () => {
+  const active = getReadyProvider()
+  return active?.migrateLegacyItems ? active.migrateLegacyItems() : 0
+}
@@ -0,0 +1,76 @@
+// Cloud sync settings for Life Goes On
+// Which provider the vault syncs with (see cloud.js): Firebase, a
+// self-hosted server (server/index.js) or none. Settings are per device
+// and take effect on the next page load, when the provider starts.
+
+const SETTINGS_KEY = 'lifeGoesOnCloudSettings'
+
+export const CLOUD_PROVIDERS = [
+  { value: 'firebase', label: 'Firebase' },
+  { value: 'server', label: 'Self-hosted server' },
+  { value: 'none', label: 'This device only' }
+]
+
+export const DEFAULT_CLOUD_SETTINGS = {
+  provider: 'firebase',
+  firebaseConfig: null, // pasted in sync settings; null uses the deployment's (firebaseConfig.js)
+  firebaseEmulatorHost: '', // set to use the local emulators instead
+  serverUrl: '',
+  serverToken: ''
+}
+
+export const getCloudSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY))
+    const settings = { ...DEFAULT_CLOUD_SETTINGS, ...saved }
+    return CLOUD_PROVIDERS.some(option => option.value === settings.provider)
+      ? settings
+      : { ...settings, provider: DEFAULT_CLOUD_SETTINGS.provider }
+  } catch {
+    return { ...DEFAULT_CLOUD_SETTINGS }
+  }
+}
+
+export const saveCloudSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+}
+
+// Server URL without a trailing slash, so paths can be appended
+export const normalizeServerUrl = (url) => (url || '').trim().replace(/\/+$/, '')
+
+// Whether two settings point at the same cloud account; moving to
+// another one means uploading the vault there again
+export const sameCloud = (a, b) => {
+  if (a.provider !== b.provider) return false
+  if (a.provider === 'firebase') {
+    return (a.firebaseEmulatorHost || '') === (b.firebaseEmulatorHost || '') &&
+      (a.firebaseConfig?.projectId ?? null) === (b.firebaseConfig?.projectId ?? null)
+  }
+  if (a.provider === 'server') {
+    return normalizeServerUrl(a.serverUrl) === normalizeServerUrl(b.serverUrl) &&
+      a.serverToken === b.serverToken
+  }
+  return true
+}
+
+// What a device takes along when it moves to another cloud: its keyring
+// (still wrapped with the passphrase) and its tags and folders (encrypted).
+// The data here is sealed with that keyring's master key, and a new cloud
+// may come with a new account. Used once the vault is unlocked again.
+const CARRIED_VAULT_KEY = 'lifeGoesOnCarriedVault'
+
+export const loadCarriedVault = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CARRIED_VAULT_KEY))
+  } catch {
+    return null
+  }
+}
+
+export const saveCarriedVault = (carried) => {
+  localStorage.setItem(CARRIED_VAULT_KEY, JSON.stringify(carried))
+}
+
+export const clearCarriedVault = () => {
+  localStorage.removeItem(CARRIED_VAULT_KEY)
+}
@@ -0,0 +1,104 @@
+// Moving the vault to another cloud for Life Goes On
+// Items remember where their bytes live in the current cloud, and the
+// merge would take an item that's missing from the new cloud for one
+// deleted elsewhere. So before the provider changes, every file's bytes
+// are brought onto this device and the items forget the old cloud; the
+// new one then sees them as never uploaded and gets a full copy. Queued
+// writes and open conflicts belonged to the old cloud and are dropped.
+// Version history stays with the old cloud.
+
+import { encryptText, decryptText, loadLocalKeyring } from './crypto'
+import { loadFileBlob, loadLocalFileBlob, storeFileContent } from './fileStore'
+import {
+  loadItemsFromDB,
+  saveItemsToDB,
+  getOutboxEntries,
+  deleteOutboxEntry,
+  getUploads,
+  deleteUpload,
+  loadConflicts,
+  deleteConflict
+} from './localRepository'
+import { clearSyncPoint } from './cloud'
+import { saveCloudSettings, saveCarriedVault, loadCarriedVault, clearCarriedVault } from './cloudSettings'
+
+// Where an item's content sits in the current cloud
+const CLOUD_FIELDS = ['storagePath', 'chunkCount', 'thumbnailPath', 'blobEncrypted', 'syncedAt']
+
+export class CloudSwitchError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'CloudSwitchError'
+    this.code = code
+  }
+}
+
+const isInlineData = (item) => !!item.data?.startsWith('data:')
+
+// Make sure a file's bytes are on this device; resolves to the item,
+// with a content ID if it had none (the oldest uploads)
+const keepContentLocally = async (item) => {
+  if (item.type !== 'file' || isInlineData(item) || !item.isCloudStored) return item
+  if (await loadLocalFileBlob(item)) return item
+
+  // loadFileBlob caches what it downloads under the item's content ID
+  const blob = await loadFileBlob(item)
+  return item.contentId ? item : { ...item, ...await storeFileContent(blob) }
+}
+
+const forgetCloud = (item) => {
+  const local = { ...item, isCloudStored: false }
+  CLOUD_FIELDS.forEach(field => delete local[field])
+  if (!isInlineData(item)) delete local.data
+  return local
+}
+
+// Switch this device to the cloud in `settings`. Needs the vault unlocked:
+// the tags and folders are carried over encrypted with its key.
+// onProgress(done, total) as file contents come down. If some can't be
+// downloaded nothing changes and a CloudSwitchError says how many, unless
+// skipMissing: then those items stay without content. The caller reloads
+// the page once this resolves.
+export const switchCloud = async ({ uid, library, settings, onProgress, skipMissing = false }) => {
+  const items = await loadItemsFromDB()
+  const files = items.filter(item => item.type === 'file')
+
+  const kept = new Map()
+  let missing = 0
+  for (const [index, item] of files.entries()) {
+    try {
+      kept.set(item.id, await keepContentLocally(item))
+    } catch (error) {
+      console.error('Could not download before switching:', item.id, error)
+      missing++
+    }
+    onProgress?.(index + 1, files.length)
+  }
+  if (missing > 0 && !skipMissing) {
+    throw new CloudSwitchError('cloud-switch/missing-content', `${missing} file(s) could not be downloaded from the current cloud`)
+  }
+
+  await saveItemsToDB(items.map(item => forgetCloud(kept.get(item.id) || item)))
+
+  for (const entry of await getOutboxEntries()) await deleteOutboxEntry(entry.itemId)
+  for (const upload of await getUploads()) await deleteUpload(upload.contentId)
+  for (const conflict of await loadConflicts()) await deleteConflict(conflict.itemId)
+  await clearSyncPoint()
+
+  saveCarriedVault({
+    keyring: loadLocalKeyring(uid),
+    library: await encryptText(JSON.stringify(library))
+  })
+  saveCloudSettings(settings)
+  console.log('Switched cloud to:', settings.provider, { itemCount: items.length })
+}
+
+// The tags and folders carried over from the previous cloud, or null.
+// Taken once, after the vault is unlocked; the keyring (see vault.js) has
+// been saved for the account by then.
+export const takeCarriedLibrary = async () => {
+  const carried = loadCarriedVault()
+  if (!carried) return null
+  clearCarriedVault()
+  return carried.library ? JSON.parse(await decryptText(carried.library)) : null
+}
@@ -0,0 +1,88 @@
+import { MIME_FAMILIES, countAdvancedFilters } from '../viewState'
+
+// Date range, file kind, size range and storage filters.
+// onChange(changes) merges into the view; onClear resets them all.
+function AdvancedFilters({ view, onChange, onClear }) {
+  return (
+    <div id="advanced-filters" className="advanced-filters" role="group" aria-label="Advanced filters">
+      <fieldset>
+        <legend>Added</legend>
+        <label>
+          From
+          <input
+            type="date"
+            value={view.from}
+            max={view.to || undefined}
+            onChange={(e) => onChange({ from: e.target.value })}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={view.to}
+            min={view.from || undefined}
+            onChange={(e) => onChange({ to: e.target.value })}
+          />
+        </label>
+      </fieldset>
+
+      <fieldset>
+        <legend>File kind</legend>
+        <select
+          value={view.family}
+          onChange={(e) => onChange({ family: e.target.value })}
+          aria-label="File kind"
+        >
+          <option value="">Any</option>
+          {MIME_FAMILIES.map(family => (
+            <option key={family.value} value={family.value}>{family.label}</option>
+          ))}
+        </select>
+      </fieldset>
+
+      <fieldset>
+        <legend>Size (MB)</legend>
+        <label>
+          Min
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={view.minSize}
+            onChange={(e) => onChange({ minSize: e.target.value })}
+          />
+        </label>
+        <label>
+          Max
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={view.maxSize}
+            onChange={(e) => onChange({ maxSize: e.target.value })}
+          />
+        </label>
+      </fieldset>
+
+      <fieldset>
+        <legend>Stored</legend>
+        <select
+          value={view.storage}
+          onChange={(e) => onChange({ storage: e.target.value })}
+          aria-label="Stored"
+        >
+          <option value="">Anywhere</option>
+          <option value="cloud">In the cloud</option>
+          <option value="local">This device only</option>
+        </select>
+      </fieldset>
+
+      <button className="account-btn" onClick={onClear} disabled={countAdvancedFilters(view) === 0}>
+        Clear filters
+      </button>
+    </div>
+  )
+}
+
+export default AdvancedFilters
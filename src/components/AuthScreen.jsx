@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { signIn, signUp, getAuthMode, getAuthErrorMessage, MIN_PASSWORD_LENGTH } from '../auth'
+
+// Sign-in / sign-up screen shown until a user is authenticated
+function AuthScreen({ onAuthenticated }) {
+  const [mode, setMode] = useState('signin') // signin, signup
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [authError, setAuthError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const isSignUp = mode === 'signup'
+  const isLocalMode = getAuthMode() === 'local'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setAuthError('')
+
+    if (isSignUp && password !== confirmPassword) {
+      setAuthError('Passwords do not match')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const user = isSignUp ? await signUp(email, password) : await signIn(email, password)
+      setPassword('')
+      setConfirmPassword('')
+      onAuthenticated?.(user, password)
+    } catch (error) {
+      console.error('Authentication error:', error)
+      setAuthError(getAuthErrorMessage(error))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const switchMode = () => {
+    setMode(isSignUp ? 'signin' : 'signup')
+    setAuthError('')
+    setConfirmPassword('')
+  }
+
+  return (
+    <div className="app">
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1 className="auth-title">Life Goes On</h1>
+          <p className="auth-subtitle">
+            {isSignUp ? 'Create your account' : 'Sign in to your vault'}
+            {isLocalMode && ' (stored on this device only)'}
+          </p>
+
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="input-group">
+              <label htmlFor="email">Email</label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                autoComplete="email"
+                autoFocus
+                required
+              />
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="password">Password</label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={isSignUp ? `At least ${MIN_PASSWORD_LENGTH} characters` : 'Enter password'}
+                autoComplete={isSignUp ? 'new-password' : 'current-password'}
+                required
+              />
+            </div>
+
+            {isSignUp && (
+              <div className="input-group">
+                <label htmlFor="confirm-password">Confirm password</label>
+                <input
+                  id="confirm-password"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="Repeat password"
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+            )}
+
+            {authError && <p className="auth-error" role="alert">{authError}</p>}
+
+            <button type="submit" className="auth-button" disabled={isSubmitting}>
+              {isSubmitting ? 'Please wait...' : isSignUp ? 'Create account' : 'Sign in'}
+            </button>
+          </form>
+
+          <button type="button" className="auth-switch" onClick={switchMode}>
+            {isSignUp ? 'Already have an account? Sign in' : 'New here? Create an account'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AuthScreen
@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import { changePassword, getAuthErrorMessage, MIN_PASSWORD_LENGTH } from '../auth'
+
+// Modal for changing the signed-in user's password
+function ChangePasswordDialog({ onClose, onChanged }) {
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match')
+      return
+    }
+
+    if (newPassword === currentPassword) {
+      setError('New password must be different from the current one')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await changePassword(currentPassword, newPassword)
+      onChanged?.(currentPassword, newPassword)
+      onClose()
+    } catch (err) {
+      console.error('Password change error:', err)
+      setError(getAuthErrorMessage(err))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="change-password-title"
+      >
+        <div className="viewer-header">
+          <h3 id="change-password-title">Change password</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <form onSubmit={handleSubmit} className="auth-form dialog-body">
+          <div className="input-group">
+            <label htmlFor="current-password">Current password</label>
+            <input
+              id="current-password"
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus
+              required
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="new-password">New password</label>
+            <input
+              id="new-password"
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="confirm-new-password">Confirm new password</label>
+            <input
+              id="confirm-new-password"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          {error && <p className="auth-error" role="alert">{error}</p>}
+
+          <button type="submit" className="auth-button" disabled={isSubmitting}>
+            {isSubmitting ? 'Updating...' : 'Update password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ChangePasswordDialog
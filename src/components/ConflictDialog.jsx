@@ -0,0 +1,83 @@
+import { useState } from 'react'
+import { isTombstone } from '../merge'
+
+const describeVersion = (item) => {
+  if (isTombstone(item)) return 'Deleted'
+  if (item.type === 'note') return item.content
+  return item.name
+}
+
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : 'Unknown time'
+
+// Modal listing items changed both here and on another device
+function ConflictDialog({ conflicts, onResolve, onClose }) {
+  const [resolvingId, setResolvingId] = useState(null)
+
+  const handleResolve = async (conflict, choice) => {
+    setResolvingId(conflict.itemId)
+    try {
+      await onResolve(conflict, choice)
+    } finally {
+      setResolvingId(null)
+    }
+  }
+
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflicts-title"
+      >
+        <div className="viewer-header">
+          <h3 id="conflicts-title">Sync conflicts</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <div className="dialog-body conflict-list">
+          <p className="conflict-intro">
+            These items were changed on this device and on another one. Choose which version to keep.
+          </p>
+          {conflicts.map(conflict => {
+            const { itemId, op, local, remote } = conflict
+            const localDeleted = op === 'delete'
+            const busy = resolvingId === itemId
+
+            return (
+              <div key={itemId} className="conflict-item">
+                <div className="conflict-versions">
+                  <div className="conflict-version">
+                    <span className="conflict-label">This device</span>
+                    <p>{localDeleted ? 'Deleted' : describeVersion(local)}</p>
+                    <small>{formatTime(local.updatedAt)}</small>
+                  </div>
+                  <div className="conflict-version">
+                    <span className="conflict-label">Other device</span>
+                    <p>{describeVersion(remote)}</p>
+                    <small>{formatTime(remote.deletedAt || remote.updatedAt)}</small>
+                  </div>
+                </div>
+                <div className="conflict-actions">
+                  <button className="account-btn" disabled={busy} onClick={() => handleResolve(conflict, 'mine')}>
+                    Keep mine
+                  </button>
+                  <button className="account-btn" disabled={busy} onClick={() => handleResolve(conflict, 'theirs')}>
+                    Keep theirs
+                  </button>
+                  {!localDeleted && !isTombstone(remote) && (
+                    <button className="account-btn" disabled={busy} onClick={() => handleResolve(conflict, 'both')}>
+                      Keep both
+                    </button>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConflictDialog
@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import { getFolderTree, getTags, ITEM_DRAG_TYPE, MAX_LABEL_LENGTH } from '../library'
+import InlineEditor from './InlineEditor'
+
+// Drop target props for a folder or tag row; onItemDrop(itemId) on drop
+const useDropTarget = (onItemDrop) => {
+  const [isOver, setIsOver] = useState(false)
+  return [isOver, {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      setIsOver(true)
+    },
+    onDragLeave: () => setIsOver(false),
+    onDrop: (e) => {
+      e.preventDefault()
+      setIsOver(false)
+      const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE)
+      if (itemId) onItemDrop(itemId)
+    }
+  }]
+}
+
+function SidebarRow({ label, count, color, active, onSelect, onItemDrop, children }) {
+  const [isOver, dropProps] = useDropTarget(onItemDrop)
+  return (
+    <div className={`sidebar-row${active ? ' active' : ''}${isOver ? ' drop-over' : ''}`} {...dropProps}>
+      <button className="sidebar-select" onClick={onSelect} aria-pressed={active}>
+        {color && <span className="tag-dot" style={{ backgroundColor: color }} aria-hidden="true"></span>}
+        <span className="sidebar-label">{label}</span>
+        {count > 0 && <span className="sidebar-count">{count}</span>}
+      </button>
+      {children}
+    </div>
+  )
+}
+
+// Folder tree and tag list. Selecting one filters the items; dropping an
+// item on a folder moves it there, on a tag adds the tag.
+function FolderSidebar({
+  library,
+  items,
+  folderFilter,
+  tagFilter,
+  onSelectFolder,
+  onSelectTag,
+  onAddFolder,
+  onRenameFolder,
+  onRemoveFolder,
+  onAddTag,
+  onRenameTag,
+  onCycleTagColor,
+  onRemoveTag,
+  onMoveItem,
+  onTagItem
+}) {
+  // { kind: 'newFolder', parentId } | { kind: 'folder', id } | { kind: 'newTag' } | { kind: 'tag', id }
+  const [editing, setEditing] = useState(null)
+
+  const countIn = (folderId) => items.filter(item => (item.folderId || null) === folderId).length
+  const countTagged = (tagId) => items.filter(item => item.tags?.includes(tagId)).length
+
+  const save = (action) => async (value) => {
+    const name = value.trim().slice(0, MAX_LABEL_LENGTH)
+    if (!name) return false
+    await action(name)
+    setEditing(null)
+    return true
+  }
+
+  const editor = (initialValue, label, action) => (
+    <InlineEditor
+      initialValue={initialValue}
+      maxLength={MAX_LABEL_LENGTH}
+      label={label}
+      onSave={save(action)}
+      onCancel={() => setEditing(null)}
+    />
+  )
+
+  const renderFolders = (nodes) => nodes.map(({ folder, children }) => (
+    <li key={folder.id}>
+      {editing?.kind === 'folder' && editing.id === folder.id ? (
+        editor(folder.name, 'Folder name', (name) => onRenameFolder(folder.id, name))
+      ) : (
+        <SidebarRow
+          label={folder.name}
+          count={countIn(folder.id)}
+          active={folderFilter === folder.id}
+          onSelect={() => onSelectFolder(folderFilter === folder.id ? null : folder.id)}
+          onItemDrop={(itemId) => onMoveItem(itemId, folder.id)}
+        >
+          <div className="sidebar-actions">
+            <button onClick={() => setEditing({ kind: 'newFolder', parentId: folder.id })} title="New subfolder" aria-label={`New folder in ${folder.name}`}>+</button>
+            <button onClick={() => setEditing({ kind: 'folder', id: folder.id })} title="Rename" aria-label={`Rename ${folder.name}`}>E</button>
+            <button onClick={() => onRemoveFolder(folder.id)} title="Delete folder" aria-label={`Delete ${folder.name}`}>X</button>
+          </div>
+        </SidebarRow>
+      )}
+      {(children.length > 0 || (editing?.kind === 'newFolder' && editing.parentId === folder.id)) && (
+        <ul className="sidebar-list">
+          {editing?.kind === 'newFolder' && editing.parentId === folder.id && (
+            <li>{editor('', 'New folder name', (name) => onAddFolder(name, folder.id))}</li>
+          )}
+          {renderFolders(children)}
+        </ul>
+      )}
+    </li>
+  ))
+
+  return (
+    <aside className="sidebar" aria-label="Folders and tags">
+      <div className="sidebar-section">
+        <div className="sidebar-heading">
+          <h2>Folders</h2>
+          <button className="sidebar-add" onClick={() => setEditing({ kind: 'newFolder', parentId: null })} aria-label="New folder">+</button>
+        </div>
+        <ul className="sidebar-list">
+          <li>
+            <SidebarRow
+              label="All folders"
+              active={folderFilter === null}
+              onSelect={() => onSelectFolder(null)}
+              onItemDrop={(itemId) => onMoveItem(itemId, null)}
+            />
+          </li>
+          {editing?.kind === 'newFolder' && editing.parentId === null && (
+            <li>{editor('', 'New folder name', (name) => onAddFolder(name, null))}</li>
+          )}
+          {renderFolders(getFolderTree(library))}
+        </ul>
+      </div>
+
+      <div className="sidebar-section">
+        <div className="sidebar-heading">
+          <h2>Tags</h2>
+          <button className="sidebar-add" onClick={() => setEditing({ kind: 'newTag' })} aria-label="New tag">+</button>
+        </div>
+        <ul className="sidebar-list">
+          {editing?.kind === 'newTag' && (
+            <li>{editor('', 'New tag name', onAddTag)}</li>
+          )}
+          {getTags(library).map(tag => (
+            <li key={tag.id}>
+              {editing?.kind === 'tag' && editing.id === tag.id ? (
+                editor(tag.name, 'Tag name', (name) => onRenameTag(tag.id, name))
+              ) : (
+                <SidebarRow
+                  label={tag.name}
+                  color={tag.color}
+                  count={countTagged(tag.id)}
+                  active={tagFilter === tag.id}
+                  onSelect={() => onSelectTag(tagFilter === tag.id ? null : tag.id)}
+                  onItemDrop={(itemId) => onTagItem(itemId, tag.id)}
+                >
+                  <div className="sidebar-actions">
+                    <button onClick={() => onCycleTagColor(tag.id)} title="Change color" aria-label={`Change color of ${tag.name}`}>C</button>
+                    <button onClick={() => setEditing({ kind: 'tag', id: tag.id })} title="Rename" aria-label={`Rename ${tag.name}`}>E</button>
+                    <button onClick={() => onRemoveTag(tag.id)} title="Delete tag" aria-label={`Delete ${tag.name}`}>X</button>
+                  </div>
+                </SidebarRow>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </aside>
+  )
+}
+
+export default FolderSidebar
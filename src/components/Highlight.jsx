@@ -0,0 +1,22 @@
+import { getMatchRanges } from '../searchIndex'
+
+// Text with the parts matching the search query marked
+function Highlight({ text, clauses }) {
+  if (!text || clauses.length === 0) return text
+
+  const ranges = getMatchRanges(text, clauses)
+  if (ranges.length === 0) return text
+
+  const parts = []
+  let position = 0
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start))
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>)
+    position = end
+  })
+  if (position < text.length) parts.push(text.slice(position))
+
+  return <>{parts}</>
+}
+
+export default Highlight
@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react'
+import { diffWords } from '../diff'
+
+// Changes from a note version to the current text
+function NoteDiff({ from, to }) {
+  return (
+    <p className="history-diff">
+      {diffWords(from, to).map((part, index) => {
+        if (part.type === 'insert') return <ins key={index}>{part.text}</ins>
+        if (part.type === 'delete') return <del key={index}>{part.text}</del>
+        return <span key={index}>{part.text}</span>
+      })}
+    </p>
+  )
+}
+
+// Modal listing an item's earlier versions with a restore button for each
+function HistoryDialog({ item, loadHistory, onRestore, onClose, formatFileSize }) {
+  const [versions, setVersions] = useState(null)
+  const [error, setError] = useState('')
+  const [restoringId, setRestoringId] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    loadHistory(item.id)
+      .then(loaded => { if (!cancelled) setVersions(loaded) })
+      .catch(err => {
+        console.error('History load error:', err)
+        if (!cancelled) setError('Could not load history')
+      })
+    return () => { cancelled = true }
+  }, [item.id, loadHistory])
+
+  const handleRestore = async (version) => {
+    setRestoringId(version.versionId)
+    try {
+      await onRestore(item, version)
+      onClose()
+    } finally {
+      setRestoringId(null)
+    }
+  }
+
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="history-title"
+      >
+        <div className="viewer-header">
+          <h3 id="history-title">History</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <div className="dialog-body history-list">
+          {error && <p className="auth-error">{error}</p>}
+          {!error && versions === null && <p>Loading history...</p>}
+          {versions?.length === 0 && <p>No earlier versions yet.</p>}
+          {versions?.map(version => (
+            <div key={version.versionId} className="history-item">
+              <div className="history-meta">
+                <time dateTime={new Date(version.savedAt).toISOString()}>
+                  {new Date(version.savedAt).toLocaleString()}
+                </time>
+                <button
+                  className="account-btn"
+                  disabled={restoringId !== null}
+                  onClick={() => handleRestore(version)}
+                >
+                  {restoringId === version.versionId ? 'Restoring...' : 'Restore'}
+                </button>
+              </div>
+              {item.type === 'note' ? (
+                <NoteDiff from={version.content} to={item.content} />
+              ) : (
+                <p className="history-file">
+                  {version.name}
+                  {version.contentId !== item.contentId && ` - ${formatFileSize(version.size)}, different content`}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default HistoryDialog
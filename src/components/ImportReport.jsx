@@ -0,0 +1,37 @@
+// Modal summarizing an import: how many items came in and which were skipped, and why
+function ImportReport({ importedCount, skipped, onClose }) {
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-title"
+      >
+        <div className="viewer-header">
+          <h3 id="import-title">Import finished</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <div className="dialog-body">
+          <p>
+            Imported {importedCount} item{importedCount === 1 ? '' : 's'}
+            {skipped.length > 0 && `, skipped ${skipped.length}`}.
+          </p>
+          {skipped.length > 0 && (
+            <ul className="import-skipped">
+              {skipped.map((entry, index) => (
+                <li key={`${entry.id}-${index}`}>
+                  <strong>{entry.label}</strong>
+                  <span>{entry.reason}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportReport
@@ -0,0 +1,60 @@
+import { useState } from 'react'
+
+// Edit a note's text or a file's name in place. onSave(value) resolves to
+// true when the value was accepted; otherwise the editor stays open.
+function InlineEditor({ initialValue, multiline = false, maxLength, label, onSave, onCancel }) {
+  const [value, setValue] = useState(initialValue)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      if (!(await onSave(value))) setIsSaving(false)
+    } catch (error) {
+      console.error('Edit error:', error)
+      setIsSaving(false)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onCancel()
+    } else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault()
+      handleSave()
+    }
+  }
+
+  const inputProps = {
+    value,
+    onChange: (e) => setValue(e.target.value),
+    onKeyDown: handleKeyDown,
+    maxLength,
+    disabled: isSaving,
+    autoFocus: true,
+    'aria-label': label
+  }
+
+  return (
+    <div className="inline-editor">
+      {multiline ? (
+        <textarea {...inputProps} className="inline-editor-input" rows={4} />
+      ) : (
+        <input {...inputProps} type="text" className="inline-editor-input" />
+      )}
+      {multiline && maxLength && (
+        <div className="inline-editor-count">{value.length}/{maxLength}</div>
+      )}
+      <div className="inline-editor-actions">
+        <button onClick={handleSave} disabled={isSaving} className="view-btn">
+          Save
+        </button>
+        <button onClick={onCancel} disabled={isSaving} className="download-btn">
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default InlineEditor
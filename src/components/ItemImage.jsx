@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from 'react'
+
+// How far outside the viewport a card starts loading its thumbnail
+const PRELOAD_MARGIN = '300px'
+
+// Card preview for images and videos: loads the item's thumbnail through
+// loadThumbnail once the card comes near the viewport, and renders an
+// object URL. The original is only loaded by the viewer.
+function ItemImage({ item, loadThumbnail }) {
+  const { id, data, fileType, blobEncrypted, contentId, thumbnailPath, chunkCount, storagePath } = item
+  const containerRef = useRef(null)
+  const [isNearViewport, setIsNearViewport] = useState(typeof IntersectionObserver === 'undefined')
+  const [objectUrl, setObjectUrl] = useState(null)
+  const [unavailable, setUnavailable] = useState(false)
+
+  useEffect(() => {
+    if (isNearViewport) return
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setIsNearViewport(true)
+        observer.disconnect()
+      }
+    }, { rootMargin: PRELOAD_MARGIN })
+    observer.observe(containerRef.current)
+    return () => observer.disconnect()
+  }, [isNearViewport])
+
+  useEffect(() => {
+    if (!isNearViewport) return
+    let cancelled = false
+    let url = null
+
+    loadThumbnail({ id, data, fileType, blobEncrypted, contentId, thumbnailPath, chunkCount, storagePath })
+      .then((blob) => {
+        if (cancelled) return
+        if (!blob) {
+          setUnavailable(true)
+          return
+        }
+        url = URL.createObjectURL(blob)
+        setObjectUrl(url)
+      })
+      .catch((error) => {
+        console.error('Preview load error:', id, error)
+        if (!cancelled) setUnavailable(true)
+      })
+
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [isNearViewport, id, data, fileType, blobEncrypted, contentId, thumbnailPath, chunkCount, storagePath, loadThumbnail])
+
+  if (!objectUrl) {
+    return <div ref={containerRef} className={`image-placeholder${unavailable ? ' unavailable' : ''}`} aria-hidden="true" />
+  }
+
+  return <img ref={containerRef} src={objectUrl} alt={item.name} decoding="async" />
+}
+
+export default ItemImage
@@ -0,0 +1,105 @@
+import VirtualGrid from './VirtualGrid'
+import Highlight from './Highlight'
+import { ITEM_DRAG_TYPE } from '../library'
+import { isTrashed } from '../trash'
+
+const ROW_HEIGHT = 44
+
+const COLUMNS = [
+  { field: 'name', label: 'Name' },
+  { field: 'type', label: 'Type' },
+  { field: 'size', label: 'Size' },
+  { field: 'date', label: 'Date' }
+]
+
+// Compact view of the items: a table of name, type, size and date, with
+// the headers sorting it. Trashed items get the cards' restore and delete
+// actions. Rows are windowed like the cards, and keep their place for
+// screen readers through aria-rowindex.
+function ItemList({ items, sort, direction, onSort, onOpen, onRestore, onDeleteForever, onEndReached, formatSize, searchClauses }) {
+  const sortState = (field) => {
+    if (sort !== field) return 'none'
+    return direction === 'asc' ? 'ascending' : 'descending'
+  }
+
+  const renderRow = (item, index) => (
+    <div
+      role="row"
+      aria-rowindex={index + 2}
+      className={`item-list-row${item.important ? ' important' : ''}`}
+      draggable={!isTrashed(item)}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id)
+        e.dataTransfer.effectAllowed = 'move'
+      }}
+    >
+      <div role="cell" className="item-list-name">
+        {item.type === 'file' ? (
+          <button className="item-list-open" onClick={() => onOpen(item)}>
+            <Highlight text={item.name} clauses={searchClauses} />
+          </button>
+        ) : (
+          <span title={item.content}>
+            <Highlight text={item.content} clauses={searchClauses} />
+          </span>
+        )}
+      </div>
+      <div role="cell">{item.type === 'file' ? item.fileType || 'Unknown type' : 'Note'}</div>
+      <div role="cell">{item.type === 'file' ? formatSize(item.size || 0) : ''}</div>
+      <div role="cell">
+        <time dateTime={item.createdAt}>{new Date(item.createdAt).toLocaleDateString()}</time>
+      </div>
+      <div role="cell" className="item-list-actions">
+        {isTrashed(item) && (
+          <>
+            <button
+              onClick={() => onRestore(item)}
+              className="action-btn"
+              title="Restore"
+              aria-label="Restore item"
+            >
+              R
+            </button>
+            <button
+              onClick={() => onDeleteForever(item)}
+              className="action-btn delete"
+              title="Delete forever"
+              aria-label="Delete item forever"
+            >
+              X
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="item-list" role="table" aria-label="Items" aria-rowcount={items.length + 1}>
+      <div role="rowgroup">
+        <div role="row" aria-rowindex={1} className="item-list-row item-list-header">
+          {COLUMNS.map(column => (
+            <div key={column.field} role="columnheader" aria-sort={sortState(column.field)}>
+              <button onClick={() => onSort(column.field)}>
+                {column.label}
+                {sort === column.field && (direction === 'asc' ? ' ^' : ' v')}
+              </button>
+            </div>
+          ))}
+          <div role="columnheader" aria-label="Actions" />
+        </div>
+      </div>
+      <VirtualGrid
+        role="rowgroup"
+        className="item-list-rows"
+        items={items}
+        getKey={item => item.id}
+        renderItem={renderRow}
+        estimateRowHeight={ROW_HEIGHT}
+        onEndReached={onEndReached}
+      />
+    </div>
+  )
+}
+
+export default ItemList
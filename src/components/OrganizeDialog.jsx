@@ -0,0 +1,89 @@
+import { useState } from 'react'
+import { getFolderTree, getTags } from '../library'
+
+// Folder options indented by depth
+const flattenTree = (nodes, depth = 0) => nodes.flatMap(({ folder, children }) => [
+  { folder, depth },
+  ...flattenTree(children, depth + 1)
+])
+
+// Modal to pick an item's folder and tags (the keyboard-friendly
+// counterpart of dragging it onto the sidebar)
+function OrganizeDialog({ item, library, onSave, onClose }) {
+  const [folderId, setFolderId] = useState(item.folderId || '')
+  const [tags, setTags] = useState(item.tags || [])
+  const [isSaving, setIsSaving] = useState(false)
+
+  const toggleTag = (tagId) => {
+    setTags(prevTags => prevTags.includes(tagId)
+      ? prevTags.filter(id => id !== tagId)
+      : [...prevTags, tagId])
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      await onSave(item, { folderId: folderId || null, tags })
+      onClose()
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const allTags = getTags(library)
+
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="organize-title"
+      >
+        <div className="viewer-header">
+          <h3 id="organize-title">Folder and tags</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <div className="dialog-body organize-form">
+          <label htmlFor="organize-folder">Folder</label>
+          <select id="organize-folder" value={folderId} onChange={(e) => setFolderId(e.target.value)}>
+            <option value="">No folder</option>
+            {flattenTree(getFolderTree(library)).map(({ folder, depth }) => (
+              <option key={folder.id} value={folder.id}>
+                {'\u00a0'.repeat(depth * 3)}{folder.name}
+              </option>
+            ))}
+          </select>
+
+          <fieldset>
+            <legend>Tags</legend>
+            {allTags.length === 0 && <p>No tags yet. Add some in the sidebar.</p>}
+            {allTags.map(tag => (
+              <label key={tag.id} className="organize-tag">
+                <input
+                  type="checkbox"
+                  checked={tags.includes(tag.id)}
+                  onChange={() => toggleTag(tag.id)}
+                />
+                <span className="tag-dot" style={{ backgroundColor: tag.color }} aria-hidden="true"></span>
+                {tag.name}
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="inline-editor-actions">
+            <button onClick={handleSave} disabled={isSaving} className="view-btn">
+              Save
+            </button>
+            <button onClick={onClose} disabled={isSaving} className="download-btn">
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrganizeDialog
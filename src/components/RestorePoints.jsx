@@ -0,0 +1,319 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  listBackups,
+  openBackup,
+  deleteBackup,
+  chooseBackupDirectory,
+  getBackupDirectory,
+  getBackupDirectoryName,
+  canBackUpToDirectory,
+  BACKUP_INTERVAL_OPTIONS,
+  BACKUP_KEEP_OPTIONS
+} from '../backups'
+
+const describeEntry = (entry) => entry.type === 'file' ? entry.name : entry.content.slice(0, 80)
+
+// Backup settings, the list of snapshots, and a preview of one snapshot
+// from which all or some items can be restored
+function RestorePoints({ uid, settings, onChangeSettings, onBackupNow, onRestore, formatFileSize, onClose }) {
+  const [backups, setBackups] = useState(null)
+  const [directoryName, setDirectoryName] = useState(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(null) // what is running, for button labels
+  const [openedBackup, setOpenedBackup] = useState(null)
+  const [archive, setArchive] = useState(null)
+  const [needsPassphrase, setNeedsPassphrase] = useState(false)
+  const [passphrase, setPassphrase] = useState('')
+  const [selectedIds, setSelectedIds] = useState(new Set())
+
+  const refresh = useCallback(async () => {
+    try {
+      setBackups(await listBackups(uid))
+      setDirectoryName(await getBackupDirectoryName(uid))
+    } catch (err) {
+      console.error('Backup list error:', err)
+      setError('Could not list backups')
+    }
+  }, [uid])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const run = async (label, action) => {
+    setBusy(label)
+    setError('')
+    try {
+      await action()
+    } catch (err) {
+      console.error('Restore points error:', err)
+      setError(err.name === 'AbortError' ? '' : err.message || 'Something went wrong')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleChooseDirectory = () => run('directory', async () => {
+    const handle = await chooseBackupDirectory(uid)
+    setDirectoryName(handle.name)
+    onChangeSettings({ ...settings, target: 'directory' })
+    await refresh()
+  })
+
+  // Folder access lapses on reload; a click can ask for it again
+  const handleReconnectDirectory = () => run('directory', async () => {
+    await getBackupDirectory(uid, { request: true })
+    await refresh()
+  })
+
+  const handleBackupNow = () => run('backup', async () => {
+    await onBackupNow()
+    await refresh()
+  })
+
+  const handleOpen = (backup, withPassphrase = null) => run('open', async () => {
+    setOpenedBackup(backup)
+    setArchive(null)
+    try {
+      const opened = await openBackup(uid, backup, { passphrase: withPassphrase })
+      setArchive(opened)
+      setSelectedIds(new Set(opened.items.map(entry => String(entry.id))))
+      setNeedsPassphrase(false)
+      setPassphrase('')
+    } catch (err) {
+      if (err.code === 'backup/passphrase-needed') {
+        setNeedsPassphrase(true)
+        return
+      }
+      throw err
+    }
+  })
+
+  const handleDelete = (backup) => {
+    if (!window.confirm('Delete this backup?')) return
+    run('delete', async () => {
+      await deleteBackup(uid, backup)
+      if (openedBackup?.backupId === backup.backupId) {
+        setOpenedBackup(null)
+        setArchive(null)
+      }
+      await refresh()
+    })
+  }
+
+  const toggleEntry = (id) => {
+    setSelectedIds(prevIds => {
+      const nextIds = new Set(prevIds)
+      if (nextIds.has(id)) nextIds.delete(id)
+      else nextIds.add(id)
+      return nextIds
+    })
+  }
+
+  const handleRestore = (entries) => run('restore', async () => {
+    if (entries.length === 0) return
+    if (!window.confirm(`Restore ${entries.length} item(s)? Items that still exist are replaced; their current state stays in their history.`)) return
+    await onRestore(archive, entries)
+  })
+
+  const updateSetting = (changes) => onChangeSettings({ ...settings, ...changes })
+
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container restore-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="restore-title"
+      >
+        <div className="viewer-header">
+          <h3 id="restore-title">Backups and restore points</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <div className="dialog-body restore-body">
+          {error && <p className="auth-error">{error}</p>}
+
+          <fieldset className="backup-settings">
+            <legend>Automatic backups on this device</legend>
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.enabled}
+                onChange={(e) => updateSetting({ enabled: e.target.checked })}
+              />
+              Back up automatically
+            </label>
+            <label>
+              How often{' '}
+              <select
+                value={settings.intervalHours}
+                onChange={(e) => updateSetting({ intervalHours: Number(e.target.value) })}
+              >
+                {BACKUP_INTERVAL_OPTIONS.map(option => (
+                  <option key={option.hours} value={option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Keep{' '}
+              <select value={settings.keep} onChange={(e) => updateSetting({ keep: Number(e.target.value) })}>
+                {BACKUP_KEEP_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count} newest</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.encrypt}
+                onChange={(e) => updateSetting({ encrypt: e.target.checked })}
+              />
+              Encrypt with my password
+            </label>
+            <div className="backup-target">
+              <label>
+                <input
+                  type="radio"
+                  name="backup-target"
+                  checked={settings.target === 'browser'}
+                  onChange={() => updateSetting({ target: 'browser' })}
+                />
+                In this browser
+              </label>
+              {canBackUpToDirectory() && (
+                <label>
+                  <input
+                    type="radio"
+                    name="backup-target"
+                    checked={settings.target === 'directory'}
+                    disabled={!directoryName}
+                    onChange={() => updateSetting({ target: 'directory' })}
+                  />
+                  In a folder{directoryName && `: ${directoryName}`}
+                </label>
+              )}
+              {canBackUpToDirectory() && (
+                <button className="account-btn" onClick={handleChooseDirectory} disabled={busy !== null}>
+                  {directoryName ? 'Change folder' : 'Choose folder'}
+                </button>
+              )}
+              {directoryName && (
+                <button className="account-btn" onClick={handleReconnectDirectory} disabled={busy !== null}>
+                  Allow access
+                </button>
+              )}
+            </div>
+            <div className="backup-now">
+              <button className="view-btn" onClick={handleBackupNow} disabled={busy !== null}>
+                {busy === 'backup' ? 'Backing up...' : 'Back up now'}
+              </button>
+              <span>
+                {settings.lastBackupAt
+                  ? `Last backup ${new Date(settings.lastBackupAt).toLocaleString()}`
+                  : 'No backup yet'}
+              </span>
+            </div>
+          </fieldset>
+
+          <h4>Restore points</h4>
+          {backups === null && <p>Loading backups...</p>}
+          {backups?.length === 0 && <p>No backups yet.</p>}
+          <ul className="backup-list">
+            {backups?.map(backup => (
+              <li key={backup.backupId} className={openedBackup?.backupId === backup.backupId ? 'active' : ''}>
+                <div>
+                  <time dateTime={new Date(backup.createdAt).toISOString()}>
+                    {new Date(backup.createdAt).toLocaleString()}
+                  </time>
+                  <small>
+                    {formatFileSize(backup.size)} - {backup.itemCount} items
+                    {backup.encrypted ? ' - encrypted' : ''}
+                    {backup.source === 'directory' ? ' - in folder' : ' - in browser'}
+                  </small>
+                </div>
+                <div className="backup-actions">
+                  <button className="account-btn" onClick={() => handleOpen(backup)} disabled={busy !== null}>
+                    {busy === 'open' && openedBackup?.backupId === backup.backupId ? 'Opening...' : 'Preview'}
+                  </button>
+                  <button className="account-btn" onClick={() => handleDelete(backup)} disabled={busy !== null}>
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {openedBackup && needsPassphrase && (
+            <form
+              className="backup-passphrase"
+              onSubmit={(e) => {
+                e.preventDefault()
+                handleOpen(openedBackup, passphrase)
+              }}
+            >
+              <label htmlFor="backup-passphrase">
+                This backup was made with a different key. Enter the password it was made with:
+              </label>
+              <input
+                id="backup-passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoComplete="current-password"
+              />
+              <button className="view-btn" type="submit" disabled={!passphrase || busy !== null}>
+                Open
+              </button>
+            </form>
+          )}
+
+          {archive && (
+            <div className="backup-preview">
+              <h4>
+                Backup from {new Date(openedBackup.createdAt).toLocaleString()}: {archive.items.length} items
+              </h4>
+              {archive.skipped.length > 0 && (
+                <p className="setup-hint">{archive.skipped.length} damaged entries will not be restored.</p>
+              )}
+              <ul className="backup-items">
+                {archive.items.map(entry => (
+                  <li key={String(entry.id)}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.has(String(entry.id))}
+                        onChange={() => toggleEntry(String(entry.id))}
+                      />
+                      <span className="item-type-label">{entry.type === 'file' ? 'F' : 'N'}</span>
+                      <span>{describeEntry(entry)}</span>
+                      {entry.deletedAt && <small>(in trash)</small>}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+              <div className="inline-editor-actions">
+                <button
+                  className="view-btn"
+                  onClick={() => handleRestore(archive.items.filter(entry => selectedIds.has(String(entry.id))))}
+                  disabled={busy !== null || selectedIds.size === 0}
+                >
+                  {busy === 'restore' ? 'Restoring...' : `Restore selected (${selectedIds.size})`}
+                </button>
+                <button
+                  className="download-btn"
+                  onClick={() => handleRestore(archive.items)}
+                  disabled={busy !== null}
+                >
+                  Restore all
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RestorePoints
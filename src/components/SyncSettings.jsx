@@ -0,0 +1,319 @@
+import { useState } from 'react'
+import { CLOUD_PROVIDERS, normalizeServerUrl, sameCloud } from '../cloudSettings'
+import { testServerConnection } from '../serverProvider'
+import { parseFirebaseConfig, getFirebaseSetup, DEFAULT_EMULATOR_HOST } from '../firebaseConfig'
+import { testFirebaseSetup, getFirebaseTestErrorMessage } from '../firebase'
+
+const FIREBASE_STEPS = {
+  auth: 'Signing in failed',
+  firestore: 'Signed in, but the Firestore check failed',
+  storage: 'Signed in and Firestore works, but the Storage check failed'
+}
+
+const getFirebaseMode = (settings) => {
+  if (settings.firebaseEmulatorHost) return 'emulators'
+  return settings.firebaseConfig ? 'custom' : 'default'
+}
+
+// Which cloud this device syncs with. Moving to another one copies the
+// vault there (see cloudSwitch.js) and reloads the app.
+function SyncSettings({ settings, deploymentProject, onSwitch, onClose }) {
+  const [draft, setDraft] = useState(settings)
+  const [firebaseMode, setFirebaseMode] = useState(() => getFirebaseMode(settings))
+  const [configText, setConfigText] = useState(() =>
+    settings.firebaseConfig ? JSON.stringify(settings.firebaseConfig, null, 2) : '')
+  const [emulatorHost, setEmulatorHost] = useState(settings.firebaseEmulatorHost || DEFAULT_EMULATOR_HOST)
+  const [testAccount, setTestAccount] = useState({ email: '', password: '', createAccount: false })
+  const [testedSetup, setTestedSetup] = useState(null) // JSON of the last setup that passed
+  const [error, setError] = useState('')
+  const [testResult, setTestResult] = useState('')
+  const [busy, setBusy] = useState(null) // 'test' or 'switch'
+  const [progress, setProgress] = useState(null)
+
+  const clearMessages = () => {
+    setError('')
+    setTestResult('')
+  }
+
+  const update = (fields) => {
+    setDraft(current => ({ ...current, ...fields }))
+    clearMessages()
+  }
+
+  // The settings as they'd be saved; throws FirebaseConfigError for a bad paste
+  const buildSettings = () => {
+    const next = { ...draft, serverUrl: normalizeServerUrl(draft.serverUrl) }
+    if (next.provider !== 'firebase') return next
+    return {
+      ...next,
+      firebaseConfig: firebaseMode === 'custom' ? parseFirebaseConfig(configText) : null,
+      firebaseEmulatorHost: firebaseMode === 'emulators' ? emulatorHost.trim() || DEFAULT_EMULATOR_HOST : ''
+    }
+  }
+
+  let next = null
+  let configError = ''
+  try {
+    next = buildSettings()
+  } catch (err) {
+    configError = configText.trim() ? err.message : ''
+  }
+
+  const firebaseSetup = next?.provider === 'firebase' ? getFirebaseSetup(next) : null
+  const serverReady = draft.provider !== 'server' || (normalizeServerUrl(draft.serverUrl) && draft.serverToken)
+  const firebaseReady = draft.provider !== 'firebase' || !!firebaseSetup
+  // A pasted project has to pass the test before it's saved
+  const needsTest = draft.provider === 'firebase' && firebaseMode === 'custom' &&
+    testedSetup !== JSON.stringify(firebaseSetup)
+  const unchanged = !next || JSON.stringify(next) === JSON.stringify(settings)
+  const moving = next && !sameCloud(next, settings)
+
+  const runTest = async (test) => {
+    setBusy('test')
+    clearMessages()
+    try {
+      await test()
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleTestServer = () => runTest(async () => {
+    try {
+      const account = await testServerConnection(draft)
+      setTestResult(`Connected as "${account}"`)
+    } catch (err) {
+      console.error('Server test error:', err)
+      setError(err.code === 401 ? 'The server did not accept this access token' : `Could not reach the server: ${err.message}`)
+    }
+  })
+
+  const handleTestFirebase = () => runTest(async () => {
+    try {
+      const email = await testFirebaseSetup(firebaseSetup, testAccount)
+      setTestedSetup(JSON.stringify(firebaseSetup))
+      setTestAccount(current => ({ ...current, password: '', createAccount: false }))
+      setTestResult(`Signed in as ${email}; a test document and file were written, read back and removed`)
+    } catch (err) {
+      console.error('Firebase test error:', err)
+      const message = getFirebaseTestErrorMessage(err)
+      setError(FIREBASE_STEPS[err.step] ? `${FIREBASE_STEPS[err.step]}: ${message}` : message)
+    }
+  })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setBusy('switch')
+    clearMessages()
+    try {
+      await onSwitch(next, (done, total) => setProgress({ done, total }))
+    } catch (err) {
+      console.error('Cloud switch error:', err)
+      setError(err.message || 'Could not switch clouds')
+    } finally {
+      setBusy(null)
+      setProgress(null)
+    }
+  }
+
+  const updateTestAccount = (fields) => {
+    setTestAccount(current => ({ ...current, ...fields }))
+    clearMessages()
+  }
+
+  return (
+    <div className="viewer-overlay" onClick={busy === 'switch' ? undefined : onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="sync-settings-title"
+      >
+        <div className="viewer-header">
+          <h3 id="sync-settings-title">Sync settings</h3>
+          <button className="viewer-close" onClick={onClose} disabled={busy === 'switch'} aria-label="Close">X</button>
+        </div>
+        <form onSubmit={handleSubmit} className="auth-form dialog-body">
+          <div className="input-group">
+            <label htmlFor="sync-provider">Sync with</label>
+            <select
+              id="sync-provider"
+              value={draft.provider}
+              onChange={(e) => update({ provider: e.target.value })}
+            >
+              {CLOUD_PROVIDERS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {draft.provider === 'firebase' && (
+            <>
+              <div className="input-group">
+                <label htmlFor="sync-firebase-project">Firebase project</label>
+                <select
+                  id="sync-firebase-project"
+                  value={firebaseMode}
+                  onChange={(e) => {
+                    setFirebaseMode(e.target.value)
+                    clearMessages()
+                  }}
+                >
+                  <option value="default" disabled={!deploymentProject}>
+                    {deploymentProject ? `This app's project (${deploymentProject})` : "This app's project (none set up)"}
+                  </option>
+                  <option value="custom">My own project</option>
+                  <option value="emulators">Local emulators (development)</option>
+                </select>
+              </div>
+
+              {firebaseMode === 'custom' && (
+                <div className="input-group">
+                  <label htmlFor="sync-firebase-config">Firebase config</label>
+                  <textarea
+                    id="sync-firebase-config"
+                    className="config-input"
+                    value={configText}
+                    onChange={(e) => {
+                      setConfigText(e.target.value)
+                      clearMessages()
+                    }}
+                    placeholder={'Paste the firebaseConfig from Project settings > Your apps:\n{\n  apiKey: "...",\n  authDomain: "...",\n  ...\n}'}
+                    rows={8}
+                    spellCheck={false}
+                  />
+                  {configError && <p className="setup-hint">{configError}</p>}
+                </div>
+              )}
+
+              {firebaseMode === 'emulators' && (
+                <div className="input-group">
+                  <label htmlFor="sync-emulator-host">Emulator host</label>
+                  <input
+                    id="sync-emulator-host"
+                    value={emulatorHost}
+                    onChange={(e) => {
+                      setEmulatorHost(e.target.value)
+                      clearMessages()
+                    }}
+                    placeholder={DEFAULT_EMULATOR_HOST}
+                  />
+                </div>
+              )}
+
+              {firebaseSetup && (
+                <fieldset className="backup-settings">
+                  <legend>Test with an account in this project</legend>
+                  <div className="input-group">
+                    <label htmlFor="sync-test-email">Email</label>
+                    <input
+                      id="sync-test-email"
+                      type="email"
+                      value={testAccount.email}
+                      onChange={(e) => updateTestAccount({ email: e.target.value })}
+                      autoComplete="username"
+                    />
+                  </div>
+                  <div className="input-group">
+                    <label htmlFor="sync-test-password">Password</label>
+                    <input
+                      id="sync-test-password"
+                      type="password"
+                      value={testAccount.password}
+                      onChange={(e) => updateTestAccount({ password: e.target.value })}
+                      autoComplete="current-password"
+                    />
+                  </div>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={testAccount.createAccount}
+                      onChange={(e) => updateTestAccount({ createAccount: e.target.checked })}
+                    />
+                    This is a new account; create it
+                  </label>
+                  <div className="backup-now">
+                    <button
+                      type="button"
+                      className="account-btn"
+                      onClick={handleTestFirebase}
+                      disabled={!testAccount.email || !testAccount.password || busy !== null}
+                    >
+                      {busy === 'test' ? 'Testing...' : 'Test read and write'}
+                    </button>
+                  </div>
+                </fieldset>
+              )}
+            </>
+          )}
+
+          {draft.provider === 'server' && (
+            <>
+              <div className="input-group">
+                <label htmlFor="sync-server-url">Server address</label>
+                <input
+                  id="sync-server-url"
+                  type="url"
+                  value={draft.serverUrl}
+                  onChange={(e) => update({ serverUrl: e.target.value })}
+                  placeholder="https://vault.example.com"
+                  required
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="sync-server-token">Access token</label>
+                <input
+                  id="sync-server-token"
+                  type="password"
+                  value={draft.serverToken}
+                  onChange={(e) => update({ serverToken: e.target.value })}
+                  autoComplete="off"
+                  required
+                />
+              </div>
+              <div className="backup-now">
+                <button
+                  type="button"
+                  className="account-btn"
+                  onClick={handleTestServer}
+                  disabled={!serverReady || busy !== null}
+                >
+                  {busy === 'test' ? 'Testing...' : 'Test connection'}
+                </button>
+              </div>
+            </>
+          )}
+
+          {testResult && <p className="setup-hint" role="status">{testResult}</p>}
+
+          {moving && (
+            <p className="setup-hint">
+              {draft.provider === 'none'
+                ? 'Your vault will stay on this device only.'
+                : 'Your vault will be uploaded to the new cloud.'}
+              {' '}Files still only in the current cloud are downloaded first.
+              Version history stays behind, and other devices keep using the
+              current cloud until you switch them too.
+            </p>
+          )}
+          {needsTest && !unchanged && <p className="setup-hint">Test the project before saving it.</p>}
+
+          {error && <p className="auth-error" role="alert">{error}</p>}
+
+          <button
+            type="submit"
+            className="auth-button"
+            disabled={unchanged || !serverReady || !firebaseReady || needsTest || busy !== null}
+          >
+            {busy === 'switch'
+              ? (progress ? `Downloading files ${progress.done}/${progress.total}...` : 'Switching...')
+              : moving ? 'Switch and reload' : 'Save and reload'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default SyncSettings
@@ -0,0 +1,71 @@
+import { useState } from 'react'
+import { unlockVault, getVaultErrorMessage } from '../vault'
+
+// Shown when a signed-in session was restored but the vault key isn't in memory
+function UnlockScreen({ user, onUnlocked, onSignOut }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setIsSubmitting(true)
+
+    try {
+      await unlockVault(user, passphrase)
+      setPassphrase('')
+      onUnlocked()
+    } catch (err) {
+      console.error('Unlock error:', err)
+      setError(getVaultErrorMessage(err))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="app">
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1 className="auth-title">Life Goes On</h1>
+          <p className="auth-subtitle">
+            Your vault is encrypted. Enter your password to unlock it.
+          </p>
+
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="input-group">
+              <label htmlFor="unlock-email">Account</label>
+              <input id="unlock-email" type="email" value={user.email || ''} autoComplete="username" readOnly />
+            </div>
+            <div className="input-group">
+              <label htmlFor="unlock-password">Password</label>
+              <input
+                id="unlock-password"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Enter password"
+                autoComplete="current-password"
+                autoFocus
+                required
+              />
+            </div>
+
+            {error && <p className="auth-error" role="alert">{error}</p>}
+
+            <button type="submit" className="auth-button" disabled={isSubmitting}>
+              {isSubmitting ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </form>
+
+          <button type="button" className="auth-switch" onClick={onSignOut}>
+            Sign in with a different account
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UnlockScreen
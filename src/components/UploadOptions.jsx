@@ -0,0 +1,80 @@
+import { MAX_DIMENSION_OPTIONS } from '../imageProcessing'
+
+// Image upload options (metadata stripping, downscaling, WebP) and the
+// before/after sizes of the images in the last upload.
+// onChange(changes) merges into the options.
+function UploadOptions({ options, onChange, lastUpload, formatSize }) {
+  return (
+    <div id="upload-options" className="advanced-filters upload-options" role="group" aria-label="Image upload options">
+      <fieldset>
+        <legend>Privacy</legend>
+        <label>
+          <input
+            type="checkbox"
+            checked={options.stripMetadata}
+            onChange={(e) => onChange({ stripMetadata: e.target.checked })}
+          />
+          Remove location and camera details (JPEG, PNG)
+        </label>
+      </fieldset>
+
+      <fieldset>
+        <legend>Max dimension</legend>
+        <select
+          value={options.maxDimension}
+          onChange={(e) => onChange({ maxDimension: Number(e.target.value) })}
+          aria-label="Max dimension"
+        >
+          {MAX_DIMENSION_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </fieldset>
+
+      <fieldset>
+        <legend>Format</legend>
+        <label>
+          <input
+            type="checkbox"
+            checked={options.convertToWebp}
+            onChange={(e) => onChange({ convertToWebp: e.target.checked })}
+          />
+          Convert to WebP
+        </label>
+        {options.convertToWebp && (
+          <label>
+            Quality
+            <input
+              type="range"
+              min="0.5"
+              max="0.95"
+              step="0.05"
+              value={options.quality}
+              onChange={(e) => onChange({ quality: Number(e.target.value) })}
+            />
+            {Math.round(options.quality * 100)}%
+          </label>
+        )}
+      </fieldset>
+
+      {lastUpload && lastUpload.length > 0 && (
+        <div className="upload-report">
+          <strong>Last upload</strong>
+          <ul>
+            {lastUpload.map(({ name, before, after, changes }, index) => (
+              <li key={index}>
+                <span className="upload-report-name">{name}</span>
+                <span>
+                  {formatSize(before)} &rarr; {formatSize(after)}
+                  {changes.length > 0 ? ` (${changes.join(', ')})` : ' (unchanged)'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UploadOptions
@@ -0,0 +1,42 @@
+const STATUS_TEXT = {
+  queued: 'Waiting to upload',
+  uploading: 'Uploading',
+  paused: 'Paused',
+  failed: 'Upload failed',
+  done: 'Finishing upload'
+}
+
+// Progress bar and controls for a file's cloud upload
+function UploadProgress({ upload, onPause, onResume, onCancel }) {
+  const percent = upload.size > 0 ? Math.floor((upload.bytesUploaded / upload.size) * 100) : 0
+  const canPause = upload.status === 'queued' || upload.status === 'uploading'
+  const canResume = upload.status === 'paused' || upload.status === 'failed'
+
+  return (
+    <div className={`upload-progress ${upload.status}`}>
+      <div
+        className="upload-bar"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div className="upload-bar-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <div className="upload-status">
+        <span title={upload.error || undefined}>
+          {STATUS_TEXT[upload.status]} - {percent}%
+        </span>
+        {upload.status !== 'done' && (
+          <span className="upload-actions">
+            {canPause && <button onClick={onPause}>Pause</button>}
+            {canResume && <button onClick={onResume}>{upload.status === 'failed' ? 'Retry' : 'Resume'}</button>}
+            <button onClick={onCancel}>Cancel</button>
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UploadProgress
@@ -0,0 +1,50 @@
+import { COPY_STATUS_LABELS, hasProblem } from '../integrity'
+
+// Modal listing the outcome of "Verify vault": files whose local or cloud
+// copy is missing, unreadable or no longer matches its recorded hash
+function VerifyReport({ results, cloudChecked, recordedCount, onClose }) {
+  const problems = results.filter(hasProblem)
+
+  return (
+    <div className="viewer-overlay" onClick={onClose}>
+      <div
+        className="viewer-container dialog-container"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="verify-title"
+      >
+        <div className="viewer-header">
+          <h3 id="verify-title">Vault verified</h3>
+          <button className="viewer-close" onClick={onClose} aria-label="Close">X</button>
+        </div>
+        <div className="dialog-body">
+          <p>
+            Checked {results.length} file{results.length === 1 ? '' : 's'}
+            {cloudChecked ? ' on this device and in the cloud' : ' on this device (cloud not available)'}:{' '}
+            {problems.length === 0 ? 'no problems found.' : `${problems.length} with problems.`}
+          </p>
+          {recordedCount > 0 && (
+            <p className="setup-hint">
+              Recorded checksums for {recordedCount} older file{recordedCount === 1 ? '' : 's'}.
+            </p>
+          )}
+          {problems.length > 0 && (
+            <ul className="import-skipped">
+              {problems.map(({ item, local, cloud }) => (
+                <li key={item.id}>
+                  <strong>{item.name}</strong>
+                  <span>
+                    This device: {COPY_STATUS_LABELS[local]} - Cloud: {COPY_STATUS_LABELS[cloud]}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyReport
@@ -0,0 +1,171 @@
+import { Fragment, useCallback, useEffect, useRef, useState } from 'react'
+
+// How far past the viewport rows stay rendered
+const OVERSCAN = 800
+// Scroll positions are rounded to this, so the grid re-renders every few
+// rows rather than on every scroll event
+const SCROLL_STEP = 200
+
+// Windowed rendering of a long list of items, in rows of as many columns
+// as fit. Only the rows near the viewport are in the DOM; the container
+// keeps the full height, so the page scrolls as if all were there. Row
+// heights are measured once rendered and estimated until then.
+//
+// The columns follow the container's CSS: --column-min-width and --row-gap
+// (without a column width, each item is a row), so media queries still
+// decide the layout. The row holding keyboard focus stays rendered when
+// scrolled away, so an open editor or Tab position isn't lost. onEndReached
+// is called whenever the last row comes within the overscan, so more items
+// can be loaded. Other props (role, aria-*) go on the container.
+function VirtualGrid({ items, getKey, renderItem, estimateRowHeight, onEndReached, className, ...props }) {
+  const containerRef = useRef(null)
+  const rowObserverRef = useRef(null)
+  const [layout, setLayout] = useState({ columns: 1, gap: 0 })
+  const [viewport, setViewport] = useState({ top: 0, bottom: window.innerHeight })
+  const [heights, setHeights] = useState(() => new Map()) // row key -> measured height
+  const [focusedIndex, setFocusedIndex] = useState(null)
+
+  // Where the window is, relative to the top of the grid
+  const updateViewport = useCallback(() => {
+    const { top } = containerRef.current.getBoundingClientRect()
+    const next = {
+      top: Math.floor(-top / SCROLL_STEP) * SCROLL_STEP,
+      bottom: Math.ceil((window.innerHeight - top) / SCROLL_STEP) * SCROLL_STEP
+    }
+    setViewport(current => current.top === next.top && current.bottom === next.bottom ? current : next)
+  }, [])
+
+  useEffect(() => {
+    let frame = null
+    const schedule = () => {
+      if (frame !== null) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        updateViewport()
+      })
+    }
+    schedule()
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    return () => {
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+      if (frame !== null) cancelAnimationFrame(frame)
+    }
+  }, [updateViewport])
+
+  // Columns from the container's width
+  useEffect(() => {
+    const container = containerRef.current
+    const observer = new ResizeObserver(() => {
+      const style = getComputedStyle(container)
+      const minWidth = parseFloat(style.getPropertyValue('--column-min-width')) || 0
+      const gap = parseFloat(style.getPropertyValue('--row-gap')) || 0
+      const columns = minWidth > 0
+        ? Math.max(1, Math.floor((container.clientWidth + gap) / (minWidth + gap)))
+        : 1
+      setLayout(current => current.columns === columns && current.gap === gap ? current : { columns, gap })
+      updateViewport()
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [updateViewport])
+
+  // Row heights, as rendered
+  useEffect(() => {
+    const observer = new ResizeObserver((entries) => {
+      setHeights(current => {
+        let next = null
+        for (const entry of entries) {
+          // A row that just left the DOM reports a height of 0
+          if (!entry.target.isConnected) continue
+          const key = entry.target.dataset.row
+          const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight
+          if (current.get(key) === height) continue
+          next ??= new Map(current)
+          next.set(key, height)
+        }
+        return next ?? current
+      })
+    })
+    rowObserverRef.current = observer
+    containerRef.current.querySelectorAll('[data-row]').forEach(row => observer.observe(row))
+    return () => {
+      observer.disconnect()
+      rowObserverRef.current = null
+    }
+  }, [])
+
+  const observeRow = useCallback((row) => {
+    const observer = rowObserverRef.current
+    if (!row || !observer) return
+    observer.observe(row)
+    return () => observer.unobserve(row)
+  }, [])
+
+  const { columns, gap } = layout
+  const rowCount = Math.ceil(items.length / columns)
+  const rowKey = (row) => `${columns}:${row}`
+  const rowHeight = (row) => heights.get(rowKey(row)) ?? estimateRowHeight
+
+  const offsets = []
+  let totalHeight = 0
+  for (let row = 0; row < rowCount; row++) {
+    offsets.push(totalHeight)
+    totalHeight += rowHeight(row) + gap
+  }
+  totalHeight = Math.max(0, totalHeight - gap)
+
+  let first = 0
+  while (first < rowCount - 1 && offsets[first] + rowHeight(first) < viewport.top - OVERSCAN) first++
+  let last = first
+  while (last < rowCount - 1 && offsets[last + 1] < viewport.bottom + OVERSCAN) last++
+
+  // Also after onEndReached changes, in case what it loaded still leaves
+  // the end in view
+  const endInView = last >= rowCount - 1
+  useEffect(() => {
+    if (endInView) onEndReached?.()
+  }, [endInView, onEndReached])
+
+  const rows = []
+  for (let row = first; row <= last && row < rowCount; row++) rows.push(row)
+  const focusedRow = focusedIndex === null ? null : Math.floor(focusedIndex / columns)
+  if (focusedRow !== null && focusedRow < rowCount && (focusedRow < first || focusedRow > last)) {
+    rows.push(focusedRow)
+  }
+
+  return (
+    <div
+      {...props}
+      ref={containerRef}
+      className={`virtual-grid ${className || ''}`}
+      style={{ height: totalHeight }}
+      onFocus={(e) => {
+        const row = e.target.closest('[data-row]')
+        if (row) setFocusedIndex(Number(row.dataset.first))
+      }}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setFocusedIndex(null)
+      }}
+    >
+      {rows.map(row => (
+        <div
+          key={rowKey(row)}
+          ref={observeRow}
+          className="virtual-row"
+          role="presentation"
+          data-row={rowKey(row)}
+          data-first={row * columns}
+          style={{ top: offsets[row], gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, gap }}
+        >
+          {items.slice(row * columns, (row + 1) * columns).map((item, column) => (
+            <Fragment key={getKey(item)}>{renderItem(item, row * columns + column)}</Fragment>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default VirtualGrid
@@ -0,0 +1,302 @@
+// Client-side encryption for Life Goes On
+// Notes, file names and file bytes are encrypted with AES-GCM before they
+// reach IndexedDB or the cloud. A random master key encrypts the data; the
+// master key itself is wrapped with a key derived from the user's passphrase
+// (PBKDF2-SHA256), so changing the passphrase only re-wraps the master key.
+
+const KEYRING_VERSION = 1
+const PBKDF2_ITERATIONS = 310000
+const SALT_BYTES = 16
+const IV_BYTES = 12
+const LOCAL_KEYRING_PREFIX = 'lifeGoesOnKeyring_'
+
+// Fields encrypted as text, mapped to the field holding their ciphertext
+const SEALED_TEXT_FIELDS = {
+  content: 'contentEnc',
+  name: 'nameEnc',
+  contentHash: 'contentHashEnc'
+}
+
+// Master key for the unlocked vault; null while locked
+let vaultKey = null
+// HMAC keys for content addresses, derived once per master key
+const contentKeys = new WeakMap()
+
+export class VaultError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'VaultError'
+    this.code = code
+  }
+}
+
+export const bytesToBase64 = (bytes) => {
+  let binary = ''
+  const chunkSize = 0x8000
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize))
+  }
+  return btoa(binary)
+}
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+const bytesToHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+// SHA-256 of a blob's bytes as hex; identifies content regardless of name
+export const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return bytesToHex(new Uint8Array(digest))
+}
+
+export const dataUrlToBlob = async (dataUrl) => {
+  const response = await fetch(dataUrl)
+  return response.blob()
+}
+
+// Derive the key-encryption key from a passphrase
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  )
+}
+
+const wrapMasterKey = async (masterKey, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS)
+  const wrappedKey = await crypto.subtle.wrapKey('raw', masterKey, wrappingKey, { name: 'AES-GCM', iv })
+
+  return {
+    version: KEYRING_VERSION,
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    wrappedKey: bytesToBase64(new Uint8Array(wrappedKey)),
+    updatedAt: Date.now()
+  }
+}
+
+// Create a new master key and a keyring holding it wrapped with the passphrase
+export const createKeyring = async (passphrase) => {
+  // Extractable so it can be re-wrapped when the passphrase changes
+  const masterKey = await crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  )
+  const keyring = await wrapMasterKey(masterKey, passphrase)
+  return { masterKey, keyring }
+}
+
+// Unwrap the master key; throws VaultError('vault/wrong-passphrase') on mismatch
+export const unlockKeyring = async (keyring, passphrase) => {
+  if (!isValidKeyring(keyring)) {
+    throw new VaultError('vault/invalid-keyring', 'Encryption keyring is damaged')
+  }
+
+  const wrappingKey = await deriveWrappingKey(
+    passphrase,
+    base64ToBytes(keyring.salt),
+    keyring.iterations
+  )
+
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      base64ToBytes(keyring.wrappedKey),
+      wrappingKey,
+      { name: 'AES-GCM', iv: base64ToBytes(keyring.iv) },
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    )
+  } catch {
+    throw new VaultError('vault/wrong-passphrase', 'Incorrect passphrase')
+  }
+}
+
+// Rotate the passphrase: same master key, new salt and wrapping
+export const rewrapKeyring = (masterKey, newPassphrase) => wrapMasterKey(masterKey, newPassphrase)
+
+export const isValidKeyring = (keyring) => {
+  return !!keyring &&
+    typeof keyring === 'object' &&
+    keyring.version === KEYRING_VERSION &&
+    typeof keyring.salt === 'string' &&
+    typeof keyring.iv === 'string' &&
+    typeof keyring.wrappedKey === 'string' &&
+    Number.isInteger(keyring.iterations)
+}
+
+export const loadLocalKeyring = (uid) => {
+  try {
+    const keyring = JSON.parse(localStorage.getItem(LOCAL_KEYRING_PREFIX + uid))
+    return isValidKeyring(keyring) ? keyring : null
+  } catch {
+    return null
+  }
+}
+
+export const saveLocalKeyring = (uid, keyring) => {
+  localStorage.setItem(LOCAL_KEYRING_PREFIX + uid, JSON.stringify(keyring))
+}
+
+export const setVaultKey = (key) => {
+  vaultKey = key
+}
+
+export const getVaultKey = () => vaultKey
+
+const requireKey = () => {
+  if (!vaultKey) throw new VaultError('vault/locked', 'Vault is locked')
+  return vaultKey
+}
+
+// Encrypt bytes; output is iv || ciphertext
+export const encryptBytes = async (bytes, iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))) => {
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, requireKey(), bytes)
+  const output = new Uint8Array(IV_BYTES + ciphertext.byteLength)
+  output.set(iv, 0)
+  output.set(new Uint8Array(ciphertext), IV_BYTES)
+  return output
+}
+
+// Decrypt with the vault key, or with `key` (e.g. one unwrapped from a backup's keyring)
+export const decryptBytes = async (bytes, key = null) => {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(0, IV_BYTES) },
+      key || requireKey(),
+      data.subarray(IV_BYTES)
+    )
+    return new Uint8Array(plaintext)
+  } catch (error) {
+    if (error instanceof VaultError) throw error
+    throw new VaultError('vault/decrypt-failed', 'Data could not be decrypted')
+  }
+}
+
+export const encryptText = async (text) => {
+  const encrypted = await encryptBytes(new TextEncoder().encode(text))
+  return bytesToBase64(encrypted)
+}
+
+export const decryptText = async (base64) => {
+  const decrypted = await decryptBytes(base64ToBytes(base64))
+  return new TextDecoder().decode(decrypted)
+}
+
+export const encryptBlob = async (blob) => {
+  const encrypted = await encryptBytes(new Uint8Array(await blob.arrayBuffer()))
+  return new Blob([encrypted], { type: 'application/octet-stream' })
+}
+
+const getContentKey = async (masterKey) => {
+  if (!contentKeys.has(masterKey)) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      await crypto.subtle.exportKey('raw', masterKey),
+      'HKDF',
+      false,
+      ['deriveKey']
+    )
+    contentKeys.set(masterKey, await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('content-address') },
+      material,
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    ))
+  }
+  return contentKeys.get(masterKey)
+}
+
+// Encrypt file bytes for content-addressed storage. The address is an
+// HMAC of the content hash, so it names the content without revealing it,
+// and the IV is taken from it: the same bytes always encrypt to the same
+// ciphertext, and two devices uploading them to one address can't clash.
+// Resolves to { contentId, blob } with blob the ciphertext.
+export const encryptContent = async (blob, contentHash) => {
+  const address = new Uint8Array(await crypto.subtle.sign(
+    'HMAC',
+    await getContentKey(requireKey()),
+    new TextEncoder().encode(contentHash)
+  ))
+  const encrypted = await encryptBytes(new Uint8Array(await blob.arrayBuffer()), address.slice(0, IV_BYTES))
+  return {
+    contentId: bytesToHex(address),
+    blob: new Blob([encrypted], { type: 'application/octet-stream' })
+  }
+}
+
+export const decryptBlob = async (blob, type = 'application/octet-stream', key = null) => {
+  const decrypted = await decryptBytes(new Uint8Array(await blob.arrayBuffer()), key)
+  return new Blob([decrypted], { type })
+}
+
+// Turn an item into its at-rest form: text fields become ciphertext. Other
+// metadata stays readable so items can still be sorted and filtered without
+// the key. File bytes are encrypted separately (see fileStore.js).
+export const sealItem = async (item) => {
+  const record = { ...item, encrypted: true }
+
+  for (const [field, sealedField] of Object.entries(SEALED_TEXT_FIELDS)) {
+    if (typeof item[field] === 'string') {
+      record[sealedField] = await encryptText(item[field])
+      delete record[field]
+    }
+  }
+
+  return record
+}
+
+// Reverse of sealItem. Records written before encryption pass through unchanged.
+export const openItem = async (record) => {
+  if (!record?.encrypted) return record
+
+  const item = { ...record }
+  delete item.encrypted
+
+  for (const [field, sealedField] of Object.entries(SEALED_TEXT_FIELDS)) {
+    if (typeof record[sealedField] === 'string') {
+      item[field] = await decryptText(record[sealedField])
+      delete item[sealedField]
+    }
+  }
+
+  return item
+}
+
+// Open many records, dropping any that fail to decrypt (e.g. another user's)
+export const openItems = async (records) => {
+  const items = []
+  for (const record of records) {
+    try {
+      items.push(await openItem(record))
+    } catch (error) {
+      console.error('Could not decrypt item:', record?.id, error.message)
+    }
+  }
+  return items
+}
@@ -0,0 +1,49 @@
+// Word-level diff for comparing note versions. A plain LCS table is fine
+// here: notes are capped at MAX_NOTE_LENGTH characters.
+
+// Words and the whitespace between them, so joining the parts gives the text back
+const tokenize = (text) => text.split(/(\s+)/).filter(token => token !== '')
+
+// Returns [{ type: 'equal' | 'insert' | 'delete', text }] turning oldText into newText
+export const diffWords = (oldText = '', newText = '') => {
+  const a = tokenize(oldText)
+  const b = tokenize(newText)
+
+  // lengths[i * width + j]: longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1
+  const lengths = new Uint32Array((a.length + 1) * width)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+    }
+  }
+
+  const parts = []
+  const push = (type, text) => {
+    const last = parts[parts.length - 1]
+    if (last?.type === type) {
+      last.text += text
+    } else {
+      parts.push({ type, text })
+    }
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i++])
+      j++
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('delete', a[i++])
+    } else {
+      push('insert', b[j++])
+    }
+  }
+  while (i < a.length) push('delete', a[i++])
+  while (j < b.length) push('insert', b[j++])
+
+  return parts
+}
@@ -0,0 +1,79 @@
+// Files from drag-and-drop, folder pickers and the clipboard
+// Every source resolves to [{ file, folders }] where folders lists the
+// directory names between what the user picked and the file, so a
+// dropped "Taxes/2024/receipt.pdf" keeps its place as Taxes > 2024.
+// Hidden files and folders (.DS_Store, .git) are left out.
+
+const isHidden = (name) => name.startsWith('.')
+
+// Whether a drag carries files from outside the page (item cards dragged
+// onto folders carry ITEM_DRAG_TYPE instead)
+export const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject))
+
+// readEntries returns a batch at a time; an empty batch means done
+const readDirectory = async (entry) => {
+  const reader = entry.createReader()
+  const children = []
+  let batch
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    children.push(...batch)
+  } while (batch.length > 0)
+  return children
+}
+
+const collectEntry = async (entry, folders, results) => {
+  if (isHidden(entry.name)) return
+  if (entry.isFile) {
+    results.push({ file: await readEntryFile(entry), folders })
+  } else if (entry.isDirectory) {
+    for (const child of await readDirectory(entry)) {
+      await collectEntry(child, [...folders, entry.name], results)
+    }
+  }
+}
+
+// Must be called from the drop handler itself: the browser empties
+// dataTransfer once the event is over, so the entries are taken first
+export const getDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+
+  // Without the entries API only top-level files can be read
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    const files = Array.from(dataTransfer.files)
+    return files.filter(file => !isHidden(file.name)).map(file => ({ file, folders: [] }))
+  }
+
+  const results = []
+  for (const entry of entries) {
+    await collectEntry(entry, [], results)
+  }
+  return results
+}
+
+// Files from an <input type="file">, with the folders of a webkitdirectory pick
+export const getInputFiles = (fileList) => {
+  return Array.from(fileList)
+    .map(file => ({ file, folders: (file.webkitRelativePath || '').split('/').slice(0, -1) }))
+    .filter(({ file, folders }) => !isHidden(file.name) && !folders.some(isHidden))
+}
+
+// Screenshots are pasted as "image.png"; give them a name worth keeping
+const namePastedFile = (file) => {
+  if (!/^image\.\w+$/.test(file.name)) return file
+  const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-')
+  const extension = file.name.split('.').pop()
+  return new File([file], `Pasted image ${stamp}.${extension}`, { type: file.type, lastModified: Date.now() })
+}
+
+// What a paste carries: { files, text }. Files win over text, since
+// copying a file often puts its name on the clipboard as text too.
+export const getPastedContent = (clipboardData) => {
+  const files = Array.from(clipboardData?.files || []).map(namePastedFile)
+  if (files.length > 0) return { files: files.map(file => ({ file, folders: [] })), text: '' }
+  return { files: [], text: clipboardData?.getData('text/plain') || '' }
+}
@@ -0,0 +1,142 @@
+// File contents for Life Goes On
+// Items only carry metadata; their bytes sit in the local blobs store
+// (encrypted, keyed by contentId) and/or in cloud Storage. Content is
+// loaded lazily, only when a file is previewed, viewed or downloaded.
+// Content stored here is addressed by its SHA-256 (see encryptContent),
+// so identical files share one local blob and one cloud object; items
+// carry the hash as contentHash to check their bytes against. Images and
+// videos get a thumbnail (thumbnails.js) stored the same way, next to it.
+
+import { encryptContent, encryptBlob, decryptBlob, dataUrlToBlob, hashBlob } from './crypto'
+import { putBlob, getBlob, getThumbnailKey } from './localRepository'
+import { downloadFileChunks, downloadCloudBlob, uploadThumbnail, downloadThumbnail } from './cloud'
+import { canThumbnail, createThumbnail } from './thumbnails'
+
+// Make and store a thumbnail for content; a file that can't be decoded
+// simply has none
+const storeThumbnail = async (contentId, blob, fileType) => {
+  try {
+    const thumbnail = await createThumbnail(blob, fileType)
+    if (!thumbnail) return null
+    await putBlob(getThumbnailKey(contentId), await encryptBlob(thumbnail), true)
+    return thumbnail
+  } catch (error) {
+    console.log('Thumbnail skipped:', error.message)
+    return null
+  }
+}
+
+// Encrypt and store a file's bytes locally, once per distinct content,
+// with a thumbnail for images and videos. Resolves to { contentId, contentHash }.
+export const storeFileContent = async (blob) => {
+  const contentHash = await hashBlob(blob)
+  const { contentId, blob: encrypted } = await encryptContent(blob, contentHash)
+  if (!await getBlob(contentId)) {
+    await putBlob(contentId, encrypted, true)
+    await storeThumbnail(contentId, blob, blob.type)
+  }
+  return { contentId, contentHash }
+}
+
+// The file's bytes if this device has them, without downloading; else null
+export const loadLocalFileBlob = async (item) => {
+  const type = item.fileType || 'application/octet-stream'
+  const stored = item.contentId ? await getBlob(item.contentId) : null
+  if (!stored) return null
+  return stored.encrypted ? decryptBlob(stored.blob, type) : new Blob([stored.blob], { type })
+}
+
+// The cloud copy's bytes as stored there (encrypted if item.blobEncrypted)
+export const downloadCloudContent = async (item) => {
+  if (item.chunkCount) return downloadFileChunks(item)
+  // Providers without credential-free URLs only record the path
+  if (!item.data && item.storagePath) return downloadCloudBlob(item.storagePath)
+  if (!item.data) {
+    throw new Error('File content not available')
+  }
+
+  const response = await fetch(item.data)
+  if (!response.ok) throw new Error(`Download failed (${response.status})`)
+  return response.blob()
+}
+
+// Load a file's bytes as a plaintext Blob: from the local store when we
+// have them, otherwise from the cloud copy (cached locally for next time)
+export const loadFileBlob = async (item) => {
+  const type = item.fileType || 'application/octet-stream'
+
+  const local = await loadLocalFileBlob(item)
+  if (local) return local
+
+  if (item.data?.startsWith('data:')) {
+    return dataUrlToBlob(item.data)
+  }
+
+  const blob = await downloadCloudContent(item)
+
+  if (item.contentId) {
+    try {
+      await putBlob(item.contentId, blob, !!item.blobEncrypted)
+    } catch (error) {
+      console.log('Local cache skipped:', error.message)
+    }
+  }
+
+  return item.blobEncrypted ? decryptBlob(blob, type) : new Blob([blob], { type })
+}
+
+// A file's thumbnail as a plaintext Blob, or null when there is none to
+// show. Looks locally, then in the cloud; files uploaded without one
+// (older ones) get it made from their bytes, but only when those are on
+// this device already: the original is never downloaded for a preview.
+export const loadThumbnailBlob = async (item) => {
+  if (!item.contentId || !canThumbnail(item.fileType)) return null
+  const key = getThumbnailKey(item.contentId)
+
+  const stored = await getBlob(key)
+  if (stored) return decryptBlob(stored.blob, 'image/webp')
+
+  if (item.thumbnailPath) {
+    try {
+      const encrypted = await downloadThumbnail(item.thumbnailPath)
+      await putBlob(key, encrypted, true)
+      return decryptBlob(encrypted, 'image/webp')
+    } catch (error) {
+      console.log('Cloud thumbnail unavailable:', error.message)
+    }
+  }
+
+  const local = await loadLocalFileBlob(item) ||
+    (item.data?.startsWith('data:') ? await dataUrlToBlob(item.data) : null)
+  return local ? storeThumbnail(item.contentId, local, item.fileType) : null
+}
+
+// Make a file's missing thumbnail from bytes loaded anyway (e.g. for the
+// viewer), so its card can show one next time
+export const keepThumbnail = async (item, blob) => {
+  if (!item.contentId || !canThumbnail(item.fileType)) return
+  if (await getBlob(getThumbnailKey(item.contentId))) return
+  await storeThumbnail(item.contentId, blob, item.fileType)
+}
+
+// Upload the local thumbnail of a content, if it has one; resolves to its
+// storage path or null. A missing thumbnail never holds up the file.
+export const uploadLocalThumbnail = async (contentId) => {
+  const stored = await getBlob(getThumbnailKey(contentId))
+  if (!stored) return null
+  try {
+    return await uploadThumbnail(contentId, stored.blob)
+  } catch (error) {
+    console.error('Thumbnail upload failed:', contentId, error)
+    return null
+  }
+}
+
+// Move an inline data URL (items from older storage formats) into the blob store
+export const extractInlineData = async (item) => {
+  if (typeof item.data !== 'string' || !item.data.startsWith('data:')) return item
+
+  const extracted = { ...item, ...await storeFileContent(await dataUrlToBlob(item.data)) }
+  delete extracted.data
+  return extracted
+}
@@ -1,185 +1,464 @@
 // Firebase Configuration for Life Goes On
-// This file configures Firebase services for cloud sync
-
-import { initializeApp } from 'firebase/app'
-import { getFirestore, collection, doc, setDoc, getDocs, deleteDoc, onSnapshot, query } from 'firebase/firestore'
-import { getStorage, ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage'
-
-// Firebase configuration
-// IMPORTANT: These are placeholder values. You need to:
-// 1. Go to https://console.firebase.google.com/
-// 2. Create a new project (or use existing one)
-// 3. Go to Project Settings > General > Your apps > Web app
-// 4. Copy your config values and replace these placeholders
-const firebaseConfig = {
-  apiKey: "YOUR_API_KEY",
-  authDomain: "YOUR_PROJECT_ID.firebaseapp.com",
-  projectId: "YOUR_PROJECT_ID",
-  storageBucket: "YOUR_PROJECT_ID.appspot.com",
-  messagingSenderId: "YOUR_MESSAGING_SENDER_ID",
-  appId: "YOUR_APP_ID"
-}
+// This file configures Firebase services and implements the Firebase
+// cloud provider (see cloud.js for the interface)
 
-// Check if Firebase is configured
-const isFirebaseConfigured = () => {
-  return firebaseConfig.apiKey !== "YOUR_API_KEY" &&
-         firebaseConfig.projectId !== "YOUR_PROJECT_ID"
-}
+import { initializeApp, deleteApp } from 'firebase/app'
+import {
+  getAuth,
+  initializeAuth,
+  inMemoryPersistence,
+  connectAuthEmulator,
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  signOut
+} from 'firebase/auth'
+import {
+  getFirestore,
+  connectFirestoreEmulator,
+  collection,
+  doc,
+  getDoc,
+  getDocFromServer,
+  setDoc,
+  updateDoc,
+  getDocs,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  startAfter,
+  limit,
+  runTransaction,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore'
+import { getStorage, connectStorageEmulator, ref, uploadBytes, uploadBytesResumable, getBlob, getDownloadURL, getMetadata, deleteObject } from 'firebase/storage'
+import { isTombstone, SyncConflictError } from './merge'
+import { getCloudSettings } from './cloudSettings'
+import { getFirebaseSetup, EMULATOR_PORTS } from './firebaseConfig'
 
-// Initialize Firebase (only if configured)
+// Started by initializeFirebase() once the configuration is known (only
+// if Firebase is the chosen cloud; without it, accounts are local to the
+// device, see auth.js)
 let app = null
+let auth = null
 let db = null
 let storage = null
 
-if (isFirebaseConfigured()) {
+// Point a Firebase app's services at the local emulator suite
+const connectEmulators = (services, host) => {
+  connectAuthEmulator(services.auth, `http://${host}:${EMULATOR_PORTS.auth}`, { disableWarnings: true })
+  connectFirestoreEmulator(services.db, host, EMULATOR_PORTS.firestore)
+  connectStorageEmulator(services.storage, host, EMULATOR_PORTS.storage)
+}
+
+// Call once at startup, after loadRuntimeConfig (firebaseConfig.js)
+export const initializeFirebase = () => {
+  const setup = getFirebaseSetup()
+  if (app || !setup || getCloudSettings().provider !== 'firebase') return
+
   try {
-    app = initializeApp(firebaseConfig)
+    app = initializeApp(setup.config)
+    auth = getAuth(app)
     db = getFirestore(app)
     storage = getStorage(app)
-    console.log('Firebase initialized successfully')
+
+    if (setup.emulatorHost) {
+      connectEmulators({ auth, db, storage }, setup.emulatorHost)
+      console.log('Firebase connected to local emulators at', setup.emulatorHost)
+    }
+    console.log('Firebase initialized successfully:', setup.config.projectId, `(${setup.source})`)
   } catch (error) {
     console.error('Firebase initialization error:', error)
+    app = null
+    auth = null
+    db = null
+    storage = null
   }
 }
 
-// Collection name for items
-const ITEMS_COLLECTION = 'lifeGoesOnItems'
+// Every user's data lives under users/{uid}: items in Firestore at
+// users/{uid}/items and file contents in Storage at users/{uid}/files/
+const USERS_COLLECTION = 'users'
+const ITEMS_COLLECTION = 'items'
+const VERSIONS_COLLECTION = 'versions'
 
-// Save item to Firestore (metadata only, files go to Storage)
-export const saveItemToCloud = async (item) => {
-  if (!db) {
-    console.log('Firebase not configured, skipping cloud save')
-    return null
-  }
+// Pre-accounts deployments kept everything in one shared collection and
+// a flat files/ prefix. See migrateLegacyItems below.
+const LEGACY_ITEMS_COLLECTION = 'lifeGoesOnItems'
+const LEGACY_MIGRATION_DOC = ['meta', 'legacyMigration']
 
-  try {
-    const itemRef = doc(db, ITEMS_COLLECTION, item.id.toString())
-
-    // If it's a file, upload to Storage first
-    if (item.type === 'file' && item.data && item.data.startsWith('data:')) {
-      // Convert base64 to blob
-      const response = await fetch(item.data)
-      const blob = await response.blob()
-
-      // Upload to storage
-      const storageRef = ref(storage, `files/${item.id}_${item.name}`)
-      await uploadBytes(storageRef, blob)
-
-      // Get download URL
-      const downloadURL = await getDownloadURL(storageRef)
-
-      // Save metadata with download URL instead of base64
-      const itemData = {
-        ...item,
-        data: downloadURL,
-        isCloudStored: true,
-        updatedAt: Date.now()
-      }
+// UID of the signed-in Firebase user, or null
+const getCurrentUid = () => auth?.currentUser?.uid || null
+
+const requireUid = () => {
+  const uid = getCurrentUid()
+  if (!db || !uid) throw new Error('Cloud is not available')
+  return uid
+}
+
+const userDocRef = (uid) => doc(db, USERS_COLLECTION, uid)
+
+const itemsCollectionRef = (uid) => collection(db, USERS_COLLECTION, uid, ITEMS_COLLECTION)
+
+const itemDocRef = (uid, id) => doc(db, USERS_COLLECTION, uid, ITEMS_COLLECTION, id.toString())
+
+// Earlier states of an item live under users/{uid}/items/{itemId}/versions
+const versionsCollectionRef = (uid, itemId) => collection(itemDocRef(uid, itemId), VERSIONS_COLLECTION)
+
+// Keyed by content ID rather than name: names are encrypted and must not
+// leak through paths. Content IDs address the content (see encryptContent),
+// so identical files share one object, and an upload of the same bytes from
+// another device writes the same ciphertext instead of clobbering it.
+const fileStoragePath = (uid, item) => `${USERS_COLLECTION}/${uid}/files/${item.contentId || item.id}`
+
+// Items uploaded before storagePath was recorded used the legacy flat path
+const getLegacyStoragePath = (item) => item.storagePath || `files/${item.id}_${item.name}`
+
+// Every item document carries changedAt, the server's time of its last
+// write (the rules insist on it), so devices can ask for what changed
+// since they last looked. It isn't part of the record.
+const stampItemDoc = (record) => ({ ...record, changedAt: serverTimestamp() })
+
+const readItemDoc = (itemDoc) => {
+  const { changedAt: _changedAt, ...record } = itemDoc.data()
+  return record
+}
+
+const getChangeStamp = (itemDoc) => itemDoc.get('changedAt')?.toMillis() ?? 0
+
+const newestStamp = (docs, floor) => docs.reduce((newest, itemDoc) => Math.max(newest, getChangeStamp(itemDoc)), floor)
 
-      await setDoc(itemRef, itemData)
-      return itemData
-    } else {
-      // For notes, save directly
-      const itemData = {
-        ...item,
-        updatedAt: Date.now()
+// Write a record unless the cloud copy changed since baseVersion (the
+// cloud updatedAt this device last synced with)
+const commitItemDoc = (itemRef, record, baseVersion) => {
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(itemRef)
+    if (snapshot.exists()) {
+      const remote = readItemDoc(snapshot)
+      if ((remote.updatedAt || 0) > (baseVersion ?? 0)) {
+        throw new SyncConflictError(remote)
       }
-      await setDoc(itemRef, itemData)
-      return itemData
     }
+    transaction.set(itemRef, stampItemDoc(record))
+  })
+}
+
+// The newest change stamp in the collection, 0 if there is none
+const loadLatestChangeStamp = async (uid) => {
+  const snapshot = await getDocs(query(itemsCollectionRef(uid), orderBy('changedAt', 'desc'), limit(1)))
+  return snapshot.empty ? 0 : getChangeStamp(snapshot.docs[0])
+}
+
+// Report whether Firestore is talking to the server. Calls back with
+// true on (re)connect and false when it falls back to its offline cache.
+const watchConnection = (callback) => {
+  const uid = getCurrentUid()
+  if (!db || !uid) return () => {}
+
+  let connected = null
+  try {
+    return onSnapshot(userDocRef(uid), { includeMetadataChanges: true }, (snapshot) => {
+      const isConnected = !snapshot.metadata.fromCache
+      if (isConnected !== connected) {
+        connected = isConnected
+        console.log('Cloud connection:', isConnected ? 'online' : 'offline')
+        callback(isConnected)
+      }
+    }, (error) => {
+      console.error('Connection watch error:', error)
+    })
   } catch (error) {
-    console.error('Error saving to cloud:', error)
-    throw error
+    console.error('Error watching cloud connection:', error)
+    return () => {}
   }
 }
 
-// Load all items from Firestore
-export const loadItemsFromCloud = async () => {
-  if (!db) {
-    console.log('Firebase not configured, returning empty array')
-    return []
-  }
+// One-time move of documents from the shared legacy collection into the
+// owner's users/{uid}/items. The owner is whoever the deployer names in
+// meta/legacyMigration.ownerUid (set by hand in the Firebase console);
+// the security rules only let that user read or delete legacy data.
+// Returns the number of items moved.
+const migrateLegacyItems = async () => {
+  const uid = getCurrentUid()
+  if (!db || !uid) return 0
 
   try {
-    const querySnapshot = await getDocs(collection(db, ITEMS_COLLECTION))
-    const items = []
+    const migrationRef = doc(db, ...LEGACY_MIGRATION_DOC)
+    const migrationSnapshot = await getDoc(migrationRef)
+    const migration = migrationSnapshot.exists() ? migrationSnapshot.data() : null
 
-    querySnapshot.forEach((doc) => {
-      items.push(doc.data())
-    })
+    if (!migration || migration.ownerUid !== uid || migration.migratedAt) {
+      return 0
+    }
+
+    const legacySnapshot = await getDocs(collection(db, LEGACY_ITEMS_COLLECTION))
+    let moved = 0
 
-    // Sort by creation date
-    items.sort((a, b) => b.id - a.id)
+    for (const legacyDoc of legacySnapshot.docs) {
+      const item = legacyDoc.data()
+      let itemData = { ...item, id: item.id ?? legacyDoc.id, createdAt: item.createdAt ?? new Date().toISOString() }
 
-    console.log('Loaded from cloud:', items.length, 'items')
-    return items
+      // Copy the file to the owner's prefix before dropping the legacy object
+      if (itemData.type === 'file' && itemData.isCloudStored) {
+        const legacyRef = ref(storage, getLegacyStoragePath(itemData))
+        const storagePath = fileStoragePath(uid, itemData)
+        const newRef = ref(storage, storagePath)
+        const blob = await getBlob(legacyRef)
+        await uploadBytes(newRef, blob)
+        itemData = {
+          ...itemData,
+          data: await getDownloadURL(newRef),
+          storagePath
+        }
+        await setDoc(itemDocRef(uid, itemData.id), stampItemDoc(itemData))
+        try {
+          await deleteObject(legacyRef)
+        } catch (storageError) {
+          console.log('Legacy storage delete skipped:', storageError.message)
+        }
+      } else {
+        await setDoc(itemDocRef(uid, itemData.id), stampItemDoc(itemData))
+      }
+
+      await deleteDoc(legacyDoc.ref)
+      moved++
+    }
+
+    await updateDoc(migrationRef, { migratedAt: Date.now(), migratedCount: moved })
+    console.log('Migrated legacy items:', moved)
+    return moved
   } catch (error) {
-    console.error('Error loading from cloud:', error)
-    return []
+    console.error('Error migrating legacy items:', error)
+    return 0
   }
 }
 
-// Delete item from Firestore and Storage
-export const deleteItemFromCloud = async (item) => {
-  if (!db) {
-    console.log('Firebase not configured, skipping cloud delete')
-    return
-  }
+// The Firebase provider. Items and versions are Firestore documents; the
+// keyring and library are fields of users/{uid}; blobs are Storage objects.
+export const firebaseProvider = {
+  id: 'firebase',
+  label: 'Firebase',
 
-  try {
-    // Delete from Firestore
-    await deleteDoc(doc(db, ITEMS_COLLECTION, item.id.toString()))
-
-    // If it's a file stored in cloud storage, delete from storage too
-    if (item.type === 'file' && item.isCloudStored) {
-      try {
-        const storageRef = ref(storage, `files/${item.id}_${item.name}`)
-        await deleteObject(storageRef)
-      } catch (storageError) {
-        // File might not exist in storage, that's ok
-        console.log('Storage delete skipped:', storageError.message)
+  isReady: () => !!db && !!getCurrentUid(),
+
+  save: (id, record, baseVersion) => {
+    return commitItemDoc(itemDocRef(requireUid(), id), record, baseVersion)
+  },
+
+  // Pages of the collection ordered by creation, or of what changed since
+  // a stamp ordered by change; `after` is the last document of the page
+  loadPage: async ({ since = null, after = null, limit: pageSize }) => {
+    const uid = requireUid()
+    const itemsRef = itemsCollectionRef(uid)
+    // A full load goes newest first, the order the grid shows by default
+    const constraints = since === null
+      ? [orderBy('createdAt', 'desc')]
+      : [where('changedAt', '>', Timestamp.fromMillis(since)), orderBy('changedAt')]
+    if (after) constraints.push(startAfter(after))
+
+    // A full load starts from the newest stamp at the time, so changes
+    // made while it pages through are picked up after
+    const firstSyncPoint = since === null && !after ? await loadLatestChangeStamp(uid) : null
+    const querySnapshot = await getDocs(query(itemsRef, ...constraints, limit(pageSize)))
+    const docs = querySnapshot.docs
+
+    return {
+      records: docs.map(readItemDoc),
+      after: docs.length === pageSize ? docs[docs.length - 1] : null,
+      syncPoint: firstSyncPoint ?? newestStamp(docs, since ?? 0)
+    }
+  },
+
+  delete: (id, tombstone, baseVersion) => {
+    const itemRef = itemDocRef(requireUid(), id)
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(itemRef)
+      // Never uploaded, or already deleted elsewhere: nothing to record
+      if (!snapshot.exists() || isTombstone(snapshot.data())) return
+
+      const remote = readItemDoc(snapshot)
+      if ((remote.updatedAt || 0) > (baseVersion ?? 0)) {
+        throw new SyncConflictError(remote)
       }
+      transaction.set(itemRef, stampItemDoc(tombstone))
+    })
+  },
+
+  // Only documents changed after `since`; each snapshot hands over what
+  // was added or changed in it. Documents never drop out of the query
+  // (stamps only grow), and deletes are tombstones.
+  subscribe: (since, onChanges) => {
+    const changed = query(itemsCollectionRef(requireUid()), where('changedAt', '>', Timestamp.fromMillis(since)))
+    return onSnapshot(changed, (querySnapshot) => {
+      const docs = querySnapshot.docChanges()
+        .filter(change => change.type !== 'removed')
+        .map(change => change.doc)
+      if (docs.length === 0) return
+      onChanges(docs.map(readItemDoc), newestStamp(docs, since))
+    }, (error) => {
+      console.error('Real-time sync error:', error)
+    })
+  },
+
+  watchConnection,
+
+  saveVersion: async (itemId, versionId, record) => {
+    await setDoc(doc(versionsCollectionRef(requireUid(), itemId), versionId), record)
+  },
+
+  loadVersions: async (itemId) => {
+    const querySnapshot = await getDocs(versionsCollectionRef(requireUid(), itemId))
+    return querySnapshot.docs.map(versionDoc => versionDoc.data())
+  },
+
+  deleteVersion: async (itemId, versionId) => {
+    await deleteDoc(doc(versionsCollectionRef(requireUid(), itemId), versionId))
+  },
+
+  loadDoc: async (name) => {
+    const snapshot = await getDoc(userDocRef(requireUid()))
+    return snapshot.exists() ? snapshot.data()[name] ?? null : null
+  },
+
+  saveDoc: async (name, value) => {
+    await setDoc(userDocRef(requireUid()), { [name]: value }, { merge: true })
+  },
+
+  // update(current) resolves to the value to store, inside a transaction
+  updateDoc: (name, update) => {
+    const userRef = userDocRef(requireUid())
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(userRef)
+      const next = await update(snapshot.exists() ? snapshot.data()[name] ?? null : null)
+      transaction.set(userRef, { [name]: next }, { merge: true })
+      return next
+    })
+  },
+
+  subscribeToDoc: (name, callback) => {
+    return onSnapshot(userDocRef(requireUid()), { includeMetadataChanges: true }, (snapshot) => {
+      if (snapshot.metadata.hasPendingWrites) return
+      callback(snapshot.exists() ? snapshot.data()[name] ?? null : null, !snapshot.metadata.fromCache)
+    }, (error) => {
+      console.error('Document sync error:', name, error)
+    })
+  },
+
+  contentPath: (contentId) => fileStoragePath(requireUid(), { contentId }),
+
+  // Thumbnails sit apart from content so listing or deleting chunks never touches them
+  thumbnailPath: (contentId) => `${USERS_COLLECTION}/${requireUid()}/thumbnails/${contentId}`,
+
+  legacyPath: getLegacyStoragePath,
+
+  uploadBlob: (path, blob, { onProgress, signal } = {}) => {
+    if (!storage || !getCurrentUid()) return Promise.reject(new Error('Cloud is not available'))
+    return new Promise((resolve, reject) => {
+      const task = uploadBytesResumable(ref(storage, path), blob)
+      signal?.addEventListener('abort', () => task.cancel())
+      task.on(
+        'state_changed',
+        (snapshot) => onProgress?.(snapshot.bytesTransferred),
+        reject,
+        resolve
+      )
+    })
+  },
+
+  getBlob: (path) => getBlob(ref(storage, path)),
+
+  getBlobUrl: (path) => getDownloadURL(ref(storage, path)),
+
+  // Size in bytes, or null if there is no such object
+  getBlobSize: async (path) => {
+    try {
+      return (await getMetadata(ref(storage, path))).size
+    } catch {
+      return null
     }
+  },
 
-    console.log('Deleted from cloud:', item.id)
-  } catch (error) {
-    console.error('Error deleting from cloud:', error)
-    throw error
-  }
+  deleteBlob: (path) => deleteObject(ref(storage, path)),
+
+  migrateLegacyItems
 }
 
-// Listen for real-time updates
-export const subscribeToItems = (callback) => {
-  if (!db) {
-    console.log('Firebase not configured, no real-time sync')
-    return () => {}
+// Try a Firebase setup before saving it: sign in (or create the account)
+// on a throwaway app instance, then write, read back and delete a document
+// and a file under the account. Resolves to the account's email; throws
+// the Firebase error of the first step that fails, with `step` set.
+export const testFirebaseSetup = async ({ config, emulatorHost }, { email, password, createAccount = false }) => {
+  const testApp = initializeApp(config, `connection-test-${Date.now()}`)
+  const step = async (name, action) => {
+    try {
+      return await action()
+    } catch (error) {
+      error.step = name
+      throw error
+    }
   }
 
   try {
-    const q = query(collection(db, ITEMS_COLLECTION))
-
-    const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const items = []
-      querySnapshot.forEach((doc) => {
-        items.push(doc.data())
-      })
-      items.sort((a, b) => b.id - a.id)
-      console.log('Real-time update:', items.length, 'items')
-      callback(items)
-    }, (error) => {
-      console.error('Real-time sync error:', error)
+    // In memory only, so the test never signs this device in
+    const testAuth = initializeAuth(testApp, { persistence: inMemoryPersistence })
+    const testDb = getFirestore(testApp)
+    const testStorage = getStorage(testApp)
+    if (emulatorHost) connectEmulators({ auth: testAuth, db: testDb, storage: testStorage }, emulatorHost)
+
+    const { user } = await step('auth', () => createAccount
+      ? createUserWithEmailAndPassword(testAuth, email.trim().toLowerCase(), password)
+      : signInWithEmailAndPassword(testAuth, email.trim().toLowerCase(), password))
+
+    const checkedAt = Date.now()
+    const checkRef = doc(testDb, USERS_COLLECTION, user.uid, 'connectionTest', 'check')
+    await step('firestore', async () => {
+      await setDoc(checkRef, { checkedAt })
+      const snapshot = await getDocFromServer(checkRef)
+      if (snapshot.data()?.checkedAt !== checkedAt) throw new Error('Firestore returned something other than what was written')
+      await deleteDoc(checkRef)
     })
 
-    return unsubscribe
-  } catch (error) {
-    console.error('Error setting up real-time sync:', error)
-    return () => {}
+    const fileRef = ref(testStorage, `${USERS_COLLECTION}/${user.uid}/connectionTest`)
+    await step('storage', async () => {
+      await uploadBytes(fileRef, new Blob([String(checkedAt)]))
+      if ((await getMetadata(fileRef)).size !== String(checkedAt).length) {
+        throw new Error('Storage returned something other than what was written')
+      }
+      await deleteObject(fileRef)
+    })
+
+    await signOut(testAuth)
+    return user.email
+  } finally {
+    await deleteApp(testApp).catch(() => {})
   }
 }
 
-// Check if Firebase is properly configured
-export const checkFirebaseConfig = () => {
-  return isFirebaseConfigured()
+export const getFirebaseTestErrorMessage = (error) => {
+  switch (error?.code) {
+    case 'auth/invalid-api-key':
+    case 'auth/api-key-not-valid.-please-pass-a-valid-api-key.': return 'Firebase did not accept the API key'
+    case 'auth/configuration-not-found':
+    case 'auth/operation-not-allowed': return 'Enable Email/Password sign-in in the Firebase console (Authentication)'
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found': return 'Incorrect email or password for this project'
+    case 'auth/email-already-in-use': return 'That account already exists; untick "new account"'
+    case 'auth/weak-password': return 'Firebase wants a longer password'
+    case 'auth/network-request-failed': return 'Could not reach Firebase. Check the config and your connection.'
+    case 'permission-denied': return 'Firestore refused the test write. Deploy the security rules (firestore.rules).'
+    case 'storage/unauthorized': return 'Storage refused the test upload. Deploy the security rules (storage.rules).'
+    case 'storage/bucket-not-found':
+    case 'storage/project-not-found':
+    case 'storage/no-default-bucket': return 'Storage is not set up for this project, or storageBucket is wrong'
+    case 'unavailable': return 'Could not reach Firestore. Is the database created?'
+    default: return error?.message || 'The test failed'
+  }
 }
 
-export { db, storage }
+// Whether Firebase started (configured and the chosen cloud)
+export const checkFirebaseConfig = () => !!app
+
+export { auth, db, storage }
@@ -0,0 +1,171 @@
+// Firebase configuration for Life Goes On
+// Which Firebase project the app talks to is decided at runtime, first
+// match wins:
+//   1. sync settings on this device: a pasted config, or the emulators
+//   2. config.json next to the app, { "firebase": { apiKey, ... } }, read
+//      at startup so one build can be deployed for any project
+//   3. VITE_FIREBASE_* variables at build time, or
+//      VITE_USE_FIREBASE_EMULATORS=true for the local emulator suite
+// A setup is { source, config, emulatorHost }; emulatorHost is null for a
+// real project.
+
+import { getCloudSettings } from './cloudSettings'
+
+const RUNTIME_CONFIG_URL = '/config.json'
+const RUNTIME_CONFIG_KEY = 'lifeGoesOnRuntimeConfig'
+const RUNTIME_CONFIG_TIMEOUT = 3000
+
+export const CONFIG_FIELDS = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'messagingSenderId', 'appId']
+const REQUIRED_FIELDS = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'appId']
+
+// Local emulator suite (see firebase.json). Emulators accept any "demo-"
+// project without real credentials.
+export const DEFAULT_EMULATOR_HOST = '127.0.0.1'
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 }
+export const EMULATOR_CONFIG = {
+  apiKey: 'demo-api-key',
+  authDomain: 'demo-life-goes-on.firebaseapp.com',
+  projectId: 'demo-life-goes-on',
+  storageBucket: 'demo-life-goes-on.appspot.com',
+  appId: 'demo-life-goes-on'
+}
+
+export class FirebaseConfigError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'FirebaseConfigError'
+    this.code = code
+  }
+}
+
+// Keep the known fields of a config and check the ones the app needs.
+// Throws FirebaseConfigError.
+export const validateFirebaseConfig = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new FirebaseConfigError('config/invalid', 'This is not a Firebase config object')
+  }
+  const config = {}
+  for (const field of CONFIG_FIELDS) {
+    if (typeof value[field] === 'string' && value[field].trim()) config[field] = value[field].trim()
+  }
+  const missing = REQUIRED_FIELDS.filter(field => !config[field])
+  if (missing.length > 0) {
+    throw new FirebaseConfigError('config/missing-fields', `The config is missing ${missing.join(', ')}`)
+  }
+  if (config.apiKey.startsWith('YOUR_')) {
+    throw new FirebaseConfigError('config/placeholder', 'The config still has placeholder values')
+  }
+  return config
+}
+
+// Read a config as pasted: JSON, config.json's { firebase: ... }, or the
+// `const firebaseConfig = { apiKey: "..." }` snippet the Firebase console
+// shows. Throws FirebaseConfigError.
+export const parseFirebaseConfig = (text) => {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  if (start === -1 || end < start) {
+    throw new FirebaseConfigError('config/invalid', 'Paste the config object, starting with {')
+  }
+
+  const json = text.slice(start, end + 1)
+    .replace(/^\s*\/\/.*$/gm, '')
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+    .replace(/'([^'\\]*)'/g, '"$1"')
+    .replace(/,\s*}/g, '}')
+
+  let value
+  try {
+    value = JSON.parse(json)
+  } catch {
+    throw new FirebaseConfigError('config/invalid', 'The config could not be read')
+  }
+  return validateFirebaseConfig(value.firebase || value)
+}
+
+const readEnvConfig = () => {
+  const env = import.meta.env
+  if (!env.VITE_FIREBASE_API_KEY) return null
+  try {
+    return validateFirebaseConfig({
+      apiKey: env.VITE_FIREBASE_API_KEY,
+      authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+      projectId: env.VITE_FIREBASE_PROJECT_ID,
+      storageBucket: env.VITE_FIREBASE_STORAGE_BUCKET,
+      messagingSenderId: env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+      appId: env.VITE_FIREBASE_APP_ID
+    })
+  } catch (error) {
+    console.error('Ignoring VITE_FIREBASE_* settings:', error.message)
+    return null
+  }
+}
+
+const loadCachedRuntimeConfig = () => {
+  try {
+    return validateFirebaseConfig(JSON.parse(localStorage.getItem(RUNTIME_CONFIG_KEY)))
+  } catch {
+    return null
+  }
+}
+
+let runtimeConfig = null
+
+// Fetch config.json; call once before Firebase starts. The last copy is
+// kept so the app still knows its project when it starts offline.
+export const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch(RUNTIME_CONFIG_URL, {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(RUNTIME_CONFIG_TIMEOUT)
+    })
+    // The dev server answers unknown paths with index.html
+    const isJson = response.headers.get('Content-Type')?.includes('json')
+    if (!response.ok || !isJson) {
+      localStorage.removeItem(RUNTIME_CONFIG_KEY)
+      return
+    }
+    const body = await response.json()
+    if (!body?.firebase) return
+    runtimeConfig = validateFirebaseConfig(body.firebase)
+    localStorage.setItem(RUNTIME_CONFIG_KEY, JSON.stringify(runtimeConfig))
+  } catch (error) {
+    runtimeConfig = loadCachedRuntimeConfig()
+    if (error instanceof FirebaseConfigError) {
+      console.error('Ignoring config.json:', error.message)
+    } else if (runtimeConfig) {
+      console.log('config.json unavailable, using the last copy:', error.message)
+    }
+  }
+}
+
+// The setup this deployment comes with (config.json or the build), or null
+export const getDeploymentSetup = () => {
+  if (runtimeConfig) return { source: 'runtime', config: runtimeConfig, emulatorHost: null }
+
+  const env = import.meta.env
+  if (env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+    return {
+      source: 'build',
+      config: EMULATOR_CONFIG,
+      emulatorHost: env.VITE_FIREBASE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST
+    }
+  }
+  const config = readEnvConfig()
+  return config ? { source: 'build', config, emulatorHost: null } : null
+}
+
+// The setup for the given sync settings, or null when Firebase has none
+export const getFirebaseSetup = (settings = getCloudSettings()) => {
+  if (settings.firebaseEmulatorHost) {
+    return { source: 'settings', config: EMULATOR_CONFIG, emulatorHost: settings.firebaseEmulatorHost }
+  }
+  if (settings.firebaseConfig) {
+    try {
+      return { source: 'settings', config: validateFirebaseConfig(settings.firebaseConfig), emulatorHost: null }
+    } catch (error) {
+      console.error('Ignoring the saved Firebase config:', error.message)
+    }
+  }
+  return getDeploymentSetup()
+}
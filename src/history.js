@@ -0,0 +1,146 @@
+// Version history for Life Goes On
+// Before a note's text or a file's name or content changes, the previous
+// state is kept as a version: in IndexedDB on this device and in the item's
+// versions subcollection so other devices can see and restore it too. File
+// versions keep pointing at their old bytes (local blob and cloud object),
+// which stay until the version is pruned. Pruning keeps at most
+// MAX_VERSIONS_PER_ITEM per item, nothing older than MAX_VERSION_AGE, and
+// file versions within a share of the browser's storage quota.
+
+import {
+  putVersion,
+  loadVersions,
+  getVersionSummaries,
+  deleteVersions
+} from './localRepository'
+import { saveVersionToCloud, loadVersionsFromCloud, deleteVersionFromCloud } from './cloud'
+
+const MAX_VERSIONS_PER_ITEM = 10
+const MAX_VERSION_AGE = 90 * 24 * 60 * 60 * 1000 // 90 days
+const MAX_HISTORY_QUOTA_SHARE = 0.1 // file versions may use 10% of the quota
+
+// What a version remembers, per item type
+const VERSION_FIELDS = {
+  note: ['content'],
+  file: ['name', 'contentId', 'contentHash', 'size', 'fileType', 'storagePath', 'chunkCount', 'thumbnailPath', 'data', 'blobEncrypted', 'isCloudStored']
+}
+
+const pickVersionFields = (item) => {
+  const fields = {}
+  for (const field of VERSION_FIELDS[item.type] || []) {
+    if (item[field] !== undefined) fields[field] = item[field]
+  }
+  return fields
+}
+
+// Bytes file versions may use, or null if the browser won't say
+const getHistoryBudget = async () => {
+  try {
+    const estimate = await navigator.storage?.estimate?.()
+    return estimate?.quota ? estimate.quota * MAX_HISTORY_QUOTA_SHARE : null
+  } catch {
+    return null
+  }
+}
+
+// Drop versions beyond the retention limits. With cloud, their cloud
+// copies (and file bytes nothing else uses) go too. Returns how many went.
+export const pruneHistory = async ({ cloud = false } = {}) => {
+  const summaries = await getVersionSummaries()
+  const now = Date.now()
+  const expired = new Set()
+  const countByItem = new Map()
+
+  for (const version of summaries) {
+    const count = (countByItem.get(version.itemId) || 0) + 1
+    countByItem.set(version.itemId, count)
+    if (count > MAX_VERSIONS_PER_ITEM || now - version.savedAt > MAX_VERSION_AGE) {
+      expired.add(version.versionId)
+    }
+  }
+
+  // Then the oldest file versions until the rest fit the budget
+  const budget = await getHistoryBudget()
+  if (budget !== null) {
+    let used = summaries
+      .filter(version => version.type === 'file' && !expired.has(version.versionId))
+      .reduce((total, version) => total + (version.size || 0), 0)
+
+    for (const version of [...summaries].reverse()) {
+      if (used <= budget) break
+      if (version.type !== 'file' || expired.has(version.versionId)) continue
+      expired.add(version.versionId)
+      used -= version.size || 0
+    }
+  }
+
+  if (expired.size === 0) return 0
+  console.log('=== PRUNING HISTORY ===', { versionCount: expired.size })
+
+  const stillReferenced = await deleteVersions([...expired])
+  if (cloud) {
+    for (const version of summaries.filter(summary => expired.has(summary.versionId))) {
+      try {
+        await deleteVersionFromCloud(version, { keepContent: stillReferenced.has(version.contentId) })
+      } catch (error) {
+        console.error('Error pruning cloud version:', version.versionId, error)
+      }
+    }
+  }
+  return expired.size
+}
+
+// Keep the item's current state as a version. With cloud, it is also
+// saved to the cloud; that write is best effort and not queued in the outbox.
+export const recordVersion = async (item, { cloud = false } = {}) => {
+  const version = {
+    versionId: crypto.randomUUID(),
+    itemId: item.id,
+    type: item.type,
+    savedAt: Date.now(),
+    ...pickVersionFields(item)
+  }
+
+  await putVersion(version)
+  if (cloud) {
+    saveVersionToCloud(version).catch(error =>
+      console.error('Error saving version to cloud:', error)
+    )
+  }
+  await pruneHistory({ cloud })
+  return version
+}
+
+// An item's versions from this device and (with cloud) every other one, newest first
+export const loadHistory = async (itemId, { cloud = false } = {}) => {
+  const localVersions = await loadVersions(itemId)
+  const versions = new Map(localVersions.map(version => [version.versionId, version]))
+
+  if (cloud) {
+    try {
+      const cloudVersions = await loadVersionsFromCloud(itemId)
+      cloudVersions.forEach(version => {
+        if (!versions.has(version.versionId)) versions.set(version.versionId, version)
+      })
+    } catch (error) {
+      console.error('Error loading cloud history:', error)
+    }
+  }
+
+  return [...versions.values()].sort((a, b) => b.savedAt - a.savedAt)
+}
+
+// The item as it was in `version`, stamped as a new change
+export const applyVersion = (item, version) => {
+  const restored = { ...item }
+  for (const field of VERSION_FIELDS[item.type] || []) {
+    if (version[field] === undefined) {
+      delete restored[field]
+    } else {
+      restored[field] = version[field]
+    }
+  }
+
+  const now = Date.now()
+  return { ...restored, updatedAt: now, editedAt: now }
+}
@@ -0,0 +1,211 @@
+// Image preparation on upload for Life Goes On
+// Photos often carry GPS coordinates and camera details in their metadata.
+// By default that metadata is stripped from JPEG and PNG uploads without
+// touching the pixels. Optionally, images are also scaled down to a
+// maximum dimension and/or re-encoded as WebP, which decodes and redraws
+// them (dropping all metadata too). Options are per device.
+
+const OPTIONS_KEY = 'lifeGoesOnImageOptions'
+
+export const MAX_DIMENSION_OPTIONS = [
+  { value: 0, label: 'Original size' },
+  { value: 4096, label: '4096 px' },
+  { value: 2560, label: '2560 px' },
+  { value: 1920, label: '1920 px' },
+  { value: 1280, label: '1280 px' }
+]
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  stripMetadata: true,
+  maxDimension: 0, // 0 keeps the original size
+  convertToWebp: false,
+  quality: 0.85
+}
+
+// Types the browser can decode and redraw; GIF would lose its animation
+const REDRAWABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+export const getImageOptions = () => {
+  try {
+    return { ...DEFAULT_IMAGE_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) }
+  } catch {
+    return { ...DEFAULT_IMAGE_OPTIONS }
+  }
+}
+
+export const saveImageOptions = (options) => {
+  localStorage.setItem(OPTIONS_KEY, JSON.stringify(options))
+}
+
+// Scale width x height to fit within maxEdge, never up
+export const fitWithin = (width, height, maxEdge) => {
+  const scale = maxEdge ? Math.min(1, maxEdge / Math.max(width, height)) : 1
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) }
+}
+
+// Draw an image source at the given size and encode it. Browsers that
+// can't encode the requested type return PNG instead.
+export const renderToBlob = async (source, width, height, { type, quality }) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(width, height)
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height)
+    return canvas.convertToBlob({ type, quality })
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(source, 0, 0, width, height)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => blob ? resolve(blob) : reject(new Error('Image could not be encoded')),
+      type,
+      quality
+    )
+  })
+}
+
+// JPEG: drop APP1 (EXIF, XMP), APP13 (IPTC) and comments, keeping the
+// ICC color profile. EXIF also holds the orientation, so a non-default
+// one is written back as a minimal EXIF block of its own.
+const JPEG_DROPPED_MARKERS = new Set([0xe1, 0xed, 0xfe])
+
+const readExifOrientation = (bytes, start, length) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, length)
+  // "Exif\0\0" then a TIFF header
+  if (length < 14 || view.getUint32(0) !== 0x45786966) return 1
+  const tiff = 6
+  const little = view.getUint16(tiff) === 0x4949
+  const ifd = tiff + view.getUint32(tiff + 4, little)
+  if (ifd + 2 > length) return 1
+  const count = view.getUint16(ifd, little)
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12
+    if (entry + 12 > length) return 1
+    if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little)
+  }
+  return 1
+}
+
+const orientationSegment = (orientation) => {
+  return new Uint8Array([
+    0xff, 0xe1, 0x00, 0x22, // APP1, length 34
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF, IFD at 8
+    0x00, 0x01, // one entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation, SHORT, count 1
+    0x00, orientation, 0x00, 0x00, // value
+    0x00, 0x00, 0x00, 0x00 // no next IFD
+  ])
+}
+
+const stripJpeg = (bytes) => {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null
+  const parts = [bytes.subarray(0, 2)]
+  let orientation = 1
+  let position = 2
+
+  while (position + 4 <= bytes.length) {
+    if (bytes[position] !== 0xff) return null
+    const marker = bytes[position + 1]
+    // Start of scan: the rest is image data
+    if (marker === 0xda) break
+    const length = (bytes[position + 2] << 8) | bytes[position + 3]
+    const end = position + 2 + length
+    if (length < 2 || end > bytes.length) return null
+
+    if (marker === 0xe1) {
+      const found = readExifOrientation(bytes, position + 4, length - 2)
+      if (found !== 1) orientation = found
+    }
+    if (!JPEG_DROPPED_MARKERS.has(marker)) parts.push(bytes.subarray(position, end))
+    position = end
+  }
+
+  if (orientation > 1 && orientation <= 8) {
+    // After the JFIF header if there is one, which must come first
+    const index = parts[1]?.[1] === 0xe0 ? 2 : 1
+    parts.splice(index, 0, orientationSegment(orientation))
+  }
+  parts.push(bytes.subarray(position))
+  return parts
+}
+
+// PNG: drop text, time and EXIF chunks; pixels and color chunks stay
+const PNG_DROPPED_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'])
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+const stripPng = (bytes) => {
+  if (!PNG_SIGNATURE.every((value, index) => bytes[index] === value)) return null
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const parts = [bytes.subarray(0, 8)]
+  let position = 8
+
+  while (position + 12 <= bytes.length) {
+    const length = view.getUint32(position)
+    const type = String.fromCharCode(...bytes.subarray(position + 4, position + 8))
+    const end = position + 12 + length
+    if (end > bytes.length) return null
+    if (!PNG_DROPPED_CHUNKS.has(type)) parts.push(bytes.subarray(position, end))
+    position = end
+    if (type === 'IEND') break
+  }
+  return parts
+}
+
+const replaceExtension = (name, extension) => {
+  const base = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name
+  return `${base}.${extension}`
+}
+
+// Redraw an image: scaled to fit maxDimension, as WebP or its own type
+const redraw = async (file, options) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  try {
+    const { width, height } = fitWithin(bitmap.width, bitmap.height, options.maxDimension)
+    const resized = width !== bitmap.width || height !== bitmap.height
+    if (!resized && !options.convertToWebp) return null
+
+    const type = options.convertToWebp ? 'image/webp' : file.type
+    const blob = await renderToBlob(bitmap, width, height, { type, quality: options.quality })
+    const name = blob.type === file.type ? file.name : replaceExtension(file.name, blob.type.split('/')[1])
+    return {
+      file: new File([blob], name, { type: blob.type, lastModified: file.lastModified }),
+      resized,
+      changes: [resized && `scaled to ${width}x${height}`, blob.type !== file.type && `converted to ${blob.type.split('/')[1].toUpperCase()}`].filter(Boolean)
+    }
+  } finally {
+    bitmap.close()
+  }
+}
+
+// Prepare an image for upload with the given options. Resolves to
+// { file, changes } where changes describes what was done (empty when the
+// file is used as is). Files that aren't images, or can't be read, pass
+// through unchanged.
+export const prepareImage = async (file, options) => {
+  if (!file.type.startsWith('image/')) return { file, changes: [] }
+
+  if (REDRAWABLE_TYPES.includes(file.type) && (options.maxDimension || options.convertToWebp)) {
+    try {
+      const redrawn = await redraw(file, options)
+      // A redraw that comes out bigger only pays off when it was scaled down
+      if (redrawn && (redrawn.file.size < file.size || redrawn.resized)) {
+        return { file: redrawn.file, changes: [...redrawn.changes, 'metadata removed'] }
+      }
+    } catch (error) {
+      console.log('Image left as is, could not redraw:', file.name, error.message)
+    }
+  }
+
+  if (options.stripMetadata && (file.type === 'image/jpeg' || file.type === 'image/png')) {
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    const parts = file.type === 'image/jpeg' ? stripJpeg(bytes) : stripPng(bytes)
+    if (parts) {
+      const stripped = new File(parts, file.name, { type: file.type, lastModified: file.lastModified })
+      if (stripped.size < file.size) return { file: stripped, changes: ['metadata removed'] }
+    }
+  }
+
+  return { file, changes: [] }
+}
@@ -0,0 +1,99 @@
+// File integrity checks for Life Goes On
+// Files carry the SHA-256 of their bytes as contentHash. Verifying reads
+// each file's local and cloud copies back, hashes them again and reports
+// copies that are missing, can't be decrypted or don't match. Files
+// stored before hashes existed are checked against each other instead.
+
+import { hashBlob, decryptBlob, dataUrlToBlob } from './crypto'
+import { getBlob } from './localRepository'
+import { downloadCloudContent } from './fileStore'
+
+// Outcome for one copy of a file
+export const COPY_STATUS = {
+  OK: 'ok',
+  NONE: 'none', // no copy expected here (not uploaded, or not cached on this device)
+  MISSING: 'missing',
+  UNREADABLE: 'unreadable', // present but can't be decrypted
+  MISMATCH: 'mismatch'
+}
+
+export const COPY_STATUS_LABELS = {
+  [COPY_STATUS.OK]: 'OK',
+  [COPY_STATUS.NONE]: 'Not stored here',
+  [COPY_STATUS.MISSING]: 'Missing',
+  [COPY_STATUS.UNREADABLE]: 'Cannot be decrypted',
+  [COPY_STATUS.MISMATCH]: 'Content changed'
+}
+
+const isProblem = (status) => status !== COPY_STATUS.OK && status !== COPY_STATUS.NONE
+
+export const hasProblem = (result) => isProblem(result.local) || isProblem(result.cloud)
+
+// Hash a stored copy; resolves to { status, hash }
+const hashCopy = async (load, encrypted, type) => {
+  let blob
+  try {
+    blob = await load()
+  } catch (error) {
+    console.log('Verify: copy not found:', error.message)
+    return { status: COPY_STATUS.MISSING }
+  }
+  if (!blob) return { status: COPY_STATUS.MISSING }
+
+  try {
+    const plain = encrypted ? await decryptBlob(blob, type) : blob
+    return { status: COPY_STATUS.OK, hash: await hashBlob(plain) }
+  } catch {
+    return { status: COPY_STATUS.UNREADABLE }
+  }
+}
+
+const checkLocal = async (item) => {
+  const stored = item.contentId ? await getBlob(item.contentId) : null
+  if (!stored) {
+    // Cloud files are only cached here once opened
+    return { status: item.isCloudStored ? COPY_STATUS.NONE : COPY_STATUS.MISSING }
+  }
+  return hashCopy(async () => stored.blob, stored.encrypted, item.fileType)
+}
+
+const checkCloud = async (item) => {
+  if (!item.isCloudStored) return { status: COPY_STATUS.NONE }
+  if (item.data?.startsWith('data:')) {
+    return hashCopy(() => dataUrlToBlob(item.data), false, item.fileType)
+  }
+  return hashCopy(() => downloadCloudContent(item), !!item.blobEncrypted, item.fileType)
+}
+
+// Check one file item. Resolves to { item, local, cloud, hash } where
+// local and cloud are COPY_STATUS values. For a file without a recorded
+// hash, `hash` is the one its copies agree on (if any), to record.
+export const verifyFile = async (item, { cloud = false } = {}) => {
+  const local = await checkLocal(item)
+  const remote = cloud ? await checkCloud(item) : { status: COPY_STATUS.NONE }
+
+  let expected = item.contentHash
+  if (!expected) {
+    // No recorded hash: the local copy is the reference if there is one
+    expected = local.hash || remote.hash
+  }
+
+  const judge = (copy) => copy.hash && copy.hash !== expected ? COPY_STATUS.MISMATCH : copy.status
+  return {
+    item,
+    local: judge(local),
+    cloud: judge(remote),
+    hash: item.contentHash ? null : expected || null
+  }
+}
+
+// Check every file item in turn; onProgress(index, total) before each
+export const verifyFiles = async (items, { cloud = false, onProgress } = {}) => {
+  const files = items.filter(item => item.type === 'file')
+  const results = []
+  for (const [index, item] of files.entries()) {
+    onProgress?.(index, files.length)
+    results.push(await verifyFile(item, { cloud }))
+  }
+  return results
+}
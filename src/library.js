@@ -0,0 +1,133 @@
+// Tags and folders for Life Goes On
+// Items carry `tags` (tag IDs) and `folderId`. The tags' names and colors
+// and the folder tree live in one library object per user:
+//   { tags: { [id]: { name, color, updatedAt } },
+//     folders: { [id]: { name, parentId, updatedAt } } }
+// It is stored encrypted, locally and on users/{uid}. Removed entries stay
+// as { deleted: true, updatedAt } so a device that still has them doesn't
+// bring them back; devices merge libraries entry by entry, newer wins.
+
+export const TAG_COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#06b6d4', '#8b5cf6', '#6b7280']
+export const MAX_LABEL_LENGTH = 50
+// dataTransfer type of an item card being dragged onto a folder or tag
+export const ITEM_DRAG_TYPE = 'application/x-lifegoeson-item'
+
+export const emptyLibrary = () => ({ tags: {}, folders: {} })
+
+const mergeEntries = (local = {}, remote = {}) => {
+  const merged = { ...local }
+  Object.entries(remote).forEach(([id, entry]) => {
+    if (!merged[id] || (entry.updatedAt || 0) > (merged[id].updatedAt || 0)) {
+      merged[id] = entry
+    }
+  })
+  return merged
+}
+
+// Combine two copies of a library, keeping the newer change to each entry
+export const mergeLibraries = (local, remote) => ({
+  tags: mergeEntries(local?.tags, remote?.tags),
+  folders: mergeEntries(local?.folders, remote?.folders)
+})
+
+export const sameLibrary = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+const liveEntries = (entries) => {
+  return Object.entries(entries)
+    .filter(([, entry]) => !entry.deleted)
+    .map(([id, entry]) => ({ ...entry, id }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export const getTags = (library) => liveEntries(library.tags)
+
+export const getFolders = (library) => liveEntries(library.folders)
+
+// Folders as a tree: [{ folder, children }]. A folder whose parent is
+// gone is shown at the top level.
+export const getFolderTree = (library) => {
+  const folders = getFolders(library)
+  const ids = new Set(folders.map(folder => folder.id))
+  const build = (parentId) => folders
+    .filter(folder => (ids.has(folder.parentId) ? folder.parentId : null) === parentId)
+    .map(folder => ({ folder, children: build(folder.id) }))
+  return build(null)
+}
+
+// A folder's ID and the IDs of every folder inside it
+export const getFolderIds = (library, folderId) => {
+  const ids = new Set([folderId])
+  const folders = getFolders(library)
+  let added = true
+  while (added) {
+    added = false
+    folders.forEach(folder => {
+      if (ids.has(folder.parentId) && !ids.has(folder.id)) {
+        ids.add(folder.id)
+        added = true
+      }
+    })
+  }
+  return ids
+}
+
+const withEntry = (library, kind, id, entry) => ({
+  ...library,
+  [kind]: { ...library[kind], [id]: { ...entry, updatedAt: Date.now() } }
+})
+
+const withoutEntries = (library, kind, ids) => {
+  const entries = { ...library[kind] }
+  ids.forEach(id => { entries[id] = { deleted: true, updatedAt: Date.now() } })
+  return { ...library, [kind]: entries }
+}
+
+export const addFolder = (library, id, name, parentId = null) => {
+  return withEntry(library, 'folders', id, { name, parentId })
+}
+
+export const renameFolder = (library, id, name) => {
+  return withEntry(library, 'folders', id, { ...library.folders[id], name })
+}
+
+// Find or add the nested folders `names` under parentId, reusing folders
+// of the same name. Returns { library, folderId } with the innermost ID;
+// createId makes the IDs of added folders.
+export const addFolderPath = (library, names, parentId, createId) => {
+  let next = library
+  let folderId = parentId
+  for (const rawName of names) {
+    const name = rawName.slice(0, MAX_LABEL_LENGTH)
+    const existing = getFolders(next).find(folder => folder.name === name && (folder.parentId ?? null) === folderId)
+    if (existing) {
+      folderId = existing.id
+    } else {
+      const id = createId()
+      next = addFolder(next, id, name, folderId)
+      folderId = id
+    }
+  }
+  return { library: next, folderId }
+}
+
+// Remove a folder and every folder inside it
+export const removeFolder = (library, id) => {
+  return withoutEntries(library, 'folders', getFolderIds(library, id))
+}
+
+export const addTag = (library, id, name, color) => {
+  return withEntry(library, 'tags', id, { name, color })
+}
+
+export const updateTag = (library, id, fields) => {
+  return withEntry(library, 'tags', id, { ...library.tags[id], ...fields })
+}
+
+export const removeTag = (library, id) => withoutEntries(library, 'tags', [id])
+
+// Tags of an item that still exist
+export const getItemTags = (item, library) => {
+  return (item.tags || [])
+    .filter(id => library.tags[id] && !library.tags[id].deleted)
+    .map(id => ({ ...library.tags[id], id }))
+}
@@ -0,0 +1,471 @@
+// Local item repository for Life Goes On
+// IndexedDB persistence for offline use. Items are written one at a time
+// (or in small batches) instead of clearing and rewriting the whole store,
+// and are encrypted with sealItem before they touch disk. File contents
+// live apart from item metadata in the blobs store, keyed by contentId.
+
+import { sealItem, openItems, encryptText, decryptText } from './crypto'
+
+const DB_NAME = 'LifeGoesOnDB'
+const DB_VERSION = 11
+const STORE_NAME = 'items'
+const BLOB_STORE_NAME = 'blobs'
+const OUTBOX_STORE_NAME = 'outbox'
+const CONFLICT_STORE_NAME = 'conflicts'
+const UPLOAD_STORE_NAME = 'uploads'
+const VERSION_STORE_NAME = 'versions'
+const SEARCH_STORE_NAME = 'searchIndex'
+const LIBRARY_STORE_NAME = 'library'
+const BACKUP_STORE_NAME = 'backups'
+const SETTINGS_STORE_NAME = 'settings'
+
+// Decode a data URL synchronously (usable inside an upgrade transaction)
+const dataUrlToBytes = (dataUrl) => {
+  const [header, payload] = dataUrl.split(',')
+  const binary = header.endsWith(';base64') ? atob(payload) : decodeURIComponent(payload)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+// Schema migrations, indexed by the version they upgrade to. Each runs
+// inside the versionchange transaction, so it must stay synchronous.
+const MIGRATIONS = {
+  1: (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+    }
+  },
+  2: (db, transaction) => {
+    const store = transaction.objectStore(STORE_NAME)
+    store.createIndex('createdAt', 'createdAt')
+    store.createIndex('type', 'type')
+    store.createIndex('important', 'important')
+
+    // Booleans aren't valid IndexedDB keys, so the important index needs 0/1
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+      cursor.update({ ...cursor.value, important: cursor.value.important ? 1 : 0 })
+      cursor.continue()
+    }
+  },
+  3: (db, transaction) => {
+    db.createObjectStore(BLOB_STORE_NAME, { keyPath: 'id' })
+    const items = transaction.objectStore(STORE_NAME)
+    const blobs = transaction.objectStore(BLOB_STORE_NAME)
+
+    // Move inline file payloads out of item records: encrypted bytes
+    // (dataEnc) as they are, plaintext data URLs from before encryption
+    // decoded and flagged so they are read back without decrypting
+    items.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+      const record = { ...cursor.value }
+      const hasDataUrl = typeof record.data === 'string' && record.data.startsWith('data:')
+
+      if (record.dataEnc || hasDataUrl) {
+        const contentId = crypto.randomUUID()
+        const type = record.fileType || 'application/octet-stream'
+        blobs.put({
+          id: contentId,
+          blob: record.dataEnc
+            ? new Blob([record.dataEnc], { type: 'application/octet-stream' })
+            : new Blob([dataUrlToBytes(record.data)], { type }),
+          encrypted: !!record.dataEnc,
+          createdAt: Date.now()
+        })
+        record.contentId = contentId
+        delete record.dataEnc
+        if (hasDataUrl) delete record.data
+        cursor.update(record)
+      }
+      cursor.continue()
+    }
+  },
+  4: (db) => {
+    // Pending cloud writes, at most one per item (the latest wins)
+    const outbox = db.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'itemId' })
+    outbox.createIndex('queuedAt', 'queuedAt')
+  },
+  5: (db) => {
+    // Sync conflicts awaiting a decision, one per item
+    db.createObjectStore(CONFLICT_STORE_NAME, { keyPath: 'itemId' })
+  },
+  6: (db) => {
+    // Chunked cloud uploads in progress, keyed by the content they send
+    db.createObjectStore(UPLOAD_STORE_NAME, { keyPath: 'contentId' })
+  },
+  7: (db) => {
+    // Earlier states of items (see history.js)
+    const versions = db.createObjectStore(VERSION_STORE_NAME, { keyPath: 'versionId' })
+    versions.createIndex('itemId', 'itemId')
+  },
+  8: (db) => {
+    // Encrypted per-item search postings (see searchIndex.js)
+    db.createObjectStore(SEARCH_STORE_NAME, { keyPath: 'itemId' })
+  },
+  9: (db, transaction) => {
+    // Tag and folder filters (see library.js); items without either
+    // simply aren't in these indexes
+    const store = transaction.objectStore(STORE_NAME)
+    store.createIndex('folderId', 'folderId')
+    store.createIndex('tags', 'tags', { multiEntry: true })
+    // Each user's encrypted tag and folder definitions
+    db.createObjectStore(LIBRARY_STORE_NAME, { keyPath: 'uid' })
+  },
+  10: (db) => {
+    // Automatic vault snapshots (see backups.js)
+    const backups = db.createObjectStore(BACKUP_STORE_NAME, { keyPath: 'backupId' })
+    backups.createIndex('uid', 'uid')
+    // Values localStorage can't hold, such as directory handles
+    db.createObjectStore(SETTINGS_STORE_NAME, { keyPath: 'key' })
+  },
+  11: (db, transaction) => {
+    // Which items and versions use a content, so deleting one can tell
+    // whether its bytes are still needed without reading every record
+    transaction.objectStore(STORE_NAME).createIndex('contentId', 'contentId')
+    transaction.objectStore(VERSION_STORE_NAME).createIndex('contentId', 'contentId')
+  }
+}
+
+let dbPromise = null
+
+// Open (once) and upgrade the database
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Another tab is upgrading: let it, and reopen on next use
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      resolve(db)
+    }
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result
+      const transaction = request.transaction
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        console.log('=== MIGRATING LOCAL DB ===', { version })
+        MIGRATIONS[version](db, transaction)
+      }
+    }
+  })
+
+  return dbPromise
+}
+
+const toRecord = async (item) => {
+  const record = await sealItem(item)
+  record.important = item.important ? 1 : 0
+  return record
+}
+
+const fromRecord = (record) => ({ ...record, important: record.important === 1 || record.important === true })
+
+// Run fn against one or more stores and resolve when the transaction commits.
+// fn gets one store per name, in order.
+const withStore = async (storeNames, mode, fn) => {
+  const db = await openDatabase()
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames]
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, mode)
+    const stores = names.map(name => transaction.objectStore(name))
+    let result
+    const request = fn(...stores)
+    if (request) {
+      request.onsuccess = () => { result = request.result }
+    }
+
+    transaction.oncomplete = () => resolve(result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// Insert or update a single item
+export const putItem = async (item) => {
+  // Encrypt before opening the transaction; it would auto-commit while awaiting
+  const record = await toRecord(item)
+  await withStore(STORE_NAME, 'readwrite', store => { store.put(record) })
+}
+
+// Insert or update several items in one transaction
+export const saveItemsToDB = async (items) => {
+  if (items.length === 0) return
+  console.log('=== SAVING TO LOCAL DB ===', { itemCount: items.length })
+
+  const records = await Promise.all(items.map(toRecord))
+  await withStore(STORE_NAME, 'readwrite', store => {
+    records.forEach(record => store.put(record))
+  })
+  console.log('=== LOCAL SAVE COMPLETE ===', { savedCount: records.length })
+}
+
+// Merge plain (unencrypted) metadata fields into a stored item without
+// decrypting it, e.g. the download URL once a queued upload lands.
+// fields can also be a function of the stored record, for fields that
+// depend on its current value.
+export const updateItemFields = async (id, fields) => {
+  await withStore(STORE_NAME, 'readwrite', store => {
+    store.get(id).onsuccess = (event) => {
+      const record = event.target.result
+      if (record) store.put({ ...record, ...(typeof fields === 'function' ? fields(record) : fields) })
+    }
+  })
+}
+
+// A content's thumbnail is stored next to it in the blobs store
+export const getThumbnailKey = (contentId) => `${contentId}.thumb`
+
+// Delete content and its thumbnail inside a blobs store transaction
+const deleteContent = (blobs, contentId) => {
+  blobs.delete(contentId)
+  blobs.delete(getThumbnailKey(contentId))
+}
+
+// Remove an item and its history, and their stored content unless another
+// item or version shares it (identical files share one content ID)
+export const deleteItemFromDB = async (id) => {
+  await withStore([STORE_NAME, BLOB_STORE_NAME, VERSION_STORE_NAME], 'readwrite', (store, blobs, versions) => {
+    store.get(id).onsuccess = (event) => {
+      const record = event.target.result
+      versions.index('itemId').getAll(id).onsuccess = (versionEvent) => {
+        const itemVersions = versionEvent.target.result
+        const contentIds = new Set([record, ...itemVersions].map(entry => entry?.contentId).filter(Boolean))
+
+        itemVersions.forEach(version => versions.delete(version.versionId))
+        store.delete(id)
+
+        // Requests run in order, so these counts no longer include the
+        // records deleted above
+        contentIds.forEach(contentId => {
+          store.index('contentId').count(contentId).onsuccess = (itemCount) => {
+            versions.index('contentId').count(contentId).onsuccess = (versionCount) => {
+              if (itemCount.target.result + versionCount.target.result === 0) deleteContent(blobs, contentId)
+            }
+          }
+        })
+      }
+    }
+  })
+}
+
+// Content IDs used by any stored item or version
+export const getReferencedContentIds = async () => {
+  const [records, allVersions] = await Promise.all([
+    withStore(STORE_NAME, 'readonly', store => store.getAll()),
+    withStore(VERSION_STORE_NAME, 'readonly', store => store.getAll())
+  ])
+  return new Set([...records, ...allVersions].map(entry => entry.contentId).filter(Boolean))
+}
+
+// All items, newest first
+export const loadItemsFromDB = async () => {
+  console.log('=== LOADING FROM LOCAL DB ===')
+  try {
+    const records = await withStore(STORE_NAME, 'readonly', store => store.getAll())
+    const items = (await openItems(records.map(fromRecord))).sort((a, b) =>
+      new Date(b.createdAt) - new Date(a.createdAt)
+    )
+    console.log('=== LOCAL LOAD COMPLETE ===', { loadedCount: items.length })
+    return items
+  } catch (error) {
+    console.error('=== LOCAL LOAD FAILED ===', error)
+    throw error
+  }
+}
+
+// Store file content. `encrypted` records whether blob holds ciphertext.
+export const putBlob = async (contentId, blob, encrypted) => {
+  await withStore(BLOB_STORE_NAME, 'readwrite', store => {
+    store.put({ id: contentId, blob, encrypted, createdAt: Date.now() })
+  })
+}
+
+// Stored content record ({ id, blob, encrypted }) or undefined
+export const getBlob = (contentId) => {
+  return withStore(BLOB_STORE_NAME, 'readonly', store => store.get(contentId))
+}
+
+// Outbox entries: { itemId, uid, op, record, queuedAt, attempts, nextAttemptAt, lastError }
+export const putOutboxEntry = async (entry) => {
+  await withStore(OUTBOX_STORE_NAME, 'readwrite', store => { store.put(entry) })
+}
+
+export const getOutboxEntry = (itemId) => {
+  return withStore(OUTBOX_STORE_NAME, 'readonly', store => store.get(itemId))
+}
+
+// All entries, oldest first
+export const getOutboxEntries = () => {
+  return withStore(OUTBOX_STORE_NAME, 'readonly', store => store.index('queuedAt').getAll())
+}
+
+// Remove an entry. With queuedAt, only if it wasn't replaced by a newer write meanwhile.
+export const deleteOutboxEntry = async (itemId, queuedAt = null) => {
+  await withStore(OUTBOX_STORE_NAME, 'readwrite', store => {
+    store.get(itemId).onsuccess = (event) => {
+      const entry = event.target.result
+      if (entry && (queuedAt === null || entry.queuedAt === queuedAt)) {
+        store.delete(itemId)
+      }
+    }
+  })
+}
+
+// Conflicts: { itemId, op, local, remote, detectedAt }, both versions sealed
+export const putConflict = async (conflict) => {
+  const [local, remote] = await Promise.all([toRecord(conflict.local), toRecord(conflict.remote)])
+  await withStore(CONFLICT_STORE_NAME, 'readwrite', store => {
+    store.put({ ...conflict, local, remote })
+  })
+}
+
+export const loadConflicts = async () => {
+  const records = await withStore(CONFLICT_STORE_NAME, 'readonly', store => store.getAll())
+  const conflicts = []
+  for (const record of records) {
+    const [local, remote] = await openItems([fromRecord(record.local), fromRecord(record.remote)])
+    if (local && remote) conflicts.push({ ...record, local, remote })
+  }
+  return conflicts
+}
+
+export const deleteConflict = async (itemId) => {
+  await withStore(CONFLICT_STORE_NAME, 'readwrite', store => { store.delete(itemId) })
+}
+
+// Uploads: { contentId, itemId, uid, size, chunkSize, chunkCount, uploadedChunks, status, error, createdAt }
+export const putUpload = async (upload) => {
+  await withStore(UPLOAD_STORE_NAME, 'readwrite', store => { store.put(upload) })
+}
+
+export const getUpload = (contentId) => {
+  return withStore(UPLOAD_STORE_NAME, 'readonly', store => store.get(contentId))
+}
+
+export const getUploads = () => {
+  return withStore(UPLOAD_STORE_NAME, 'readonly', store => store.getAll())
+}
+
+export const deleteUpload = async (contentId) => {
+  await withStore(UPLOAD_STORE_NAME, 'readwrite', store => { store.delete(contentId) })
+}
+
+// Versions: { versionId, itemId, type, savedAt, ...the item's fields at the time }, sealed
+export const putVersion = async (version) => {
+  const record = await sealItem(version)
+  await withStore(VERSION_STORE_NAME, 'readwrite', store => { store.put(record) })
+}
+
+// An item's versions, newest first
+export const loadVersions = async (itemId) => {
+  const records = await withStore(VERSION_STORE_NAME, 'readonly', store => store.index('itemId').getAll(itemId))
+  return (await openItems(records)).sort((a, b) => b.savedAt - a.savedAt)
+}
+
+// Every version's plaintext bookkeeping, newest first, without decrypting
+export const getVersionSummaries = async () => {
+  const records = await withStore(VERSION_STORE_NAME, 'readonly', store => store.getAll())
+  return records
+    .map(({ versionId, itemId, type, savedAt, size, contentId, storagePath, chunkCount, thumbnailPath, isCloudStored }) =>
+      ({ versionId, itemId, type, savedAt, size, contentId, storagePath, chunkCount, thumbnailPath, isCloudStored }))
+    .sort((a, b) => b.savedAt - a.savedAt)
+}
+
+// Remove versions, and their content unless an item or another version still uses it.
+// Resolves to the content IDs that are still referenced.
+export const deleteVersions = async (versionIds) => {
+  const removing = new Set(versionIds)
+  const referenced = new Set()
+
+  await withStore([VERSION_STORE_NAME, STORE_NAME, BLOB_STORE_NAME], 'readwrite', (versions, items, blobs) => {
+    items.getAll().onsuccess = (event) => {
+      event.target.result.forEach(record => record.contentId && referenced.add(record.contentId))
+
+      versions.getAll().onsuccess = (versionEvent) => {
+        const all = versionEvent.target.result
+        all
+          .filter(version => !removing.has(version.versionId) && version.contentId)
+          .forEach(version => referenced.add(version.contentId))
+        all
+          .filter(version => removing.has(version.versionId))
+          .forEach(version => {
+            versions.delete(version.versionId)
+            if (version.contentId && !referenced.has(version.contentId)) {
+              deleteContent(blobs, version.contentId)
+            }
+          })
+      }
+    }
+  })
+
+  return referenced
+}
+
+// Search entries: { itemId, data } where data is the encrypted posting list
+export const putSearchEntry = async (entry) => {
+  await withStore(SEARCH_STORE_NAME, 'readwrite', store => { store.put(entry) })
+}
+
+export const getSearchEntries = () => {
+  return withStore(SEARCH_STORE_NAME, 'readonly', store => store.getAll())
+}
+
+export const deleteSearchEntry = async (itemId) => {
+  await withStore(SEARCH_STORE_NAME, 'readwrite', store => { store.delete(itemId) })
+}
+
+// A user's tag and folder definitions, encrypted
+export const putLibrary = async (uid, library) => {
+  const data = await encryptText(JSON.stringify(library))
+  await withStore(LIBRARY_STORE_NAME, 'readwrite', store => { store.put({ uid, data }) })
+}
+
+// The saved library, or null if there is none (or it can't be read)
+export const loadLibrary = async (uid) => {
+  const record = await withStore(LIBRARY_STORE_NAME, 'readonly', store => store.get(uid))
+  if (!record) return null
+  try {
+    return JSON.parse(await decryptText(record.data))
+  } catch (error) {
+    console.error('Error reading library:', error)
+    return null
+  }
+}
+
+// Backups: { backupId, uid, createdAt, size, itemCount, encrypted, blob }
+export const putBackup = async (backup) => {
+  await withStore(BACKUP_STORE_NAME, 'readwrite', store => { store.put(backup) })
+}
+
+export const getBackups = (uid) => {
+  return withStore(BACKUP_STORE_NAME, 'readonly', store => store.index('uid').getAll(uid))
+}
+
+export const deleteBackupRecord = async (backupId) => {
+  await withStore(BACKUP_STORE_NAME, 'readwrite', store => { store.delete(backupId) })
+}
+
+export const putSetting = async (key, value) => {
+  await withStore(SETTINGS_STORE_NAME, 'readwrite', store => { store.put({ key, value }) })
+}
+
+export const getSetting = async (key) => {
+  const record = await withStore(SETTINGS_STORE_NAME, 'readonly', store => store.get(key))
+  return record?.value
+}
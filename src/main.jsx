@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './pwa'
+import { loadRuntimeConfig } from './firebaseConfig'
+import { initializeFirebase } from './firebase'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// The Firebase project may come from config.json, so it starts first
+loadRuntimeConfig().then(() => {
+  initializeFirebase()
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
+
+registerServiceWorker()
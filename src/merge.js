@@ -0,0 +1,172 @@
+// Two-way merge between local and cloud items for Life Goes On
+//
+// Every item carries `updatedAt` (when it last changed, on any device) and,
+// once it has been through the cloud, `syncedAt` (the cloud `updatedAt` of
+// the version this device last agreed with). Comparing both against
+// syncedAt tells us which side changed since the last sync:
+//
+//   local changed | cloud changed | result
+//   --------------|---------------|-------------------------------
+//   no            | no            | unchanged
+//   no            | yes           | take the cloud version
+//   yes           | no            | keep local, upload it
+//   yes           | yes           | conflict: keep both, ask the user
+//
+// Cloud deletes are tombstones ({ id, deleted: true, updatedAt }) so other
+// devices can tell "deleted elsewhere" from "never uploaded".
+
+// Version this device last agreed on with the cloud. Items synced before
+// syncedAt existed fall back to their cloud-stamped updatedAt.
+export const getSyncBase = (item) => item.syncedAt ?? (item.isCloudStored ? item.updatedAt : undefined)
+
+const hasLocalChanges = (item) => {
+  const base = getSyncBase(item)
+  if (base === undefined) return true
+  return (item.updatedAt || 0) > base
+}
+
+export const isTombstone = (item) => item?.deleted === true
+
+// Raised by a cloud provider when the cloud holds a version of an item
+// this device hasn't seen; remoteRecord is the cloud's (sealed) copy
+export class SyncConflictError extends Error {
+  constructor(remoteRecord) {
+    super('Item was changed on another device')
+    this.name = 'SyncConflictError'
+    this.remoteRecord = remoteRecord
+  }
+}
+
+// Fields the user can change; if both sides agree on these there is no conflict
+const CONTENT_FIELDS = ['content', 'name', 'important', 'contentId', 'deletedAt', 'folderId', 'tags']
+
+// Tags are an array; compare them by value, ignoring order
+const sameValue = (a, b) => Array.isArray(a) || Array.isArray(b)
+  ? JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort())
+  : (a ?? null) === (b ?? null)
+
+const sameContent = (a, b) => CONTENT_FIELDS.every(field => sameValue(a[field], b[field]))
+
+// Cloud version as it should be stored locally
+export const fromCloud = (remote) => ({ ...remote, syncedAt: remote.updatedAt })
+
+// Merge local items with the cloud's records (tombstones included).
+// pendingIds: items with a queued cloud write; the outbox owns those and
+// checks for conflicts when it sends them, so the local copy stays as is.
+// partial: remoteItems are only some of the cloud's records (a page, or
+// what changed since the last sync), so a local item without a record
+// says nothing and is kept as is; see settleUnseenItems.
+//
+// Returns { items, changed, removedIds, toUpload, conflicts }:
+//   items      the merged list, newest first
+//   changed    items whose local copy must be rewritten
+//   removedIds items to delete locally
+//   toUpload   local items the cloud hasn't got yet
+//   conflicts  [{ itemId, local, remote }] needing a decision
+export const mergeItems = (localItems, remoteItems, pendingIds = new Set(), { partial = false } = {}) => {
+  const remoteById = new Map(remoteItems.map(item => [item.id, item]))
+  const items = []
+  const changed = []
+  const removedIds = []
+  const toUpload = []
+  const conflicts = []
+
+  for (const local of localItems) {
+    const remote = remoteById.get(local.id)
+    remoteById.delete(local.id)
+
+    if (pendingIds.has(local.id)) {
+      items.push(local)
+      continue
+    }
+
+    const localChanged = hasLocalChanges(local)
+
+    if (!remote && partial) {
+      items.push(local)
+      continue
+    }
+
+    if (!remote) {
+      if (getSyncBase(local) === undefined) {
+        // Created here and never uploaded
+        items.push(local)
+        toUpload.push(local)
+      } else {
+        // Was in the cloud and is gone without a tombstone
+        removedIds.push(local.id)
+      }
+      continue
+    }
+
+    const remoteChanged = (remote.updatedAt || 0) > (getSyncBase(local) ?? 0)
+
+    if (!localChanged && !remoteChanged) {
+      items.push(local)
+    } else if (!localChanged) {
+      if (isTombstone(remote)) {
+        removedIds.push(local.id)
+      } else {
+        const merged = fromCloud(remote)
+        items.push(merged)
+        changed.push(merged)
+      }
+    } else if (!remoteChanged) {
+      items.push(local)
+      toUpload.push(local)
+    } else if (!isTombstone(remote) && sameContent(local, remote)) {
+      // Both sides made the same change
+      const merged = fromCloud(remote)
+      items.push(merged)
+      changed.push(merged)
+    } else {
+      // True conflict: the local version stays visible until the user decides
+      items.push(local)
+      conflicts.push({ itemId: local.id, op: 'put', local, remote })
+    }
+  }
+
+  // Cloud items this device has never seen
+  for (const remote of remoteById.values()) {
+    if (isTombstone(remote)) continue
+    const merged = fromCloud(remote)
+    items.push(merged)
+    changed.push(merged)
+  }
+
+  items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  return { items, changed, removedIds, toUpload, conflicts }
+}
+
+// After loading the cloud in parts (partial merges): what to do with local
+// items the cloud sent nothing for. Ones never uploaded or changed here go
+// up. If the load was complete, synced ones are gone from the cloud
+// without a tombstone; otherwise they simply didn't change there.
+// Returns { removedIds, toUpload }.
+export const settleUnseenItems = (localItems, seenIds, pendingIds = new Set(), { complete }) => {
+  const removedIds = []
+  const toUpload = []
+
+  for (const local of localItems) {
+    if (seenIds.has(local.id) || pendingIds.has(local.id)) continue
+    if (getSyncBase(local) === undefined || (!complete && hasLocalChanges(local))) {
+      toUpload.push(local)
+    } else if (complete) {
+      removedIds.push(local.id)
+    }
+  }
+  return { removedIds, toUpload }
+}
+
+// Apply merged changes to a list of items (e.g. React state) without
+// rebuilding it from a snapshot: changed items replace or join it,
+// removed ones leave. Newest first.
+export const applyItemChanges = (items, changed, removedIds = []) => {
+  if (changed.length === 0 && removedIds.length === 0) return items
+  const changedById = new Map(changed.map(item => [item.id, item]))
+  const removed = new Set(removedIds)
+  const next = items
+    .filter(item => !removed.has(item.id) && !changedById.has(item.id))
+    .concat(changed.filter(item => !removed.has(item.id)))
+  return next.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+}
@@ -0,0 +1,310 @@
+// Offline write queue for Life Goes On
+// Every cloud create, update and delete is recorded in the IndexedDB outbox
+// first and then replayed to the cloud (cloud.js). Failed writes stay
+// queued and are retried with exponential backoff, when the browser comes
+// back online, or when the cloud reconnects, so changes made offline are
+// never lost.
+// A write the cloud rejects as conflicting is handed to onConflict instead.
+// A file's bytes upload separately (uploads.js); its put waits until they're in.
+// Writes stuck offline also ask for a background sync (pwa.js), so the
+// browser can flush them once it's back online.
+
+import {
+  saveItemToCloud,
+  deleteItemFromCloud,
+  watchCloudConnection,
+  SyncConflictError
+} from './cloud'
+import { sealItem, openItem } from './crypto'
+import { ensureUpload, getUploadJob, finishUpload } from './uploads'
+import { uploadLocalThumbnail } from './fileStore'
+import { requestOutboxSync } from './pwa'
+import {
+  putOutboxEntry,
+  getOutboxEntry,
+  getOutboxEntries,
+  deleteOutboxEntry,
+  getReferencedContentIds
+} from './localRepository'
+
+const BASE_RETRY_DELAY = 2000 // 2 seconds
+const MAX_RETRY_DELAY = 5 * 60 * 1000 // 5 minutes
+
+// Fields the cloud assigns when a write lands (download URL and friends)
+const CLOUD_FIELDS = ['data', 'storagePath', 'chunkCount', 'thumbnailPath', 'isCloudStored', 'blobEncrypted', 'updatedAt', 'syncedAt']
+
+let activeUid = null
+let landedVersions = new Map() // itemId -> syncedAt of this device's last write
+let onSynced = null
+let onConflict = null
+let onPendingChange = null
+let flushPromise = null
+let retryTimer = null
+
+// Exponential backoff with jitter so many tabs don't retry in lockstep
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY)
+  return delay / 2 + Math.random() * delay / 2
+}
+
+const pickCloudFields = (item) => {
+  const fields = {}
+  CLOUD_FIELDS.forEach(field => {
+    if (item[field] !== undefined) fields[field] = item[field]
+  })
+  return fields
+}
+
+const getUserEntries = async () => {
+  const entries = await getOutboxEntries()
+  return entries.filter(entry => entry.uid === activeUid)
+}
+
+const reportPendingCount = async () => {
+  if (!onPendingChange || !activeUid) return
+  const entries = await getUserEntries()
+  onPendingChange(entries.length)
+}
+
+// The cloud version a write is based on: the item's, unless this
+// device's own write landed since the item was read
+const withLatestBase = (item) => {
+  const landed = landedVersions.get(item.id)
+  return landed > (item.syncedAt ?? 0) ? { ...item, syncedAt: landed } : item
+}
+
+// Record a cloud write. op is 'put' or 'delete'; a newer write for the
+// same item replaces an older one that hasn't been sent yet.
+export const queueCloudWrite = async (op, item) => {
+  if (!activeUid) return
+
+  const previous = await getOutboxEntry(item.id)
+  const entry = {
+    itemId: item.id,
+    uid: activeUid,
+    op,
+    // Item data is encrypted at rest like everything else
+    record: await sealItem(withLatestBase(item)),
+    queuedAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    // A put that never reached the cloud still needs its bytes uploaded
+    needsUpload: op === 'put' && item.type === 'file' &&
+      (!item.isCloudStored || !!previous?.needsUpload)
+  }
+
+  await putOutboxEntry(entry)
+  await reportPendingCount()
+  flushOutbox()
+}
+
+// getReferenced() resolves to the content IDs still used locally; one set
+// serves every delete in a pass (emptying the trash queues many)
+const sendEntry = async (entry, getReferenced) => {
+  const item = await openItem(entry.record)
+
+  if (entry.op === 'delete') {
+    // Identical files share content; keep what other items still use
+    await deleteItemFromCloud(item, { keepContentIds: await getReferenced() })
+    return null
+  }
+
+  let upload = null
+  if (entry.needsUpload && item.contentId) {
+    upload = await getUploadJob(item.contentId)
+    if (upload?.status !== 'done') throw new Error('File upload has not finished')
+  }
+
+  // New content takes its thumbnail along
+  if (upload) {
+    const thumbnailPath = await uploadLocalThumbnail(item.contentId)
+    if (thumbnailPath) item.thumbnailPath = thumbnailPath
+    else delete item.thumbnailPath
+  }
+
+  const saved = await saveItemToCloud(item, upload ? { chunkCount: upload.chunkCount } : {})
+  if (!saved) throw new Error('Cloud is not available')
+  if (upload) await finishUpload(item.contentId)
+  return saved
+}
+
+// A write for the item queued while the previous one was in flight is
+// based on the cloud version before that one; move it onto the version
+// just written, or the cloud would take it for a conflict with this
+// device's own write
+const rebaseQueuedWrite = async (itemId, syncedAt) => {
+  landedVersions.set(itemId, syncedAt)
+  const queued = await getOutboxEntry(itemId)
+  if (!queued) return
+  const record = await sealItem(withLatestBase(await openItem(queued.record)))
+  // Unless an even newer write replaced it meanwhile
+  if ((await getOutboxEntry(itemId))?.queuedAt !== queued.queuedAt) return
+  await putOutboxEntry({ ...queued, record })
+}
+
+// Puts of new file content wait for their upload, which this starts (or
+// resumes) if needed. The upload's completion flushes the outbox again.
+const isWaitingForUpload = async (entry) => {
+  if (!entry.needsUpload || !entry.record.contentId) return false
+  try {
+    const upload = await ensureUpload(entry.record.contentId, entry.itemId)
+    return upload.status !== 'done'
+  } catch (error) {
+    // Let sendEntry fail and back off like any other write
+    console.error('Could not start upload:', entry.itemId, error)
+    return false
+  }
+}
+
+const scheduleRetry = (entries) => {
+  clearTimeout(retryTimer)
+  retryTimer = null
+  if (entries.length === 0) return
+
+  const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt))
+  retryTimer = setTimeout(() => flushOutbox(), Math.max(nextAttemptAt - Date.now(), 0))
+}
+
+const runFlush = async () => {
+  // Entries can be queued while we work, so keep going until none are due
+  for (;;) {
+    if (!navigator.onLine) {
+      scheduleRetry([])
+      if ((await getUserEntries()).length > 0) requestOutboxSync()
+      return
+    }
+
+    const ready = []
+    for (const entry of await getUserEntries()) {
+      if (!(await isWaitingForUpload(entry))) ready.push(entry)
+    }
+    const due = ready.filter(entry => entry.nextAttemptAt <= Date.now())
+
+    if (due.length === 0) {
+      scheduleRetry(ready)
+      return
+    }
+
+    let referenced = null
+    const getReferenced = () => {
+      referenced ??= getReferencedContentIds()
+      return referenced
+    }
+
+    for (const entry of due) {
+      if (!activeUid || entry.uid !== activeUid) return
+
+      try {
+        const saved = await sendEntry(entry, getReferenced)
+        // Items added meanwhile may share content; read the set again
+        if (entry.op === 'put') referenced = null
+        await deleteOutboxEntry(entry.itemId, entry.queuedAt)
+        if (saved) await rebaseQueuedWrite(entry.itemId, saved.syncedAt)
+        console.log('Outbox replayed:', entry.op, entry.itemId)
+        onSynced?.(entry.op, entry.itemId, saved ? pickCloudFields(saved) : {})
+      } catch (error) {
+        if (error instanceof SyncConflictError) {
+          console.log('Outbox write conflicts with cloud version:', entry.op, entry.itemId)
+          await deleteOutboxEntry(entry.itemId, entry.queuedAt)
+          try {
+            const [local, remote] = await Promise.all([openItem(entry.record), openItem(error.remoteRecord)])
+            onConflict?.({ itemId: entry.itemId, op: entry.op, local, remote })
+          } catch (openError) {
+            console.error('Could not open conflicting versions:', entry.itemId, openError)
+          }
+          await reportPendingCount()
+          continue
+        }
+
+        const attempts = entry.attempts + 1
+        console.error('Outbox write failed, will retry:', entry.op, entry.itemId, error)
+        requestOutboxSync()
+
+        // Don't clobber a newer write queued while this one was in flight
+        const current = await getOutboxEntry(entry.itemId)
+        if (current?.queuedAt === entry.queuedAt) {
+          await putOutboxEntry({
+            ...entry,
+            attempts,
+            nextAttemptAt: Date.now() + getRetryDelay(attempts),
+            lastError: error.message || String(error)
+          })
+        }
+      }
+      await reportPendingCount()
+    }
+  }
+}
+
+// Replay due entries now. Concurrent calls share the same run.
+export const flushOutbox = () => {
+  if (!activeUid) return Promise.resolve()
+  if (!flushPromise) {
+    flushPromise = runFlush()
+      .catch(error => console.error('Outbox flush error:', error))
+      .finally(() => { flushPromise = null })
+  }
+  return flushPromise
+}
+
+// Make every entry due now
+const resetBackoff = async () => {
+  const entries = await getUserEntries()
+  for (const entry of entries) {
+    if (entry.nextAttemptAt > Date.now()) {
+      await putOutboxEntry({ ...entry, nextAttemptAt: 0 })
+    }
+  }
+  flushOutbox()
+}
+
+// Retry everything immediately, ignoring backoff (e.g. after reconnecting).
+// Called from event handlers, so failures are logged here.
+const retryAllNow = () => {
+  resetBackoff().catch(error => console.error('Outbox retry error:', error))
+}
+
+// IDs of items with a write still waiting to reach the cloud
+export const getPendingItemIds = async () => {
+  if (!activeUid) return new Set()
+  const entries = await getUserEntries()
+  return new Set(entries.map(entry => entry.itemId))
+}
+
+// Start replaying the signed-in user's outbox. onSynced(op, itemId, cloudFields)
+// fires as each write lands; onConflict({ itemId, op, local, remote }) when
+// the cloud has a newer version; onPendingChange(count) whenever the queue
+// changes. Returns a stop function.
+export const startOutbox = ({
+  uid,
+  onSynced: syncedCallback,
+  onConflict: conflictCallback,
+  onPendingChange: pendingCallback
+}) => {
+  activeUid = uid
+  onSynced = syncedCallback
+  onConflict = conflictCallback
+  onPendingChange = pendingCallback
+
+  const handleOnline = () => retryAllNow()
+  window.addEventListener('online', handleOnline)
+  const stopWatching = watchCloudConnection((connected) => {
+    if (connected) retryAllNow()
+  })
+
+  reportPendingCount()
+  flushOutbox()
+
+  return () => {
+    window.removeEventListener('online', handleOnline)
+    stopWatching()
+    clearTimeout(retryTimer)
+    retryTimer = null
+    activeUid = null
+    landedVersions = new Map()
+    onSynced = null
+    onConflict = null
+    onPendingChange = null
+  }
+}
@@ -0,0 +1,91 @@
+// Installable app support for Life Goes On
+// Registers the service worker (src/sw.js, production builds only), asks
+// it for a background sync when writes are stuck offline, answers its
+// requests to flush the outbox, and picks up what other apps shared.
+// Cache names and message types are shared with src/sw.js.
+
+const DOWNLOAD_CACHE = 'cloud-downloads'
+const SHARE_CACHE = 'share-target'
+const OUTBOX_SYNC_TAG = 'outbox'
+const SHARED_PARAM = 'shared'
+
+export const registerServiceWorker = () => {
+  // The dev server has no built app shell to cache
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => console.log('Service worker registered'))
+      .catch(error => console.error('Service worker registration failed:', error))
+  })
+}
+
+// Have the browser wake the app up to flush the outbox once it's back
+// online. Browsers without background sync rely on the outbox's own
+// online listener.
+export const requestOutboxSync = async () => {
+  if (!('serviceWorker' in navigator)) return
+  try {
+    const registration = await navigator.serviceWorker.getRegistration()
+    await registration?.sync?.register(OUTBOX_SYNC_TAG)
+  } catch (error) {
+    console.log('Background sync not available:', error.message)
+  }
+}
+
+// Answer the service worker's background sync. onFlushOutbox() resolves
+// to true once nothing is left to send. Returns a stop function.
+export const handleServiceWorkerMessages = ({ onFlushOutbox }) => {
+  if (!('serviceWorker' in navigator)) return () => {}
+
+  const handleMessage = async (event) => {
+    if (event.data?.type !== 'flush-outbox') return
+    let flushed = false
+    try {
+      flushed = await onFlushOutbox()
+    } catch (error) {
+      console.error('Background sync flush error:', error)
+    }
+    event.ports[0]?.postMessage({ flushed })
+  }
+
+  navigator.serviceWorker.addEventListener('message', handleMessage)
+  navigator.serviceWorker.startMessages()
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage)
+}
+
+// Downloaded cloud files kept for offline use; cleared on sign-out
+export const clearCachedDownloads = async () => {
+  if (typeof caches === 'undefined') return
+  await caches.delete(DOWNLOAD_CACHE)
+}
+
+// The service worker opens the app with ?shared=1 after another app shares
+export const hasSharedContent = () => new URLSearchParams(window.location.search).has(SHARED_PARAM)
+
+// What other apps shared, parked by the service worker. Resolves to
+// { files, text } like a paste; it's removed once taken.
+export const takeSharedContent = async () => {
+  // Drop the marker first so a reload doesn't look again
+  const params = new URLSearchParams(window.location.search)
+  params.delete(SHARED_PARAM)
+  const search = params.toString()
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`)
+
+  const files = []
+  const texts = []
+  if (typeof caches === 'undefined') return { files, text: '' }
+
+  const cache = await caches.open(SHARE_CACHE)
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request)
+    if (new URL(request.url).pathname.startsWith('/share-target/file/')) {
+      const blob = await response.blob()
+      const name = decodeURIComponent(response.headers.get('X-File-Name') || 'Shared file')
+      files.push({ file: new File([blob], name, { type: blob.type }), folders: [] })
+    } else {
+      texts.push(await response.text())
+    }
+    await cache.delete(request)
+  }
+  return { files, text: texts.join('\n\n') }
+}
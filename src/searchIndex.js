@@ -0,0 +1,271 @@
+// Full-text search for Life Goes On
+// Each item's words (note content, file name and, for text-like files, the
+// extracted text) become a small posting list { term: [positions] }. It is
+// saved encrypted in IndexedDB, one record per item, so the index updates
+// one item at a time and never sits on disk as plaintext. On unlock the
+// records are loaded into an in-memory inverted index (term -> item IDs)
+// that queries run against.
+//
+// Query syntax: words match as prefixes ("inv" finds "invoice"), "quoted
+// phrases" match whole consecutive words, and every part must match.
+
+import { encryptText, decryptText } from './crypto'
+import { putSearchEntry, getSearchEntries, deleteSearchEntry } from './localRepository'
+import { extractText, canExtractText } from './textExtract'
+
+// Bump when tokenizing changes so old entries are rebuilt
+const INDEX_VERSION = 1
+// Gap between fields so phrases don't match across them
+const FIELD_GAP = 100
+
+// itemId -> { signature, textExtracted, terms: { term: [positions] }, text }
+const documents = new Map()
+// term -> Set of itemIds
+const postings = new Map()
+let indexQueue = Promise.resolve()
+// Counts changes to the in-memory index, so searches know when to rerun
+let revision = 0
+// The last search, reused while the query and revision stay the same
+let lastSearch = null
+
+const normalize = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+
+// Words of a text with their offsets, for indexing and highlighting
+export const tokenize = (text) => {
+  const tokens = []
+  for (const match of (text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    tokens.push({ term: normalize(match[0]), start: match.index, end: match.index + match[0].length })
+  }
+  return tokens
+}
+
+// What the entry was built from; a different signature means reindex
+const getSignature = (item) => JSON.stringify([INDEX_VERSION, item.content || '', item.name || '', item.contentId || ''])
+
+const addPostings = (itemId, terms) => {
+  Object.keys(terms).forEach(term => {
+    if (!postings.has(term)) postings.set(term, new Set())
+    postings.get(term).add(itemId)
+  })
+}
+
+const removePostings = (itemId) => {
+  const document = documents.get(itemId)
+  if (!document) return
+  Object.keys(document.terms).forEach(term => {
+    const ids = postings.get(term)
+    ids?.delete(itemId)
+    if (ids?.size === 0) postings.delete(term)
+  })
+}
+
+const buildTerms = (fields) => {
+  const terms = {}
+  let offset = 0
+  for (const field of fields) {
+    const tokens = tokenize(field)
+    tokens.forEach((token, index) => {
+      if (!terms[token.term]) terms[token.term] = []
+      terms[token.term].push(offset + index)
+    })
+    offset += tokens.length + FIELD_GAP
+  }
+  return terms
+}
+
+const setDocument = (itemId, document) => {
+  revision++
+  removePostings(itemId)
+  documents.set(itemId, document)
+  addPostings(itemId, document.terms)
+}
+
+// Load this user's saved entries into memory (after the vault is unlocked)
+export const loadSearchIndex = async () => {
+  clearSearchIndex()
+  const entries = await getSearchEntries()
+  for (const entry of entries) {
+    try {
+      setDocument(entry.itemId, JSON.parse(await decryptText(entry.data)))
+    } catch {
+      // Another user's entry or a damaged one; it is rebuilt if needed
+    }
+  }
+  console.log('=== SEARCH INDEX LOADED ===', { itemCount: documents.size })
+}
+
+// Forget the in-memory index (on sign-out)
+export const clearSearchIndex = () => {
+  revision++
+  documents.clear()
+  postings.clear()
+}
+
+const indexItem = async (item, loadLocalBlob) => {
+  let text = ''
+  let textExtracted = true
+
+  if (item.type === 'file' && canExtractText(item.fileType)) {
+    // Only content already on this device; files that live only in the
+    // cloud are indexed by name until they're downloaded
+    const blob = await loadLocalBlob(item).catch(() => null)
+    if (blob) {
+      text = (await extractText(blob, item.fileType).catch(() => null)) || ''
+    } else {
+      textExtracted = false
+    }
+  }
+
+  const document = {
+    signature: getSignature(item),
+    textExtracted,
+    terms: buildTerms([item.name, item.content, text]),
+    text
+  }
+  setDocument(item.id, document)
+  await putSearchEntry({ itemId: item.id, data: await encryptText(JSON.stringify(document)) })
+}
+
+const removeItem = async (itemId) => {
+  revision++
+  removePostings(itemId)
+  documents.delete(itemId)
+  await deleteSearchEntry(itemId)
+}
+
+// Bring the index in line with the current items: index new and changed
+// ones, retry text for files that have since been downloaded, and drop
+// removed ones. Runs one sync at a time. Resolves to the index revision
+// afterwards (see searchItems).
+export const syncSearchIndex = (items, loadLocalBlob) => {
+  const run = async () => {
+    const ids = new Set(items.map(item => item.id))
+
+    for (const item of items) {
+      const document = documents.get(item.id)
+      const stale = !document || document.signature !== getSignature(item)
+      const retryText = document && !document.textExtracted
+      if (!stale && !retryText) continue
+
+      try {
+        if (stale || await loadLocalBlob(item).catch(() => null)) {
+          await indexItem(item, loadLocalBlob)
+        }
+      } catch (error) {
+        console.error('Search indexing failed:', item.id, error)
+      }
+    }
+
+    for (const itemId of [...documents.keys()]) {
+      if (!ids.has(itemId)) await removeItem(itemId)
+    }
+
+    return revision
+  }
+
+  indexQueue = indexQueue.then(run, run)
+  return indexQueue
+}
+
+// Parse a query into clauses: { type: 'prefix', term } or { type: 'phrase', terms }
+export const parseQuery = (query) => {
+  const clauses = []
+  const rest = (query || '').replace(/"([^"]*)("|$)/g, (_, phrase) => {
+    const terms = tokenize(phrase).map(token => token.term)
+    if (terms.length > 0) clauses.push({ type: 'phrase', terms })
+    return ' '
+  })
+  tokenize(rest).forEach(token => clauses.push({ type: 'prefix', term: token.term }))
+  return clauses
+}
+
+const matchPrefix = (prefix) => {
+  const ids = new Set()
+  for (const [term, termIds] of postings) {
+    if (term.startsWith(prefix)) termIds.forEach(id => ids.add(id))
+  }
+  return ids
+}
+
+const hasPhrase = (terms, phrase) => {
+  const [first, ...others] = phrase
+  return (terms[first] || []).some(position =>
+    others.every((term, index) => terms[term]?.includes(position + index + 1))
+  )
+}
+
+const matchPhrase = (phrase) => {
+  const candidates = postings.get(phrase[0])
+  if (!candidates) return new Set()
+  return new Set([...candidates].filter(id =>
+    phrase.every(term => postings.get(term)?.has(id)) && hasPhrase(documents.get(id).terms, phrase)
+  ))
+}
+
+const runSearch = (clauses) => {
+  let result = null
+  for (const clause of clauses) {
+    const ids = clause.type === 'phrase' ? matchPhrase(clause.terms) : matchPrefix(clause.term)
+    result = result === null ? ids : new Set([...result].filter(id => ids.has(id)))
+    if (result.size === 0) break
+  }
+  return result
+}
+
+// The index revision now; it changes whenever the index does
+export const getSearchRevision = () => revision
+
+// IDs of items matching every clause, or null for an empty query.
+// indexRevision is the revision the caller last saw (from syncSearchIndex):
+// the same clauses at the same revision give the cached result.
+export const searchItems = (clauses, indexRevision = revision) => {
+  if (clauses.length === 0) return null
+  if (lastSearch?.clauses === clauses && lastSearch.revision === indexRevision && indexRevision === revision) {
+    return lastSearch.result
+  }
+  const result = runSearch(clauses)
+  lastSearch = { clauses, revision, result }
+  return result
+}
+
+// [start, end) ranges of text matching the query, for highlighting
+export const getMatchRanges = (text, clauses) => {
+  const tokens = tokenize(text)
+  const ranges = []
+
+  tokens.forEach((token, index) => {
+    for (const clause of clauses) {
+      if (clause.type === 'prefix' && token.term.startsWith(clause.term)) {
+        ranges.push([token.start, token.end])
+      } else if (clause.type === 'phrase' &&
+        clause.terms.every((term, offset) => tokens[index + offset]?.term === term)) {
+        ranges.push([token.start, tokens[index + clause.terms.length - 1].end])
+      }
+    }
+  })
+
+  // Merge overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0])
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1])
+    } else {
+      merged.push([...range])
+    }
+    return merged
+  }, [])
+}
+
+// A short excerpt of an item's extracted file text around the first match
+export const getTextSnippet = (itemId, clauses, radius = 80) => {
+  const text = documents.get(itemId)?.text
+  if (!text) return null
+
+  const first = getMatchRanges(text, clauses)[0]
+  if (!first) return null
+
+  const start = Math.max(0, first[0] - radius)
+  const end = Math.min(text.length, first[1] + radius)
+  return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`
+}
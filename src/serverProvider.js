@@ -0,0 +1,281 @@
+// Self-hosted server provider for Life Goes On
+// Talks to a plain HTTP server (see server/index.js for the reference one)
+// instead of Firebase, so the vault can sync without Google. The server
+// only ever sees sealed records and encrypted blobs. Requests carry the
+// access token from sync settings as a bearer token; live updates come
+// over Server-Sent Events, which can't send headers, so that one URL
+// carries the token as a query parameter.
+//
+//   GET    /api/ping                         check the address and token
+//   GET    /api/events?token=                'change' events: { kind: 'items' } or { kind: 'doc', name }
+//   GET    /api/items?since=&after=&limit=   { records, after, syncPoint }: every item by
+//                                            creation, or with since only those changed
+//                                            after that stamp; after pages on (null at the end)
+//   PUT    /api/items/:id                    { record, baseVersion }; 409 { remote } on conflict
+//   DELETE /api/items/:id                    { tombstone, baseVersion }; same check
+//   GET    /api/items/:id/versions           { records }
+//   PUT    /api/items/:id/versions/:vid      { record }
+//   DELETE /api/items/:id/versions/:vid
+//   GET    /api/docs/:name                   { value, revision }
+//   PUT    /api/docs/:name                   { value, revision }; 409 if revision moved on
+//   GET, HEAD, PUT, DELETE /api/blobs/:path  raw bytes
+
+import { SyncConflictError } from './merge'
+import { normalizeServerUrl } from './cloudSettings'
+
+const MAX_UPDATE_ATTEMPTS = 5
+const PAGE_SIZE = 200
+
+// Raised for a response the server refused; `code` is the HTTP status
+export class ServerError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'ServerError'
+    this.code = code
+  }
+}
+
+const readError = async (response) => {
+  try {
+    return (await response.json()).error || response.statusText
+  } catch {
+    return response.statusText
+  }
+}
+
+// Blob paths are made of safe segments already; keep the slashes
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/')
+
+export const createServerProvider = ({ serverUrl, serverToken }) => {
+  const baseUrl = `${normalizeServerUrl(serverUrl)}/api`
+  const authorization = `Bearer ${serverToken}`
+
+  const request = async (path, { method = 'GET', json, body, allow = [] } = {}) => {
+    const headers = { Authorization: authorization }
+    if (json !== undefined) headers['Content-Type'] = 'application/json'
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: json !== undefined ? JSON.stringify(json) : body
+    })
+    if (!response.ok && !allow.includes(response.status)) {
+      throw new ServerError(response.status, await readError(response))
+    }
+    return response
+  }
+
+  const itemPath = (id) => `/items/${encodeURIComponent(id)}`
+
+  // A write the server turned down because the cloud copy is newer
+  const checkConflict = async (response) => {
+    if (response.status === 409) throw new SyncConflictError((await response.json()).remote)
+  }
+
+  // One event stream shared by every subscription; it reconnects by itself
+  const listeners = new Set()
+  let source = null
+  let connected = null
+
+  const emit = (event) => listeners.forEach(listener => listener(event))
+
+  const listen = (listener) => {
+    listeners.add(listener)
+    if (!source) {
+      source = new EventSource(`${baseUrl}/events?token=${encodeURIComponent(serverToken)}`)
+      // A (re)connect may follow missed changes, so everyone reloads
+      source.onopen = () => {
+        connected = true
+        emit({ kind: 'connection', connected: true })
+        emit({ kind: 'resync' })
+      }
+      source.onerror = () => {
+        if (connected === false) return
+        connected = false
+        emit({ kind: 'connection', connected: false })
+      }
+      source.addEventListener('change', (event) => {
+        try {
+          emit(JSON.parse(event.data))
+        } catch (error) {
+          console.error('Bad event from server:', error)
+        }
+      })
+    } else if (connected !== null) {
+      // Late subscribers still get the current state
+      listener({ kind: 'connection', connected })
+      if (connected) listener({ kind: 'resync' })
+    }
+
+    return () => {
+      listeners.delete(listener)
+      if (listeners.size === 0 && source) {
+        source.close()
+        source = null
+        connected = null
+      }
+    }
+  }
+
+  const loadPage = async ({ since, after, limit }) => {
+    const params = new URLSearchParams({ limit })
+    if (since !== null) params.set('since', since)
+    if (after) params.set('after', after)
+    const response = await request(`/items?${params}`)
+    return response.json()
+  }
+
+  const loadDoc = async (name) => {
+    const response = await request(`/docs/${encodeURIComponent(name)}`)
+    return response.json()
+  }
+
+  return {
+    id: 'server',
+    label: 'Self-hosted server',
+
+    // Accounts stay local to the device; the token picks the server account
+    isReady: () => true,
+
+    save: async (id, record, baseVersion) => {
+      const response = await request(itemPath(id), { method: 'PUT', json: { record, baseVersion: baseVersion ?? 0 }, allow: [409] })
+      await checkConflict(response)
+    },
+
+    loadPage: ({ since = null, after = null, limit }) => loadPage({ since, after, limit }),
+
+    delete: async (id, tombstone, baseVersion) => {
+      const response = await request(itemPath(id), { method: 'DELETE', json: { tombstone, baseVersion: baseVersion ?? 0 }, allow: [409] })
+      await checkConflict(response)
+    },
+
+    // Fetches what changed after `since` whenever the server says items
+    // changed (or the stream reconnects, as changes may have been missed)
+    subscribe: (since, onChanges) => {
+      let current = since
+      let loading = false
+      let stale = false
+
+      // Changes in a burst only need one more fetch after the current one
+      const reload = async () => {
+        if (loading) {
+          stale = true
+          return
+        }
+        loading = true
+        try {
+          do {
+            stale = false
+            let after = null
+            do {
+              const page = await loadPage({ since: current, after, limit: PAGE_SIZE })
+              current = page.syncPoint
+              after = page.after
+              if (page.records.length > 0) onChanges(page.records, page.syncPoint)
+            } while (after)
+          } while (stale)
+        } catch (error) {
+          console.error('Real-time sync error:', error)
+        } finally {
+          loading = false
+        }
+      }
+
+      return listen((event) => {
+        if (event.kind === 'items' || event.kind === 'resync') reload()
+      })
+    },
+
+    watchConnection: (callback) => listen((event) => {
+      if (event.kind !== 'connection') return
+      console.log('Cloud connection:', event.connected ? 'online' : 'offline')
+      callback(event.connected)
+    }),
+
+    saveVersion: async (itemId, versionId, record) => {
+      await request(`${itemPath(itemId)}/versions/${encodeURIComponent(versionId)}`, { method: 'PUT', json: { record } })
+    },
+
+    loadVersions: async (itemId) => {
+      const response = await request(`${itemPath(itemId)}/versions`)
+      return (await response.json()).records
+    },
+
+    deleteVersion: async (itemId, versionId) => {
+      await request(`${itemPath(itemId)}/versions/${encodeURIComponent(versionId)}`, { method: 'DELETE', allow: [404] })
+    },
+
+    loadDoc: async (name) => (await loadDoc(name)).value,
+
+    saveDoc: async (name, value) => {
+      await request(`/docs/${encodeURIComponent(name)}`, { method: 'PUT', json: { value } })
+    },
+
+    // Optimistic: write against the revision read, and start over if
+    // another device got there first
+    updateDoc: async (name, update) => {
+      for (let attempt = 1; ; attempt++) {
+        const { value, revision } = await loadDoc(name)
+        const next = await update(value)
+        const response = await request(`/docs/${encodeURIComponent(name)}`, {
+          method: 'PUT',
+          json: { value: next, revision },
+          allow: attempt < MAX_UPDATE_ATTEMPTS ? [409] : []
+        })
+        if (response.status !== 409) return next
+      }
+    },
+
+    subscribeToDoc: (name, callback) => listen((event) => {
+      if (event.kind !== 'resync' && !(event.kind === 'doc' && event.name === name)) return
+      loadDoc(name)
+        .then(({ value }) => callback(value, true))
+        .catch(error => console.error('Document sync error:', name, error))
+    }),
+
+    contentPath: (contentId) => `files/${contentId}`,
+
+    thumbnailPath: (contentId) => `thumbnails/${contentId}`,
+
+    // XMLHttpRequest, unlike fetch, reports upload progress
+    uploadBlob: (path, blob, { onProgress, signal } = {}) => {
+      return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest()
+        xhr.open('PUT', `${baseUrl}/blobs/${encodePath(path)}`)
+        xhr.setRequestHeader('Authorization', authorization)
+        xhr.upload.onprogress = (event) => onProgress?.(event.loaded)
+        xhr.onload = () => xhr.status < 300
+          ? resolve()
+          : reject(new ServerError(xhr.status, xhr.statusText || 'Upload failed'))
+        xhr.onerror = () => reject(new Error('Network error'))
+        xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'))
+        signal?.addEventListener('abort', () => xhr.abort())
+        xhr.send(blob)
+      })
+    },
+
+    getBlob: async (path) => (await request(`/blobs/${encodePath(path)}`)).blob(),
+
+    // Every download needs the token, so there is no shareable URL
+    getBlobUrl: async () => null,
+
+    getBlobSize: async (path) => {
+      const response = await request(`/blobs/${encodePath(path)}`, { method: 'HEAD', allow: [404] })
+      return response.status === 404 ? null : Number(response.headers.get('Content-Length'))
+    },
+
+    deleteBlob: async (path) => {
+      await request(`/blobs/${encodePath(path)}`, { method: 'DELETE', allow: [404] })
+    }
+  }
+}
+
+// Check an address and token before saving them; resolves to the
+// server's account name, throws ServerError or a network error
+export const testServerConnection = async ({ serverUrl, serverToken }) => {
+  const response = await fetch(`${normalizeServerUrl(serverUrl)}/api/ping`, {
+    headers: { Authorization: `Bearer ${serverToken}` }
+  })
+  if (!response.ok) throw new ServerError(response.status, await readError(response))
+  return (await response.json()).account
+}
@@ -0,0 +1,154 @@
+// Service worker for Life Goes On
+// Not bundled: the build (vite.config.js) copies this file to /sw.js and
+// fills in the app shell list and its version. It
+// - precaches the app shell so the app starts without a network
+// - keeps downloaded cloud files (already encrypted) for offline viewing
+// - asks an open tab to flush the outbox when background sync fires
+// - takes files shared from other apps (Web Share Target) and hands them
+//   to the app, which adds them once the vault is unlocked
+// Cache names and message types are shared with src/pwa.js.
+
+/* global __APP_SHELL__, __CACHE_VERSION__ */
+const APP_SHELL = __APP_SHELL__
+const SHELL_CACHE = `app-shell-${__CACHE_VERSION__}`
+const DOWNLOAD_CACHE = 'cloud-downloads'
+const SHARE_CACHE = 'share-target'
+const OUTBOX_SYNC_TAG = 'outbox'
+const MAX_CACHED_DOWNLOADS = 300
+const SYNC_REPLY_TIMEOUT = 60000
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Drop app shells of older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('app-shell-') && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Pages: network first so a new build shows up, the cached shell offline
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request)
+  } catch {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE })
+    return cached || Response.error()
+  }
+}
+
+// Hashed build assets never change, so the cache can answer first
+const handleShellAsset = async (request) => {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE })
+  return cached || fetch(request)
+}
+
+const trimDownloads = async (cache) => {
+  const keys = await cache.keys()
+  // Oldest first, as they were added
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_DOWNLOADS)).map(key => cache.delete(key)))
+}
+
+// Cloud file downloads: Firebase Storage media links, and the blobs of a
+// self-hosted server (see server/index.js), which can live on any origin
+const isCloudDownload = (url) =>
+  (url.hostname === 'firebasestorage.googleapis.com' && url.searchParams.get('alt') === 'media') ||
+  url.pathname.includes('/api/blobs/')
+
+// Cloud downloads: network first, the last copy offline
+const handleDownload = async (request) => {
+  const cache = await caches.open(DOWNLOAD_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await cache.put(request, response.clone())
+      trimDownloads(cache)
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Files and text shared from another app are parked in a cache until the
+// app picks them up; the page is opened with ?shared=1
+const handleShareTarget = async (request) => {
+  try {
+    const form = await request.formData()
+    const cache = await caches.open(SHARE_CACHE)
+    const files = form.getAll('files').filter(file => file instanceof File && file.size > 0)
+    await Promise.all(files.map((file, index) => cache.put(
+      `/share-target/file/${Date.now()}-${index}`,
+      new Response(file, {
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          'X-File-Name': encodeURIComponent(file.name)
+        }
+      })
+    )))
+
+    const text = ['title', 'text', 'url']
+      .map(field => form.get(field))
+      .filter(value => typeof value === 'string' && value.trim())
+      .join('\n')
+    if (text) await cache.put(`/share-target/text/${Date.now()}`, new Response(text))
+  } catch (error) {
+    console.error('Share target error:', error)
+  }
+  return Response.redirect('/?shared=1', 303)
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method === 'POST' && url.origin === self.location.origin && url.pathname === '/share-target') {
+    event.respondWith(handleShareTarget(request))
+    return
+  }
+  if (request.method !== 'GET') return
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request))
+  } else if (url.origin === self.location.origin && APP_SHELL.includes(url.pathname)) {
+    event.respondWith(handleShellAsset(request))
+  } else if (isCloudDownload(url)) {
+    event.respondWith(handleDownload(request))
+  }
+})
+
+// Writes are sealed with the vault key, which only an open, unlocked tab
+// has. Ask one to flush; failing makes the browser try again later.
+const askClientToFlush = (client) => {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel()
+    const timer = setTimeout(() => reject(new Error('No reply from the app')), SYNC_REPLY_TIMEOUT)
+    channel.port1.onmessage = ({ data }) => {
+      clearTimeout(timer)
+      if (data?.flushed) resolve()
+      else reject(new Error('Writes are still pending'))
+    }
+    client.postMessage({ type: 'flush-outbox' }, [channel.port2])
+  })
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      if (clients.length === 0) throw new Error('No open tab to flush the outbox')
+      return Promise.any(clients.map(askClientToFlush))
+    })
+  )
+})
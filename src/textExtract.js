@@ -0,0 +1,119 @@
+// Text extraction for search (see searchIndex.js)
+// Plain text, CSV and JSON are read as is and HTML is reduced to its text.
+// PDFs get a naive pass: inflate the content streams and collect the
+// strings shown by the text operators (Tj, TJ, ' and "). PDFs whose fonts
+// use custom encodings yield little or nothing, and that's fine: their
+// names are still searchable.
+
+export const MAX_EXTRACTED_CHARS = 50000
+const MAX_EXTRACT_SIZE = 20 * 1024 * 1024 // 20MB
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'application/json']
+
+export const canExtractText = (fileType) => {
+  return TEXT_TYPES.includes(fileType) || fileType === 'text/html' || fileType === 'application/pdf'
+}
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' }
+
+// Decode a PDF literal string body (without the outer parentheses)
+const decodePdfString = (raw) => {
+  return raw.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (match, escape) => {
+    if (PDF_ESCAPES[escape] !== undefined) return PDF_ESCAPES[escape]
+    if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8))
+    return '' // escaped line break
+  })
+}
+
+// Strings drawn by the text operators of one content stream
+const extractContentStreamText = (content) => {
+  const parts = []
+  const operators = /\[((?:\\.|[^\]])*)\]\s*TJ|(\((?:\\.|[^\\)])*\))\s*(?:Tj|'|")/gs
+
+  for (const match of content.matchAll(operators)) {
+    if (match[1] !== undefined) {
+      // Array form: strings with kerning numbers between them; a large
+      // negative adjustment is how most PDFs draw a space
+      let text = ''
+      const items = /(\((?:\\.|[^\\)])*\))|(-?\d+(?:\.\d+)?)/gs
+      for (const item of match[1].matchAll(items)) {
+        if (item[1]) text += decodePdfString(item[1].slice(1, -1))
+        else if (Number(item[2]) < -200) text += ' '
+      }
+      parts.push(text)
+    } else {
+      parts.push(decodePdfString(match[2].slice(1, -1)))
+    }
+  }
+
+  return parts.join(' ')
+}
+
+const extractPdfText = async (bytes) => {
+  const source = new TextDecoder('latin1').decode(bytes)
+  const texts = []
+  let total = 0
+  let searchFrom = 0
+
+  for (;;) {
+    const streamStart = source.indexOf('stream', searchFrom)
+    if (streamStart === -1) break
+    const streamEnd = source.indexOf('endstream', streamStart)
+    if (streamEnd === -1) break
+    searchFrom = streamEnd + 'endstream'.length
+
+    // A stray "endstream" whose "stream" we never saw
+    if (source.slice(streamStart - 3, streamStart) === 'end') continue
+
+    const dictionaryStart = source.lastIndexOf('obj', streamStart)
+    const dictionary = source.slice(dictionaryStart, streamStart)
+    // Only content streams: images, fonts and embedded files have a Subtype or Length1
+    if (/\/Subtype|\/Length1|\/Type\s*\/XRef|\/Type\s*\/ObjStm/.test(dictionary)) continue
+
+    let dataStart = streamStart + 'stream'.length
+    if (source[dataStart] === '\r') dataStart++
+    if (source[dataStart] === '\n') dataStart++
+    let data = bytes.subarray(dataStart, streamEnd)
+
+    try {
+      if (/\/FlateDecode/.test(dictionary)) {
+        data = await inflate(data)
+      } else if (/\/Filter/.test(dictionary)) {
+        continue // other filters are images or rare
+      }
+    } catch {
+      continue
+    }
+
+    const text = extractContentStreamText(new TextDecoder('latin1').decode(data))
+    if (text.trim()) {
+      texts.push(text)
+      total += text.length
+      if (total >= MAX_EXTRACTED_CHARS) break
+    }
+  }
+
+  return texts.join('\n')
+}
+
+// Text of a file for indexing, or null if its type has none we can read
+export const extractText = async (blob, fileType) => {
+  if (!canExtractText(fileType) || blob.size > MAX_EXTRACT_SIZE) return null
+
+  let text
+  if (fileType === 'text/html') {
+    const document = new DOMParser().parseFromString(await blob.text(), 'text/html')
+    text = document.body?.textContent || ''
+  } else if (fileType === 'application/pdf') {
+    text = await extractPdfText(new Uint8Array(await blob.arrayBuffer()))
+  } else {
+    text = await blob.text()
+  }
+
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_EXTRACTED_CHARS)
+}
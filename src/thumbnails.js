@@ -0,0 +1,71 @@
+// Thumbnails for Life Goes On
+// Image and video cards show a small thumbnail instead of the original, so
+// the grid decodes a few KB per card. Images are scaled down; videos get
+// their first frame as a poster. Thumbnails are made when content is
+// stored (or later, for older files) and kept next to it, encrypted, in
+// the local blob store and in Storage (see fileStore.js).
+
+import { fitWithin, renderToBlob } from './imageProcessing'
+
+const THUMBNAIL_MAX_EDGE = 320
+const THUMBNAIL_QUALITY = 0.8
+const VIDEO_FRAME_TIMEOUT = 10000
+
+// SVG has no pixel size to scale from and is small already
+export const canThumbnail = (fileType) => {
+  if (!fileType) return false
+  return (fileType.startsWith('image/') && fileType !== 'image/svg+xml') || fileType.startsWith('video/')
+}
+
+// WebP, or PNG where the browser can't encode WebP
+const drawThumbnail = (source, width, height) => {
+  return renderToBlob(source, width, height, { type: 'image/webp', quality: THUMBNAIL_QUALITY })
+}
+
+const imageThumbnail = async (blob) => {
+  const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' })
+  try {
+    const { width, height } = fitWithin(bitmap.width, bitmap.height, THUMBNAIL_MAX_EDGE)
+    return await drawThumbnail(bitmap, width, height)
+  } finally {
+    bitmap.close()
+  }
+}
+
+// The first frame of a video, once the browser has decoded it
+const videoThumbnail = (blob) => {
+  const url = URL.createObjectURL(blob)
+  const video = document.createElement('video')
+  video.muted = true
+  video.playsInline = true
+  video.preload = 'auto'
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(new Error('Video frame timed out')), VIDEO_FRAME_TIMEOUT)
+    const finish = (error, thumbnail) => {
+      clearTimeout(timer)
+      video.onerror = video.onloadeddata = video.onseeked = null
+      video.removeAttribute('src')
+      video.load()
+      URL.revokeObjectURL(url)
+      if (error) reject(error)
+      else resolve(thumbnail)
+    }
+
+    video.onerror = () => finish(new Error('Video could not be decoded'))
+    // Seeking (even to the start) makes browsers paint the frame
+    video.onloadeddata = () => { video.currentTime = 0 }
+    video.onseeked = () => {
+      const { width, height } = fitWithin(video.videoWidth, video.videoHeight, THUMBNAIL_MAX_EDGE)
+      drawThumbnail(video, width, height).then(thumbnail => finish(null, thumbnail), finish)
+    }
+    video.src = url
+  })
+}
+
+// A thumbnail Blob for an image or video, or null if the type has none.
+// Throws if the content can't be decoded.
+export const createThumbnail = async (blob, fileType = blob.type) => {
+  if (!canThumbnail(fileType)) return null
+  return fileType.startsWith('video/') ? videoThumbnail(blob) : imageThumbnail(blob)
+}
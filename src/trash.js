@@ -0,0 +1,40 @@
+// Trash for Life Goes On
+// Deleting an item moves it to the trash: it gets a deletedAt stamp and
+// syncs like any other change, so every device shows it under Trash. It is
+// deleted for good (a tombstone in the cloud) when the user empties it or
+// once it has been in the trash longer than the retention period. The
+// period is a per-device setting; the shortest one wins.
+
+const TRASH_RETENTION_KEY = 'lifeGoesOnTrashDays'
+const DAY = 24 * 60 * 60 * 1000
+
+export const DEFAULT_TRASH_DAYS = 30
+export const TRASH_DAY_OPTIONS = [7, 30, 90, 365]
+
+export const isTrashed = (item) => !!item.deletedAt
+
+export const getTrashRetentionDays = () => {
+  const days = Number(localStorage.getItem(TRASH_RETENTION_KEY))
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_DAYS
+}
+
+export const setTrashRetentionDays = (days) => {
+  localStorage.setItem(TRASH_RETENTION_KEY, String(days))
+}
+
+// When a trashed item will be deleted for good
+export const getPurgeTime = (item, days) => item.deletedAt + days * DAY
+
+export const isTrashExpired = (item, days, now = Date.now()) => {
+  return isTrashed(item) && getPurgeTime(item, days) <= now
+}
+
+export const moveToTrash = (item) => {
+  const now = Date.now()
+  return { ...item, deletedAt: now, updatedAt: now }
+}
+
+export const restoreFromTrash = (item) => {
+  const { deletedAt: _deletedAt, ...restored } = item
+  return { ...restored, updatedAt: Date.now() }
+}
@@ -0,0 +1,246 @@
+// Resumable file uploads for Life Goes On
+// A file's encrypted bytes (as stored locally) go to the cloud in fixed-size
+// chunks, one object per chunk. Progress is saved after every chunk, so an
+// upload cut off by a reload or a lost connection resumes at the next chunk
+// instead of starting over. A few files upload at a time and each can be
+// paused or cancelled. The outbox commits the item's metadata once its
+// upload is done (see outbox.js).
+
+import { uploadCloudBlob, getContentStoragePath, deleteCloudContent, hasCloudChunks } from './cloud'
+import { encryptBlob } from './crypto'
+import {
+  getBlob,
+  putBlob,
+  putUpload,
+  getUpload,
+  getUploads,
+  deleteUpload
+} from './localRepository'
+
+export const CHUNK_SIZE = 4 * 1024 * 1024 // 4MB
+const MAX_PARALLEL_UPLOADS = 3
+
+let activeUid = null
+let onChange = null
+let onComplete = null
+
+// Upload jobs for the active user, by contentId. status is one of
+// queued, uploading, paused, failed or done.
+const jobs = new Map()
+// Jobs uploading in this tab: contentId -> { controller, bytesTransferred } for the current chunk
+const running = new Map()
+
+const getBytesUploaded = (job) => {
+  const sent = Math.min(job.uploadedChunks * job.chunkSize, job.size)
+  return Math.min(sent + (running.get(job.contentId)?.bytesTransferred || 0), job.size)
+}
+
+const notify = () => {
+  onChange?.([...jobs.values()].map(job => ({ ...job, bytesUploaded: getBytesUploaded(job) })))
+}
+
+const saveJob = async (job) => {
+  jobs.set(job.contentId, job)
+  await putUpload(job)
+  notify()
+}
+
+// The bytes to upload. Content stored before encryption existed is
+// encrypted (and stored that way) first, so the cloud never sees plaintext.
+const loadCiphertext = async (contentId) => {
+  const stored = await getBlob(contentId)
+  if (!stored) throw new Error('File content not available on this device')
+  if (stored.encrypted) return stored.blob
+
+  const encrypted = await encryptBlob(stored.blob)
+  await putBlob(contentId, encrypted, true)
+  return encrypted
+}
+
+const uploadChunk = (contentId, path, chunk) => {
+  const controller = new AbortController()
+  running.set(contentId, { controller, bytesTransferred: 0 })
+  return uploadCloudBlob(path, chunk, {
+    signal: controller.signal,
+    onProgress: (bytesTransferred) => {
+      running.set(contentId, { controller, bytesTransferred })
+      notify()
+    }
+  })
+}
+
+const isUploading = (contentId) => jobs.get(contentId)?.status === 'uploading'
+
+const runJob = async (contentId) => {
+  // Claim the slot before the first await so pump doesn't start it twice
+  running.set(contentId, { controller: null, bytesTransferred: 0 })
+
+  try {
+    await saveJob({ ...jobs.get(contentId), status: 'uploading' })
+    const blob = await loadCiphertext(contentId)
+    const basePath = getContentStoragePath(contentId)
+    if (!basePath) throw new Error('Cloud is not available')
+
+    // An identical file uploaded before leaves nothing to send
+    const fresh = jobs.get(contentId)
+    if (fresh.uploadedChunks === 0) {
+      const chunkSizes = Array.from({ length: fresh.chunkCount }, (_, index) =>
+        Math.min(fresh.chunkSize, blob.size - index * fresh.chunkSize))
+      if (await hasCloudChunks(basePath, chunkSizes) && isUploading(contentId)) {
+        await saveJob({ ...jobs.get(contentId), uploadedChunks: fresh.chunkCount, reused: true })
+        console.log('Upload skipped, content already in the cloud:', contentId)
+      }
+    }
+
+    for (;;) {
+      // Paused or cancelled while we were busy
+      if (!isUploading(contentId)) return
+
+      const job = jobs.get(contentId)
+      if (job.uploadedChunks >= job.chunkCount) break
+
+      const index = job.uploadedChunks
+      const chunk = blob.slice(index * job.chunkSize, (index + 1) * job.chunkSize)
+      await uploadChunk(contentId, `${basePath}/${index}`, chunk)
+
+      running.set(contentId, { controller: null, bytesTransferred: 0 })
+      if (!isUploading(contentId)) return
+      await saveJob({ ...jobs.get(contentId), uploadedChunks: index + 1 })
+    }
+
+    await saveJob({ ...jobs.get(contentId), status: 'done', completedAt: Date.now() })
+    console.log('Upload complete:', contentId)
+    onComplete?.(contentId)
+  } catch (error) {
+    // A pause or cancel cancels the chunk in flight; that's not a failure
+    if (isUploading(contentId)) {
+      console.error('Upload failed:', contentId, error)
+      await saveJob({ ...jobs.get(contentId), status: 'failed', error: error.message || String(error) })
+    }
+  } finally {
+    running.delete(contentId)
+    notify()
+    pump()
+  }
+}
+
+// Start queued jobs while there are free slots
+const pump = () => {
+  if (!activeUid) return
+  for (const job of jobs.values()) {
+    if (running.size >= MAX_PARALLEL_UPLOADS) return
+    if (job.status === 'queued' && !running.has(job.contentId)) {
+      runJob(job.contentId)
+    }
+  }
+}
+
+// Make sure a file's content is uploading or uploaded; returns its job.
+// A failed upload is queued again.
+export const ensureUpload = async (contentId, itemId) => {
+  if (!activeUid) throw new Error('Uploads are not running')
+
+  const existing = jobs.get(contentId) || await getUpload(contentId)
+  if (existing) {
+    if (existing.status === 'failed') {
+      await saveJob({ ...existing, status: 'queued', error: null })
+      pump()
+    } else if (!jobs.has(contentId)) {
+      jobs.set(contentId, existing)
+    }
+    return jobs.get(contentId)
+  }
+
+  const blob = await loadCiphertext(contentId)
+  const job = {
+    contentId,
+    itemId,
+    uid: activeUid,
+    size: blob.size,
+    chunkSize: CHUNK_SIZE,
+    chunkCount: Math.max(1, Math.ceil(blob.size / CHUNK_SIZE)),
+    uploadedChunks: 0,
+    status: 'queued',
+    error: null,
+    createdAt: Date.now()
+  }
+  await saveJob(job)
+  pump()
+  return job
+}
+
+export const getUploadJob = async (contentId) => jobs.get(contentId) || getUpload(contentId)
+
+// The item referencing this upload is saved; forget the job
+export const finishUpload = async (contentId) => {
+  jobs.delete(contentId)
+  await deleteUpload(contentId)
+  notify()
+}
+
+// Stop after the chunk in flight is abandoned; resumeUpload continues from there
+export const pauseUpload = async (contentId) => {
+  const job = jobs.get(contentId)
+  if (!job || job.status === 'done' || job.status === 'paused') return
+  await saveJob({ ...job, status: 'paused' })
+  running.get(contentId)?.controller?.abort()
+}
+
+export const resumeUpload = async (contentId) => {
+  const job = jobs.get(contentId)
+  if (!job || (job.status !== 'paused' && job.status !== 'failed')) return
+  await saveJob({ ...job, status: 'queued', error: null })
+  pump()
+}
+
+// Stop an upload for good and remove the chunks it already sent (but not
+// content it found already uploaded, which other items use)
+export const cancelUpload = async (contentId) => {
+  const job = jobs.get(contentId) || await getUpload(contentId)
+  if (!job) return
+
+  jobs.delete(contentId)
+  running.get(contentId)?.controller?.abort()
+  await deleteUpload(contentId)
+  notify()
+
+  const storagePath = getContentStoragePath(contentId)
+  if (storagePath && job.uploadedChunks > 0 && !job.reused) {
+    await deleteCloudContent({ storagePath, chunkCount: job.uploadedChunks })
+  }
+}
+
+// Resume the signed-in user's unfinished uploads. onChange(jobs) fires with
+// every job (and its bytesUploaded) as they progress; onComplete(contentId)
+// when a file's bytes are all in. Returns a stop function.
+export const startUploads = ({
+  uid,
+  onChange: changeCallback,
+  onComplete: completeCallback
+}) => {
+  activeUid = uid
+  onChange = changeCallback
+  onComplete = completeCallback
+
+  getUploads()
+    .then((stored) => {
+      if (activeUid !== uid) return
+      stored
+        .filter(job => job.uid === uid && !jobs.has(job.contentId))
+        // An upload cut off by a reload picks up where it stopped
+        .forEach(job => jobs.set(job.contentId, job.status === 'uploading' ? { ...job, status: 'queued' } : job))
+      notify()
+      pump()
+    })
+    .catch(error => console.error('Error loading uploads:', error))
+
+  return () => {
+    activeUid = null
+    onChange = null
+    onComplete = null
+    // Clear jobs first so the cancelled chunks aren't recorded as failures;
+    // the stored jobs stay and resume next time
+    jobs.clear()
+    running.forEach(({ controller }) => controller?.abort())
+  }
+}
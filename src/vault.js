@@ -0,0 +1,83 @@
+// Vault key management for Life Goes On
+// Finds (or creates) the user's keyring, unwraps the master key with their
+// passphrase and keeps local and cloud copies of the keyring in step.
+
+import {
+  createKeyring,
+  unlockKeyring,
+  rewrapKeyring,
+  loadLocalKeyring,
+  saveLocalKeyring,
+  setVaultKey,
+  getVaultKey,
+  VaultError
+} from './crypto'
+import { loadKeyringFromCloud, saveKeyringToCloud, isCloudConfigured } from './cloud'
+import { loadCarriedVault } from './cloudSettings'
+
+// Pick the keyring to use: the cloud copy wins so every device shares one
+// master key. A cloud error is only fatal when there is no local copy,
+// otherwise we'd mint a second master key that can't read existing data.
+// After switching clouds the keyring this device used before is carried
+// over, since the data here is sealed with its master key.
+const findKeyring = async (user) => {
+  const localKeyring = loadLocalKeyring(user.uid) || loadCarriedVault()?.keyring || null
+  if (!isCloudConfigured()) return localKeyring
+
+  try {
+    const cloudKeyring = await loadKeyringFromCloud()
+    if (cloudKeyring) return cloudKeyring
+    if (localKeyring) await saveKeyringToCloud(localKeyring)
+    return localKeyring
+  } catch (error) {
+    if (localKeyring) {
+      console.log('Cloud keyring unavailable, using local copy:', error.message)
+      return localKeyring
+    }
+    throw new VaultError('vault/keyring-unavailable', 'Could not reach the cloud to load your encryption key')
+  }
+}
+
+// Unlock the vault with the user's passphrase, creating a keyring on first use
+export const unlockVault = async (user, passphrase) => {
+  let keyring = await findKeyring(user)
+  let masterKey
+
+  if (keyring) {
+    masterKey = await unlockKeyring(keyring, passphrase)
+  } else {
+    ({ masterKey, keyring } = await createKeyring(passphrase))
+    if (isCloudConfigured()) {
+      await saveKeyringToCloud(keyring)
+    }
+    console.log('Created new vault keyring')
+  }
+
+  saveLocalKeyring(user.uid, keyring)
+  setVaultKey(masterKey)
+}
+
+// Re-wrap the master key under a new passphrase. Data stays as it is.
+export const rotateVaultPassphrase = async (user, newPassphrase) => {
+  const masterKey = getVaultKey()
+  if (!masterKey) throw new VaultError('vault/locked', 'Vault is locked')
+
+  const keyring = await rewrapKeyring(masterKey, newPassphrase)
+  saveLocalKeyring(user.uid, keyring)
+  if (isCloudConfigured()) {
+    await saveKeyringToCloud(keyring)
+  }
+}
+
+export const lockVault = () => {
+  setVaultKey(null)
+}
+
+export const getVaultErrorMessage = (error) => {
+  switch (error?.code) {
+    case 'vault/wrong-passphrase': return 'Incorrect password for this vault'
+    case 'vault/invalid-keyring': return 'Your encryption keyring is damaged'
+    case 'vault/keyring-unavailable': return 'Connect to the internet to unlock this vault for the first time'
+    default: return 'Could not unlock the vault'
+  }
+}
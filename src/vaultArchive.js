@@ -0,0 +1,190 @@
+// Vault export and import for Life Goes On
+// An export is one plain (unencrypted) ZIP:
+//   manifest.json        format, version, tags and folders, every item's metadata
+//   files/<id>/<name>    each file's original bytes
+//   notes/<date>-<id>.md each note as Markdown, for reading it outside the app
+// Importing reads the manifest back and checks every entry; notes come
+// from the manifest, the Markdown copies are only for people.
+
+import { createZip, readZip, ZipError } from './zip'
+import { emptyLibrary } from './library'
+
+export const ARCHIVE_FORMAT = 'life-goes-on-vault'
+export const ARCHIVE_VERSION = 1
+const MANIFEST_PATH = 'manifest.json'
+
+// Item fields an export keeps; sync and storage bookkeeping stays behind
+const ITEM_FIELDS = [
+  'id', 'type', 'content', 'name', 'size', 'fileType', 'important',
+  'tags', 'folderId', 'createdAt', 'updatedAt', 'editedAt', 'deletedAt'
+]
+
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ArchiveError'
+  }
+}
+
+// A name that is safe as one path segment on any system
+const toPathSegment = (name) => {
+  const safe = (name || '').replace(/[\\/:*?"<>|\p{Cc}]/gu, '_').replace(/^\.+/, '_').trim()
+  return safe.slice(0, 120) || 'file'
+}
+
+const pickItemFields = (item) => {
+  const fields = {}
+  ITEM_FIELDS.forEach(field => {
+    if (item[field] !== undefined) fields[field] = item[field]
+  })
+  return fields
+}
+
+// Build the export ZIP. loadBlob(item) resolves to a file's bytes and
+// fileName(item) to the name to give it. Files that can't be loaded are
+// left out (their entry has no `file`) and listed in `missing`.
+// Resolves to { blob, missing }.
+export const exportVault = async (items, library, { loadBlob, fileName, onProgress }) => {
+  const entries = []
+  const manifestItems = []
+  const missing = []
+
+  for (const [index, item] of items.entries()) {
+    onProgress?.(index, items.length)
+    const entry = pickItemFields(item)
+
+    if (item.type === 'file') {
+      try {
+        const path = `files/${toPathSegment(String(item.id))}/${toPathSegment(fileName(item))}`
+        entries.push({ path, data: await loadBlob(item), modifiedAt: item.updatedAt })
+        entry.file = path
+      } catch (error) {
+        console.error('Export: could not load file', item.id, error)
+        missing.push(item)
+      }
+    } else {
+      const date = new Date(item.createdAt).toISOString().slice(0, 10)
+      const path = `notes/${date}-${toPathSegment(String(item.id))}.md`
+      entries.push({ path, data: `${item.content}\n`, modifiedAt: item.updatedAt })
+      entry.note = path
+    }
+    manifestItems.push(entry)
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    library,
+    items: manifestItems
+  }
+  entries.unshift({ path: MANIFEST_PATH, data: JSON.stringify(manifest, null, 2) })
+
+  return { blob: await createZip(entries), missing }
+}
+
+const isId = (value) => typeof value === 'string' ? value.length > 0 : Number.isFinite(value)
+const isDateString = (value) => typeof value === 'string' && !isNaN(new Date(value))
+const isTimestamp = (value) => value === undefined || Number.isFinite(value)
+
+// Why a manifest entry can't be imported, or null if it can
+const getEntryProblem = (entry, archive) => {
+  if (!entry || typeof entry !== 'object') return 'Not an item'
+  if (!isId(entry.id)) return 'Missing ID'
+  if (entry.type !== 'note' && entry.type !== 'file') return 'Unknown item type'
+  if (!isDateString(entry.createdAt)) return 'Missing or invalid creation date'
+  if (![entry.updatedAt, entry.editedAt, entry.deletedAt].every(isTimestamp)) return 'Invalid timestamps'
+  if (entry.type === 'note' && typeof entry.content !== 'string') return 'Note has no text'
+  if (entry.type === 'file') {
+    if (typeof entry.name !== 'string' || !entry.name) return 'File has no name'
+    if (typeof entry.file !== 'string' || !archive.has(entry.file)) return 'File content is missing from the archive'
+  }
+  return null
+}
+
+// A library from the manifest with only well-formed entries
+const cleanLibrary = (library) => {
+  const clean = emptyLibrary()
+  if (!library || typeof library !== 'object') return clean
+
+  for (const kind of ['tags', 'folders']) {
+    Object.entries(library[kind] || {}).forEach(([id, entry]) => {
+      if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.updatedAt)) return
+      if (entry.deleted === true || typeof entry.name === 'string') clean[kind][id] = entry
+    })
+  }
+  return clean
+}
+
+// What an item is called in the import report
+const describeEntry = (entry) => {
+  if (typeof entry?.name === 'string' && entry.name) return entry.name
+  if (typeof entry?.content === 'string' && entry.content) return entry.content.slice(0, 60)
+  return isId(entry?.id) ? `Item ${entry.id}` : 'Unnamed item'
+}
+
+// Open and check an export. Resolves to { items, library, skipped, readFile }:
+// items are the valid manifest entries (first of each ID), skipped lists
+// the others as { id, label, reason }, and readFile(path) resolves to a Blob.
+// Throws ArchiveError if the file isn't a readable export at all.
+export const readVaultArchive = async (file) => {
+  let archive
+  let manifest
+  try {
+    archive = await readZip(file)
+    manifest = JSON.parse(await (await archive.read(MANIFEST_PATH)).text())
+  } catch (error) {
+    if (error instanceof ZipError) throw new ArchiveError(error.message)
+    if (error instanceof SyntaxError) throw new ArchiveError('manifest.json is not valid JSON')
+    throw error
+  }
+
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new ArchiveError('This is not a Life Goes On export')
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+    throw new ArchiveError('This export was made by a newer version of the app')
+  }
+  if (!Array.isArray(manifest.items)) {
+    throw new ArchiveError('The manifest lists no items')
+  }
+
+  const items = []
+  const skipped = []
+  const seenIds = new Set()
+
+  manifest.items.forEach(entry => {
+    const problem = getEntryProblem(entry, archive) ||
+      (seenIds.has(String(entry.id)) ? 'Listed twice in the archive' : null)
+    if (problem) {
+      skipped.push({ id: entry?.id, label: describeEntry(entry), reason: problem })
+      return
+    }
+    seenIds.add(String(entry.id))
+    items.push(entry)
+  })
+
+  return {
+    items,
+    library: cleanLibrary(manifest.library),
+    skipped,
+    readFile: archive.read
+  }
+}
+
+// Turn a checked manifest entry into item fields (without content)
+export const toImportedItem = (entry) => {
+  const item = {
+    id: entry.id,
+    type: entry.type,
+    important: entry.important === true,
+    tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string') : [],
+    folderId: typeof entry.folderId === 'string' ? entry.folderId : null,
+    createdAt: entry.createdAt
+  }
+  if (entry.type === 'note') item.content = entry.content
+  if (entry.type === 'file') item.name = entry.name
+  if (Number.isFinite(entry.editedAt)) item.editedAt = entry.editedAt
+  if (Number.isFinite(entry.deletedAt)) item.deletedAt = entry.deletedAt
+  return item
+}
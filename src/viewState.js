@@ -0,0 +1,160 @@
+// Item list view for Life Goes On: sorting, the advanced filters and
+// their place in the URL. The chosen view lives in the query string
+// (?filter=notes&sort=name&dir=asc&family=image&layout=list...) so it survives a
+// reload and can be bookmarked. The search text is left out on purpose:
+// it would sit in the browser history as plaintext.
+
+export const SORT_FIELDS = [
+  { value: 'date', label: 'Date' },
+  { value: 'name', label: 'Name' },
+  { value: 'size', label: 'Size' },
+  { value: 'type', label: 'Type' }
+]
+
+// Cards with previews, or a compact table of name, type, size and date
+export const LAYOUTS = [
+  { value: 'grid', label: 'Cards' },
+  { value: 'list', label: 'List' }
+]
+
+export const MIME_FAMILIES = [
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Video' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'pdf', label: 'PDFs' },
+  { value: 'text', label: 'Text and data' },
+  { value: 'document', label: 'Office documents' },
+  { value: 'archive', label: 'Archives' },
+  { value: 'other', label: 'Other files' }
+]
+
+const FILTERS = ['all', 'important', 'files', 'notes', 'trash']
+const STORAGE_OPTIONS = ['cloud', 'local']
+const MB = 1024 * 1024
+
+export const DEFAULT_VIEW = {
+  filter: 'all',
+  sort: 'date',
+  direction: 'desc',
+  from: '', // YYYY-MM-DD, inclusive
+  to: '',
+  family: '',
+  minSize: '', // MB
+  maxSize: '',
+  storage: '', // 'cloud' or 'local'
+  folder: null,
+  tag: null,
+  layout: 'grid'
+}
+
+// View fields and their query parameter names
+const URL_PARAMS = {
+  filter: 'filter',
+  sort: 'sort',
+  direction: 'dir',
+  from: 'from',
+  to: 'to',
+  family: 'family',
+  minSize: 'min',
+  maxSize: 'max',
+  storage: 'storage',
+  folder: 'folder',
+  tag: 'tag',
+  layout: 'layout'
+}
+
+export const getMimeFamily = (fileType = '') => {
+  if (fileType.startsWith('image/')) return 'image'
+  if (fileType.startsWith('video/')) return 'video'
+  if (fileType.startsWith('audio/')) return 'audio'
+  if (fileType === 'application/pdf') return 'pdf'
+  if (fileType.startsWith('text/') || fileType === 'application/json') return 'text'
+  if (/msword|ms-excel|ms-powerpoint|officedocument/.test(fileType)) return 'document'
+  if (/zip|rar|tar|7z|gzip/.test(fileType)) return 'archive'
+  return 'other'
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+const isSize = (value) => value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0
+
+// Keep only values the app understands, so a hand-edited URL can't break it
+const cleanView = (view) => ({
+  filter: FILTERS.includes(view.filter) ? view.filter : DEFAULT_VIEW.filter,
+  sort: SORT_FIELDS.some(field => field.value === view.sort) ? view.sort : DEFAULT_VIEW.sort,
+  direction: view.direction === 'asc' ? 'asc' : 'desc',
+  from: isDate(view.from) ? view.from : '',
+  to: isDate(view.to) ? view.to : '',
+  family: MIME_FAMILIES.some(family => family.value === view.family) ? view.family : '',
+  minSize: isSize(view.minSize) ? view.minSize : '',
+  maxSize: isSize(view.maxSize) ? view.maxSize : '',
+  storage: STORAGE_OPTIONS.includes(view.storage) ? view.storage : '',
+  folder: view.folder || null,
+  tag: view.tag || null,
+  layout: LAYOUTS.some(layout => layout.value === view.layout) ? view.layout : DEFAULT_VIEW.layout
+})
+
+export const readViewFromUrl = () => {
+  const params = new URLSearchParams(window.location.search)
+  const view = {}
+  Object.entries(URL_PARAMS).forEach(([field, param]) => {
+    view[field] = params.get(param) ?? DEFAULT_VIEW[field]
+  })
+  return cleanView(view)
+}
+
+// Replace (not push) the URL so changing the view doesn't fill the history
+export const writeViewToUrl = (view) => {
+  const params = new URLSearchParams(window.location.search)
+  Object.entries(URL_PARAMS).forEach(([field, param]) => {
+    if (view[field] && view[field] !== DEFAULT_VIEW[field]) {
+      params.set(param, view[field])
+    } else {
+      params.delete(param)
+    }
+  })
+  const search = params.toString()
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`
+  window.history.replaceState(window.history.state, '', url)
+}
+
+// How many of the advanced filters are set
+export const countAdvancedFilters = (view) => {
+  return [view.from || view.to, view.family, view.minSize || view.maxSize, view.storage]
+    .filter(Boolean).length
+}
+
+// Date range, MIME family, size range and cloud vs local-only
+export const matchesAdvancedFilters = (item, view) => {
+  const created = new Date(item.createdAt).getTime()
+  if (view.from && created < new Date(`${view.from}T00:00:00`).getTime()) return false
+  if (view.to && created > new Date(`${view.to}T23:59:59.999`).getTime()) return false
+
+  // File-only filters leave notes out
+  if ((view.family || view.minSize || view.maxSize) && item.type !== 'file') return false
+  if (view.family && getMimeFamily(item.fileType) !== view.family) return false
+  if (view.minSize && (item.size || 0) < Number(view.minSize) * MB) return false
+  if (view.maxSize && (item.size || 0) > Number(view.maxSize) * MB) return false
+
+  if (view.storage === 'cloud' && !item.isCloudStored) return false
+  if (view.storage === 'local' && item.isCloudStored) return false
+  return true
+}
+
+const SORT_KEYS = {
+  date: (item) => new Date(item.createdAt).getTime(),
+  name: (item) => (item.type === 'file' ? item.name : item.content)?.toLowerCase() || '',
+  size: (item) => item.type === 'file' ? item.size || 0 : (item.content || '').length,
+  type: (item) => item.type === 'file' ? item.fileType || '' : 'note'
+}
+
+// Comparator for the chosen sort; ties fall back to newest first
+export const compareItems = (sort, direction) => {
+  const key = SORT_KEYS[sort] || SORT_KEYS.date
+  const sign = direction === 'asc' ? 1 : -1
+  return (a, b) => {
+    const keyA = key(a)
+    const keyB = key(b)
+    const order = typeof keyA === 'string' ? keyA.localeCompare(keyB) : keyA - keyB
+    return order * sign || SORT_KEYS.date(b) - SORT_KEYS.date(a)
+  }
+}
@@ -0,0 +1,196 @@
+// Minimal ZIP archives for vault export and import (see vaultArchive.js)
+// Writing stores entries uncompressed; most file bytes are compressed
+// already and it keeps the writer small. Reading handles stored and
+// deflated entries, which covers archives made here and by common zip
+// tools. No ZIP64: archives and entries must stay under 4GB.
+
+const LOCAL_HEADER = 0x04034b50
+const CENTRAL_HEADER = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const UTF8_NAMES = 0x0800
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+const MAX_ZIP_SIZE = 0xffffffff
+
+export class ZipError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ZipError'
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS time and date fields (local time, 2-second resolution, from 1980)
+const toDosDateTime = (value) => {
+  const date = new Date(value)
+  const valid = !isNaN(date) && date.getFullYear() >= 1980 ? date : new Date(1980, 0, 1)
+  return {
+    time: (valid.getHours() << 11) | (valid.getMinutes() << 5) | Math.floor(valid.getSeconds() / 2),
+    date: ((valid.getFullYear() - 1980) << 9) | ((valid.getMonth() + 1) << 5) | valid.getDate()
+  }
+}
+
+const toBytes = async (data) => {
+  if (typeof data === 'string') return new TextEncoder().encode(data)
+  if (data instanceof Uint8Array) return data
+  return new Uint8Array(await data.arrayBuffer())
+}
+
+// Build a ZIP Blob from [{ path, data, modifiedAt }] where data is a
+// Blob, Uint8Array or string. Entries are read one at a time.
+export const createZip = async (entries) => {
+  const parts = []
+  const directory = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const bytes = await toBytes(entry.data)
+    const name = new TextEncoder().encode(entry.path)
+    const crc = crc32(bytes)
+    const { time, date } = toDosDateTime(entry.modifiedAt ?? Date.now())
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, LOCAL_HEADER, true)
+    local.setUint16(4, 20, true) // version needed to extract
+    local.setUint16(6, UTF8_NAMES, true)
+    local.setUint16(8, METHOD_STORED, true)
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, bytes.length, true)
+    local.setUint32(22, bytes.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, CENTRAL_HEADER, true)
+    central.setUint16(4, 20, true) // version made by
+    central.setUint16(6, 20, true)
+    central.setUint16(8, UTF8_NAMES, true)
+    central.setUint16(10, METHOD_STORED, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, bytes.length, true)
+    central.setUint32(24, bytes.length, true)
+    central.setUint16(28, name.length, true)
+    // Extra field, comment, disk number and attributes stay zero
+    central.setUint32(42, offset, true)
+
+    parts.push(local, name, bytes)
+    directory.push(central, name)
+    offset += 30 + name.length + bytes.length
+    if (offset > MAX_ZIP_SIZE) throw new ZipError('The archive would be larger than 4GB')
+  }
+
+  const directorySize = directory.reduce((total, part) => total + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true)
+  end.setUint16(8, entries.length, true)
+  end.setUint16(10, entries.length, true)
+  end.setUint32(12, directorySize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' })
+}
+
+const inflateRaw = async (blob) => {
+  const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// Open a ZIP Blob. Resolves to { paths, has(path), read(path) } where
+// read resolves to the entry's bytes as a Blob, checked against its CRC.
+export const readZip = async (blob) => {
+  // The end record is in the last 22 bytes plus up to 64KB of comment
+  const tailStart = Math.max(0, blob.size - 22 - 0xffff)
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer())
+  let endOffset = -1
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset === -1) throw new ZipError('Not a ZIP archive')
+
+  const entryCount = tail.getUint16(endOffset + 10, true)
+  const directorySize = tail.getUint32(endOffset + 12, true)
+  const directoryOffset = tail.getUint32(endOffset + 16, true)
+  if (directoryOffset + directorySize > blob.size) throw new ZipError('The ZIP archive is truncated')
+
+  const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer())
+  const decoder = new TextDecoder()
+  const entries = new Map()
+  let position = 0
+
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > directory.byteLength || directory.getUint32(position, true) !== CENTRAL_HEADER) {
+      throw new ZipError('The ZIP directory is damaged')
+    }
+    const nameLength = directory.getUint16(position + 28, true)
+    const extraLength = directory.getUint16(position + 30, true)
+    const commentLength = directory.getUint16(position + 32, true)
+    const path = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength))
+
+    entries.set(path, {
+      method: directory.getUint16(position + 10, true),
+      crc: directory.getUint32(position + 16, true),
+      compressedSize: directory.getUint32(position + 20, true),
+      size: directory.getUint32(position + 24, true),
+      localOffset: directory.getUint32(position + 42, true)
+    })
+    position += 46 + nameLength + extraLength + commentLength
+  }
+
+  const read = async (path) => {
+    const entry = entries.get(path)
+    if (!entry) throw new ZipError(`${path} is missing from the archive`)
+
+    const header = new DataView(await blob.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer())
+    if (header.byteLength < 30 || header.getUint32(0, true) !== LOCAL_HEADER) {
+      throw new ZipError(`${path} is damaged`)
+    }
+    const dataStart = entry.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true)
+    const data = blob.slice(dataStart, dataStart + entry.compressedSize)
+
+    let bytes
+    if (entry.method === METHOD_STORED) {
+      bytes = new Uint8Array(await data.arrayBuffer())
+    } else if (entry.method === METHOD_DEFLATE) {
+      bytes = await inflateRaw(data)
+    } else {
+      throw new ZipError(`${path} uses an unsupported compression method`)
+    }
+
+    if (bytes.length !== entry.size || crc32(bytes) !== entry.crc) {
+      throw new ZipError(`${path} is damaged`)
+    }
+    return new Blob([bytes])
+  }
+
+  return {
+    paths: [...entries.keys()],
+    has: (path) => entries.has(path),
+    read
+  }
+}
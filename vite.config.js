@@ -1,7 +1,34 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+const publicDir = new URL('./public/', import.meta.url)
+const serviceWorkerSource = new URL('./src/sw.js', import.meta.url)
+
+// Emits src/sw.js as /sw.js with this build's files as its app shell.
+// Runs after the HTML plugin so index.html is in the bundle.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const publicFiles = readdirSync(publicDir, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name)
+    const files = [...publicFiles, ...Object.keys(bundle)].filter(file => !file.endsWith('.map'))
+    const shell = ['/', ...new Set(files.map(file => `/${file}`))]
+    const version = createHash('sha256').update(shell.join('\n')).digest('hex').slice(0, 12)
+
+    const source = readFileSync(serviceWorkerSource, 'utf8')
+      .replace(/^\/\* global .*\*\/\n/m, '')
+      .replace('__APP_SHELL__', JSON.stringify(shell))
+      .replace('__CACHE_VERSION__', JSON.stringify(version))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  }
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })